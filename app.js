@@ -3,39 +3,228 @@
  * Live African percussion jamming app using Google Lyria RealTime
  */
 
-import { LyriaClient } from './lyria-client.js';
+import { LyriaClient, PROXY_PATH } from './lyria-client.js';
 import { AudioPlayer } from './audio-player.js';
-import { MidiManager } from './midi-manager.js';
+import { MidiManager, CC_MODES, NOTE_MODES, CURVES } from './midi-manager.js';
+import { MidiClock } from './midi-clock.js';
+import { TapTempo } from './tap-tempo.js';
+import { Recorder } from './recorder.js';
+import { TakeStore } from './take-store.js';
+import { encodeWav, encodeFlac } from './audio-export.js';
+import { Automation, PROMPTS_LANE } from './automation.js';
+import { SceneManager } from './scene-manager.js';
+import { SceneLauncher } from './scene-launcher.js';
+import { CueBus } from './cue-bus.js';
+import { LOOP_SLOTS, LOOP_BARS } from './looper.js';
+import { PromptHistory } from './prompt-history.js';
 
 // Slider IDs that support MIDI learn
 const MIDI_LEARNABLE_SLIDERS = [
     'bpmSlider',
     'densitySlider',
-    'brightnessSlider'
+    'brightnessSlider',
+    'guidanceSlider',
+    'temperatureSlider',
+    'topKSlider',
+    'scaleSelect',
+    'muteDrumsToggle',
+    'muteBassToggle',
+    'onlyBassAndDrumsToggle',
+    'fxEqBypass',
+    'fxLowSlider',
+    'fxMidSlider',
+    'fxHighSlider',
+    'fxCompressorBypass',
+    'fxThresholdSlider',
+    'fxRatioSlider',
+    'fxMakeupSlider',
+    'fxReverbBypass',
+    'fxRoomSelect',
+    'fxReverbMixSlider',
+    'fxWidthBypass',
+    'fxWidthSlider',
+    'crossfaderSlider'
 ];
 
 // Human-readable names for sliders
 const SLIDER_NAMES = {
     bpmSlider: 'BPM',
     densitySlider: 'Density',
-    brightnessSlider: 'Brightness'
+    brightnessSlider: 'Brightness',
+    guidanceSlider: 'Guidance',
+    temperatureSlider: 'Temperature',
+    topKSlider: 'Top K',
+    scaleSelect: 'Scale',
+    muteDrumsToggle: 'Mute Drums',
+    muteBassToggle: 'Mute Bass',
+    onlyBassAndDrumsToggle: 'Only Bass & Drums',
+    fxEqBypass: 'EQ Bypass',
+    fxLowSlider: 'EQ Low',
+    fxMidSlider: 'EQ Mid',
+    fxHighSlider: 'EQ High',
+    fxCompressorBypass: 'Compressor Bypass',
+    fxThresholdSlider: 'Threshold',
+    fxRatioSlider: 'Ratio',
+    fxMakeupSlider: 'Makeup',
+    fxReverbBypass: 'Reverb Bypass',
+    fxRoomSelect: 'Reverb Room',
+    fxReverbMixSlider: 'Reverb Mix',
+    fxWidthBypass: 'Width Bypass',
+    fxWidthSlider: 'Stereo Width',
+    crossfaderSlider: 'Crossfader'
 };
 
-class GenerAfricaApp {
+// Weight given to a prompt the first time it enters the mix
+const DEFAULT_PROMPT_WEIGHT = 1.0;
+
+// UI control (and value display) for each generation parameter
+const PARAM_CONTROLS = {
+    bpm: { control: 'bpmSlider', display: 'bpmValue', format: v => String(v) },
+    density: { control: 'densitySlider', display: 'densityValue', scale: 100, format: v => `${v}%` },
+    brightness: { control: 'brightnessSlider', display: 'brightnessValue', scale: 100, format: v => `${v}%` },
+    guidance: { control: 'guidanceSlider', display: 'guidanceValue', format: v => v.toFixed(1) },
+    temperature: { control: 'temperatureSlider', display: 'temperatureValue', format: v => v.toFixed(1) },
+    topK: { control: 'topKSlider', display: 'topKValue', format: v => String(v) },
+    scale: { control: 'scaleSelect' },
+    muteDrums: { control: 'muteDrumsToggle' },
+    muteBass: { control: 'muteBassToggle' },
+    onlyBassAndDrums: { control: 'onlyBassAndDrumsToggle' }
+};
+
+// UI control (and value display) for each master FX parameter
+const formatDb = v => `${v > 0 ? '+' : ''}${v} dB`;
+const FX_CONTROLS = {
+    fxEqBypass: { stage: 'eq', param: 'bypass' },
+    fxLowSlider: { stage: 'eq', param: 'low', display: 'fxLowValue', format: formatDb },
+    fxMidSlider: { stage: 'eq', param: 'mid', display: 'fxMidValue', format: formatDb },
+    fxHighSlider: { stage: 'eq', param: 'high', display: 'fxHighValue', format: formatDb },
+    fxCompressorBypass: { stage: 'compressor', param: 'bypass' },
+    fxThresholdSlider: { stage: 'compressor', param: 'threshold', display: 'fxThresholdValue', format: formatDb },
+    fxRatioSlider: { stage: 'compressor', param: 'ratio', display: 'fxRatioValue', format: v => `${v}:1` },
+    fxMakeupSlider: { stage: 'compressor', param: 'makeup', display: 'fxMakeupValue', format: formatDb },
+    fxReverbBypass: { stage: 'reverb', param: 'bypass' },
+    fxRoomSelect: { stage: 'reverb', param: 'room' },
+    fxReverbMixSlider: { stage: 'reverb', param: 'mix', display: 'fxReverbMixValue', scale: 100, format: v => `${v}%` },
+    fxWidthBypass: { stage: 'width', param: 'bypass' },
+    fxWidthSlider: { stage: 'width', param: 'width', display: 'fxWidthValue', scale: 100, format: v => `${v}%` }
+};
+
+// Parameters that can be automated (BPM and scale need a stop/restart, so they're left out)
+const AUTOMATION_PARAMS = {
+    density: { min: 0, max: 1 },
+    brightness: { min: 0, max: 1 },
+    guidance: { min: 0, max: 6 },
+    temperature: { min: 0, max: 3 },
+    topK: { min: 1, max: 1000, integer: true },
+    muteDrums: { toggle: true },
+    muteBass: { toggle: true },
+    onlyBassAndDrums: { toggle: true }
+};
+
+// Seconds shown in the lane editor before anything has been recorded
+const AUTOMATION_DEFAULT_SPAN = 8;
+
+// Scenes assume 4/4 when converting morph bars to seconds
+const BEATS_PER_BAR = 4;
+
+// Keyboard rows that trigger the first 16 launcher pads
+const LAUNCHER_KEYS = ['1', '2', '3', '4', 'q', 'w', 'e', 'r', 'a', 's', 'd', 'f', 'z', 'x', 'c', 'v'];
+
+// MIDI note of the first launcher pad (C1, the usual first drum pad)
+const LAUNCHER_BASE_NOTE = 36;
+
+// Buttons that can be learned to MIDI notes
+const MIDI_BUTTON_TARGETS = {
+    playBtn: 'Play/Pause',
+    stopBtn: 'Stop',
+    tapTempoBtn: 'Tap Tempo',
+    deckABtn: 'Deck A',
+    deckBBtn: 'Deck B'
+};
+
+// Dual decks: the selected deck's state lives on the app and is parked on its deck while the other one is edited
+const DECK_IDS = ['A', 'B'];
+const DECK_FIELDS = ['lyriaClient', 'isConnected', 'isPlaying', 'isReconnecting', 'currentParams', 'streamBpm', 'customPrompts', 'promptWeights', 'promptHistory'];
+
+// Momentary performance FX pads (MIDI target 'perf:<effect>') and their keys
+const PERFORMANCE_PADS = {
+    lpSweep: { name: 'LP Sweep', key: '5' },
+    hpSweep: { name: 'HP Sweep', key: '6' },
+    echo: { name: 'Echo', key: '7' },
+    stutter4: { name: 'Stutter 1/4', key: '8' },
+    stutter8: { name: 'Stutter 1/8', key: '9' },
+    tapeStop: { name: 'Tape Stop', key: '0' }
+};
+
+// Pause between stopping the old stream and requesting the new one on a BPM/scale change
+const RESTART_SETTLE_MS = 100;
+const MIDI_CHANGE_INTERVAL_MS = 100; // a knob sweep applies its control (and messages Lyria) at most this often
+
+const TARGET_LATENCY_KEY = 'generafrica_target_latency';
+const OUTPUTS_KEY = 'generafrica_outputs';
+const DIAGNOSTICS_INTERVAL_MS = 500;
+
+export class GenerAfricaApp {
     constructor() {
         this.lyriaClient = null;
         this.audioPlayer = new AudioPlayer();
         this.midiManager = new MidiManager();
+        this.midiInputTarget = null; // control being moved by MIDI (no feedback echo)
+        this.midiChangeThrottles = new Map(); // control id → { pending, target } while its MIDI changes are throttled
+        this.midiClock = new MidiClock();
+        this.recorder = new Recorder();
+        this.takeStore = new TakeStore();
+        this.takes = [];
+        this.automation = new Automation();
+        this.automationDrag = null; // { param, index } while dragging a breakpoint
+        this.sceneManager = new SceneManager();
+        this.sceneLauncher = new SceneLauncher();
+        this.tapTempo = new TapTempo();
         this.isConnected = false;
         this.isPlaying = false;
+        this.isReconnecting = false;
+
+        // BPM/scale changes wait for the next bar, then restart generation under a crossfade
+        this.pendingRestartConfig = null;
+        this.restartTimer = null;
+        this.isRestartingStream = false; // a BPM/scale restart is under way, until the new stream's first chunk
+        this.restartingConfig = null; // config of the restart under way
+        this.streamBpm = 90; // tempo of the audio playing now (currentParams.bpm may be queued)
+        this.diagnosticsTimer = null;
+        // Lyria endpoint override, e.g. ?lyriaUrl=ws://localhost:8765 for the mock server
+        const lyriaUrl = new URLSearchParams(window.location.search).get('lyriaUrl');
+        this.lyriaOptions = lyriaUrl ? { url: lyriaUrl } : {};
+        this.useProxy = false; // served by server.mjs, which holds the API key
+        this.cueBus = new CueBus(this.lyriaOptions);
+        this.outputSettings = { main: { device: '', pair: 0 }, cue: { device: '', pair: 0 } };
+
+        // Each deck has its own session and player; deck B's player is created in init on deck A's context
+        this.decks = {
+            A: { id: 'A', player: this.audioPlayer },
+            B: { id: 'B', player: null }
+        };
+        this.activeDeck = this.decks.A;
+        this.isSwitchingDeck = false;
 
         // Current parameters
         this.currentParams = {
             bpm: 90,
             density: 0.6,
-            brightness: 0.5
+            brightness: 0.5,
+            guidance: 2.0,
+            temperature: 1.1,
+            topK: 40,
+            scale: 'SCALE_UNSPECIFIED',
+            muteDrums: false,
+            muteBass: false,
+            onlyBassAndDrums: true
         };
 
+        // Per-prompt mixer state (weights survive chips being toggled off and on)
+        this.promptWeights = new Map();
+        this.customPrompts = [];
+        this.promptHistory = this.createPromptHistory(); // accepted/filtered prompts of this deck's session
+
         // Cache DOM elements
         this.elements = {};
         this.cacheElements();
@@ -56,342 +245,2862 @@ class GenerAfricaApp {
             visualizer: document.getElementById('visualizer'),
             visualizerOverlay: document.getElementById('visualizerOverlay'),
 
+            // Automation
+            automationRecBtn: document.getElementById('automationRecBtn'),
+            automationPlayBtn: document.getElementById('automationPlayBtn'),
+            automationModeSelect: document.getElementById('automationModeSelect'),
+            automationLaneSelect: document.getElementById('automationLaneSelect'),
+            automationClearBtn: document.getElementById('automationClearBtn'),
+            automationCanvas: document.getElementById('automationCanvas'),
+
             // Transport
             playBtn: document.getElementById('playBtn'),
             playBtnIcon: document.getElementById('playBtnIcon'),
             playBtnLabel: document.getElementById('playBtnLabel'),
             stopBtn: document.getElementById('stopBtn'),
 
+            // Looper
+            loopBarsSelect: document.getElementById('loopBarsSelect'),
+            loopSlots: document.getElementById('loopSlots'),
+
+            // Decks
+            deckABtn: document.getElementById('deckABtn'),
+            deckBBtn: document.getElementById('deckBBtn'),
+            crossfaderSlider: document.getElementById('crossfaderSlider'),
+            crossfaderValue: document.getElementById('crossfaderValue'),
+
+            // Recorder
+            recordArmBtn: document.getElementById('recordArmBtn'),
+            recordBtn: document.getElementById('recordBtn'),
+            recordStopBtn: document.getElementById('recordStopBtn'),
+            recordTime: document.getElementById('recordTime'),
+            takeList: document.getElementById('takeList'),
+
             // Prompt
             instrumentGrid: document.getElementById('instrumentGrid'),
             rhythmGrid: document.getElementById('rhythmGrid'),
+            customPromptInput: document.getElementById('customPromptInput'),
+            addCustomPromptBtn: document.getElementById('addCustomPromptBtn'),
+            promptMixer: document.getElementById('promptMixer'),
             promptPreview: document.getElementById('promptPreview'),
+            promptHistoryList: document.getElementById('promptHistoryList'),
+            promptHistoryCount: document.getElementById('promptHistoryCount'),
 
             // Parameters
             bpmSlider: document.getElementById('bpmSlider'),
+            tapTempoBtn: document.getElementById('tapTempoBtn'),
             bpmValue: document.getElementById('bpmValue'),
             densitySlider: document.getElementById('densitySlider'),
             densityValue: document.getElementById('densityValue'),
             brightnessSlider: document.getElementById('brightnessSlider'),
             brightnessValue: document.getElementById('brightnessValue'),
 
+            // Advanced parameters
+            guidanceSlider: document.getElementById('guidanceSlider'),
+            guidanceValue: document.getElementById('guidanceValue'),
+            temperatureSlider: document.getElementById('temperatureSlider'),
+            temperatureValue: document.getElementById('temperatureValue'),
+            topKSlider: document.getElementById('topKSlider'),
+            topKValue: document.getElementById('topKValue'),
+            scaleSelect: document.getElementById('scaleSelect'),
+            muteDrumsToggle: document.getElementById('muteDrumsToggle'),
+            muteBassToggle: document.getElementById('muteBassToggle'),
+            onlyBassAndDrumsToggle: document.getElementById('onlyBassAndDrumsToggle'),
+
+            // Scenes
+            sceneNameInput: document.getElementById('sceneNameInput'),
+            saveSceneBtn: document.getElementById('saveSceneBtn'),
+            morphBarsSelect: document.getElementById('morphBarsSelect'),
+            exportScenesBtn: document.getElementById('exportScenesBtn'),
+            importScenesBtn: document.getElementById('importScenesBtn'),
+            importScenesInput: document.getElementById('importScenesInput'),
+            sceneList: document.getElementById('sceneList'),
+
+            // Scene launcher
+            launcherGrid: document.getElementById('launcherGrid'),
+            launcherSizeSelect: document.getElementById('launcherSizeSelect'),
+
             // MIDI
             midiStatus: document.getElementById('midiStatus'),
+            midiProfileSelect: document.getElementById('midiProfileSelect'),
+            midiProfileNameInput: document.getElementById('midiProfileNameInput'),
+            saveMidiProfileBtn: document.getElementById('saveMidiProfileBtn'),
+            deleteMidiProfileBtn: document.getElementById('deleteMidiProfileBtn'),
+            exportMidiProfilesBtn: document.getElementById('exportMidiProfilesBtn'),
+            importMidiProfilesBtn: document.getElementById('importMidiProfilesBtn'),
+            importMidiProfilesInput: document.getElementById('importMidiProfilesInput'),
+            midiMappingList: document.getElementById('midiMappingList'),
+            midiClockModeSelect: document.getElementById('midiClockModeSelect'),
+            midiClockPortSelect: document.getElementById('midiClockPortSelect'),
+            midiClockBpm: document.getElementById('midiClockBpm'),
+
+            // Diagnostics
+            diagnosticsOverlay: document.getElementById('diagnosticsOverlay'),
+            diagDepth: document.getElementById('diagDepth'),
+            diagLatency: document.getElementById('diagLatency'),
+            diagJitter: document.getElementById('diagJitter'),
+            diagUnderruns: document.getElementById('diagUnderruns'),
+            diagOverruns: document.getElementById('diagOverruns'),
+            diagChunks: document.getElementById('diagChunks'),
+            targetLatencySelect: document.getElementById('targetLatencySelect'),
+
+            // Performance FX
+            perfPadGrid: document.getElementById('perfPadGrid'),
+
+            // Outputs
+            mainOutputSelect: document.getElementById('mainOutputSelect'),
+            mainChannelsSelect: document.getElementById('mainChannelsSelect'),
+            cueOutputSelect: document.getElementById('cueOutputSelect'),
+            cueChannelsSelect: document.getElementById('cueChannelsSelect'),
+            cueSceneSelect: document.getElementById('cueSceneSelect'),
+            cueBtn: document.getElementById('cueBtn'),
+
+            // Master FX
+            fxEqBypass: document.getElementById('fxEqBypass'),
+            fxLowSlider: document.getElementById('fxLowSlider'),
+            fxLowValue: document.getElementById('fxLowValue'),
+            fxMidSlider: document.getElementById('fxMidSlider'),
+            fxMidValue: document.getElementById('fxMidValue'),
+            fxHighSlider: document.getElementById('fxHighSlider'),
+            fxHighValue: document.getElementById('fxHighValue'),
+            fxCompressorBypass: document.getElementById('fxCompressorBypass'),
+            fxThresholdSlider: document.getElementById('fxThresholdSlider'),
+            fxThresholdValue: document.getElementById('fxThresholdValue'),
+            fxRatioSlider: document.getElementById('fxRatioSlider'),
+            fxRatioValue: document.getElementById('fxRatioValue'),
+            fxMakeupSlider: document.getElementById('fxMakeupSlider'),
+            fxMakeupValue: document.getElementById('fxMakeupValue'),
+            fxReverbBypass: document.getElementById('fxReverbBypass'),
+            fxRoomSelect: document.getElementById('fxRoomSelect'),
+            fxReverbMixSlider: document.getElementById('fxReverbMixSlider'),
+            fxReverbMixValue: document.getElementById('fxReverbMixValue'),
+            fxWidthBypass: document.getElementById('fxWidthBypass'),
+            fxWidthSlider: document.getElementById('fxWidthSlider'),
+            fxWidthValue: document.getElementById('fxWidthValue'),
+
+            // Toast
+            toastContainer: document.getElementById('toastContainer')
+        };
+    }
+
+    async init() {
+        this.setupEventListeners();
+        this.renderPromptMixer();
+        this.updatePromptPreview();
+        await this.audioPlayer.init();
+        this.decks.B.player = new AudioPlayer({
+            context: this.audioPlayer.audioContext,
+            destination: this.audioPlayer.mixInput
+        });
+        await this.decks.B.player.init();
+        this.setCrossfader(this.elements.crossfaderSlider.value / 100);
+        this.initLooper();
+        this.syncFxControls();
+        this.audioPlayer.performanceFx.onActiveChange = (effect, active) => {
+            this.updatePerformancePad(effect, active);
+        };
+        this.setupVisualizer();
+        await this.initMidi();
+        await this.initRecorder();
+        this.initAutomation();
+        this.sceneManager.onScenesChange = () => {
+            this.renderSceneList();
+            this.renderCueScenes();
+        };
+        this.renderSceneList();
+        this.initSceneLauncher();
+        await this.initOutputs();
+
+        // Jitter buffer target latency
+        const storedLatency = localStorage.getItem(TARGET_LATENCY_KEY);
+        if (storedLatency) {
+            this.elements.targetLatencySelect.value = storedLatency;
+        }
+        this.setTargetLatency(parseInt(this.elements.targetLatencySelect.value) / 1000);
+
+        // Check for the local proxy, then for a stored API key
+        await this.detectProxy();
+        const storedKey = localStorage.getItem('lyria_api_key');
+        if (storedKey && !this.useProxy) {
+            this.elements.apiKeyInput.value = storedKey;
+        }
+
+        console.log('[App] Initialized');
+    }
+
+    async initMidi() {
+        // Set up MIDI callbacks
+        this.midiManager.onParameterChange = (sliderId, midiValue) => {
+            this.handleMidiCC(sliderId, midiValue);
+        };
+
+        this.midiManager.onTrigger = (targetId, pressed, mapping) => {
+            this.handleMidiTrigger(targetId, pressed, mapping);
+        };
+
+        // Unmapped notes play launcher pads
+        this.midiManager.onNoteOn = (note) => {
+            const pad = this.sceneLauncher.visiblePads[note - LAUNCHER_BASE_NOTE];
+            if (pad !== undefined) {
+                this.sceneLauncher.trigger(pad);
+            }
+        };
+
+        // Unmapped Program Changes recall scenes in list order
+        this.midiManager.onProgramChange = (program) => {
+            const scene = this.sceneManager.scenes[program];
+            if (scene) {
+                this.recallScene(scene.name);
+            }
+        };
+
+        this.midiManager.onMidiStateChange = (connected) => {
+            this.updateMidiStatus(connected);
+            // Device choices in the mapping list follow the connected inputs
+            this.renderMidiMappings();
+            this.syncMidiFeedback();
+            // Ports may have come or gone
+            this.renderMidiClockPorts();
+            this.startMidiClock();
+        };
+
+        this.midiManager.onClock = (message, device, timeStamp) => {
+            this.midiClock.handleMessage(message, device, timeStamp);
+        };
+
+        this.midiManager.onMappingsChange = () => {
+            this.updateMidiMappedIndicators();
+            this.renderMidiMappings();
+            this.renderMidiProfiles();
+            this.syncMidiFeedback();
+        };
+
+        this.midiManager.onLearnStart = (targetId) => {
+            // Highlight the control being learned
+            const el = this.getMidiTargetElement(targetId);
+            if (el) {
+                el.classList.add('midi-learning');
+            }
+            const { types, mode } = this.midiManager.learning;
+            const action = types.includes('cc') ? 'Move a MIDI knob'
+                : types.includes('program') ? 'Send a Program Change or press a pad'
+                    : `Press a MIDI pad${mode ? ` (${mode})` : ''}`;
+            this.showToast(`${action} to assign to ${this.getMidiTargetName(targetId)}...`, 'info');
+        };
+
+        this.midiManager.onLearnComplete = (targetId, mapping) => {
+            // Remove learning highlight (the mapped indicator follows onMappingsChange)
+            this.clearMidiLearnHighlight();
+
+            this.showToast(`${this.getMidiTargetName(targetId)} mapped to ${this.midiManager.describeMapping(mapping)}`, 'success');
+        };
+
+        const supported = await this.midiManager.init();
+        this.updateMidiStatus(this.midiManager.isConnected);
+
+        if (!supported) {
+            console.log('[App] Web MIDI not supported');
+        }
+
+        // Restore visual state for existing mappings
+        this.updateMidiMappedIndicators();
+        this.renderMidiMappings();
+        this.renderMidiProfiles();
+
+        this.initMidiClock();
+    }
+
+    initMidiClock() {
+        // Slave: external tempo goes through the BPM slider (and its stop/restart path)
+        this.midiClock.onTempo = (bpm) => {
+            const slider = this.elements.bpmSlider;
+            const clamped = Math.max(parseInt(slider.min), Math.min(parseInt(slider.max), bpm));
+            if (clamped === this.currentParams.bpm) return;
+            slider.value = clamped;
+            slider.dispatchEvent(new Event('input'));
+            slider.dispatchEvent(new Event('change'));
+        };
+        this.midiClock.onTransport = (message) => {
+            if (message === 'stop') {
+                this.handleStop();
+            } else if (!this.isPlaying && !this.elements.playBtn.disabled) {
+                this.togglePlayPause();
+            }
+        };
+        this.midiClock.onTempoMeasured = (bpm) => {
+            this.elements.midiClockBpm.textContent = bpm === null ? '' : `${bpm.toFixed(1)} BPM`;
+        };
+
+        this.elements.midiClockModeSelect.value = this.midiClock.mode;
+        this.renderMidiClockPorts();
+        this.startMidiClock();
+    }
+
+    /**
+     * Port choices: inputs to follow in slave mode, outputs to drive in master mode
+     */
+    renderMidiClockPorts() {
+        const select = this.elements.midiClockPortSelect;
+        const { mode, port } = this.midiClock;
+        select.innerHTML = '';
+        select.disabled = mode === 'off';
+
+        const names = mode === 'master' ? this.midiManager.outputNames : this.midiManager.deviceNames;
+        if (mode === 'slave') {
+            select.add(new Option('Any input', ''));
+        }
+        for (const name of names) {
+            select.add(new Option(name, name));
+        }
+        if (port && !names.includes(port)) {
+            select.add(new Option(`${port} (offline)`, port));
+        }
+        select.value = port;
+    }
+
+    /**
+     * (Re)start sending clock in master mode, resolving the chosen output
+     */
+    startMidiClock() {
+        if (this.midiClock.mode !== 'master') return;
+
+        // Outputs are re-created on every device change, so always look the port up again
+        this.midiClock.stopMaster();
+        const port = this.midiClock.port || this.midiManager.outputNames[0];
+        const output = port && this.midiManager.getOutput(port);
+        if (output) {
+            this.midiClock.startMaster(output, this.streamBpm);
+        }
+    }
+
+    setMidiClockMode(mode, port) {
+        // Master mode needs an output; default to the first one
+        if (mode === 'master' && !port) {
+            port = this.midiManager.outputNames[0] || '';
+        }
+        this.midiClock.setMode(mode, port);
+        this.renderMidiClockPorts();
+        this.startMidiClock();
+    }
+
+    /**
+     * Element that shows the learn/mapped state of a MIDI target
+     */
+    getMidiTargetElement(targetId) {
+        if (MIDI_LEARNABLE_SLIDERS.includes(targetId)) {
+            const slider = this.elements[targetId];
+            return slider ? slider.closest('.param-control') : null;
+        }
+        if (targetId in MIDI_BUTTON_TARGETS) {
+            return this.elements[targetId];
+        }
+        if (targetId.startsWith('chip:')) {
+            const input = this.getChipInput(targetId.slice(5));
+            return input ? input.closest('.chip') : null;
+        }
+        if (targetId.startsWith('scene:')) {
+            return this.elements.sceneList.querySelector(`.scene-item[data-scene="${CSS.escape(targetId.slice(6))}"]`);
+        }
+        if (targetId.startsWith('perf:')) {
+            return this.elements.perfPadGrid.querySelector(`.perf-pad[data-effect="${CSS.escape(targetId.slice(5))}"]`);
+        }
+        return null;
+    }
+
+    getMidiTargetName(targetId) {
+        if (SLIDER_NAMES[targetId]) return SLIDER_NAMES[targetId];
+        if (MIDI_BUTTON_TARGETS[targetId]) return MIDI_BUTTON_TARGETS[targetId];
+        if (targetId.startsWith('chip:')) {
+            const input = this.getChipInput(targetId.slice(5));
+            return input ? input.nextElementSibling.textContent : targetId.slice(5);
+        }
+        if (targetId.startsWith('scene:')) return `Scene "${targetId.slice(6)}"`;
+        if (targetId.startsWith('perf:')) return PERFORMANCE_PADS[targetId.slice(5)]?.name || targetId.slice(5);
+        return targetId;
+    }
+
+    getChipInput(value) {
+        const selector = `input[value="${CSS.escape(value)}"]`;
+        return this.elements.instrumentGrid.querySelector(selector) || this.elements.rhythmGrid.querySelector(selector);
+    }
+
+    /**
+     * Right-click on a learnable control: cancel a running learn, clear an existing mapping, or start learning
+     * @param {object} options - Passed to MidiManager.startLearn ({ types, mode })
+     */
+    toggleMidiLearn(targetId, options) {
+        if (this.midiManager.isLearning) {
+            // Cancel current learn
+            this.midiManager.cancelLearn();
+            this.clearMidiLearnHighlight();
+            this.showToast('MIDI learn cancelled', 'info');
+            return;
+        }
+
+        if (this.midiManager.hasMapping(targetId)) {
+            // Clear existing mapping
+            this.midiManager.clearMapping(targetId);
+            this.showToast(`${this.getMidiTargetName(targetId)} MIDI mapping cleared`, 'info');
+        } else {
+            // Start learning
+            this.midiManager.startLearn(targetId, options);
+        }
+    }
+
+    clearMidiLearnHighlight() {
+        document.querySelectorAll('.midi-learning').forEach(el => {
+            el.classList.remove('midi-learning');
+        });
+    }
+
+    /**
+     * Mark every mapped control (scene items are re-rendered, so this runs again after renderSceneList)
+     */
+    updateMidiMappedIndicators() {
+        document.querySelectorAll('.midi-mapped').forEach(el => {
+            el.classList.remove('midi-mapped');
+        });
+        for (const targetId of Object.keys(this.midiManager.mappings)) {
+            const el = this.getMidiTargetElement(targetId);
+            if (el) {
+                el.classList.add('midi-mapped');
+            }
+        }
+    }
+
+    /**
+     * Handle a mapped MIDI note or Program Change
+     * @param {boolean} pressed - false on Note Off
+     */
+    handleMidiTrigger(targetId, pressed, mapping) {
+        if (targetId.startsWith('chip:')) {
+            const input = this.getChipInput(targetId.slice(5));
+            if (!input) return;
+
+            // Momentary chips follow the pad; latched chips toggle on each press
+            const checked = mapping.mode === 'momentary' ? pressed : (pressed ? !input.checked : input.checked);
+            if (checked !== input.checked) {
+                input.checked = checked;
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            return;
+        }
+
+        if (targetId.startsWith('perf:')) {
+            // Performance pads are momentary unless the mapping latches them
+            const effect = targetId.slice(5);
+            const active = this.audioPlayer.performanceFx.isActive(effect);
+            const on = mapping.mode === 'latch' ? (pressed ? !active : active) : pressed;
+            if (on) {
+                this.pressPerformancePad(effect);
+            } else {
+                this.releasePerformancePad(effect);
+            }
+            return;
+        }
+
+        if (!pressed) return;
+
+        if (targetId === 'playBtn') {
+            if (!this.elements.playBtn.disabled) this.togglePlayPause();
+        } else if (targetId === 'stopBtn') {
+            if (!this.elements.stopBtn.disabled) this.handleStop();
+        } else if (targetId === 'tapTempoBtn') {
+            this.handleTapTempo();
+        } else if (targetId === 'deckABtn' || targetId === 'deckBBtn') {
+            this.selectDeck(this.elements[targetId].dataset.deck);
+        } else if (targetId.startsWith('scene:')) {
+            this.recallScene(targetId.slice(6));
+        }
+    }
+
+    /**
+     * Current value of a MIDI target on the 0-127 scale (inverse of handleMidiCC), or null
+     */
+    getMidiValue(targetId) {
+        if (targetId.startsWith('chip:')) {
+            const input = this.getChipInput(targetId.slice(5));
+            return input ? (input.checked ? 127 : 0) : null;
+        }
+        if (targetId.startsWith('perf:')) {
+            return this.audioPlayer.performanceFx?.isActive(targetId.slice(5)) ? 127 : 0;
+        }
+
+        const control = MIDI_LEARNABLE_SLIDERS.includes(targetId) ? this.elements[targetId] : null;
+        if (!control) return null;
+
+        const mapping = this.midiManager.getMapping(targetId);
+        return this.midiManager.positionToValue(mapping, this.getControlPosition(control, mapping));
+    }
+
+    /**
+     * Send a control's value to its mapped controller
+     */
+    sendMidiFeedback(targetId) {
+        if (targetId === this.midiInputTarget || !this.midiManager.hasMapping(targetId)) return;
+        const value = this.getMidiValue(targetId);
+        if (value !== null) {
+            this.midiManager.sendFeedback(targetId, value);
+        }
+    }
+
+    /**
+     * Bring every mapped controller in line with the UI
+     */
+    syncMidiFeedback() {
+        for (const targetId of Object.keys(this.midiManager.mappings)) {
+            this.sendMidiFeedback(targetId);
+        }
+    }
+
+    /**
+     * Mapping list: one editable row per mapping in the active profile
+     */
+    renderMidiMappings() {
+        const list = this.elements.midiMappingList;
+        list.innerHTML = '';
+
+        const entries = Object.entries(this.midiManager.mappings);
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 10;
+            cell.className = 'midi-mapping-empty';
+            cell.textContent = 'Right-click a control to learn a mapping';
+            row.appendChild(cell);
+            list.appendChild(row);
+            return;
+        }
+
+        const devices = this.midiManager.deviceNames;
+        for (const [targetId, mapping] of entries) {
+            const row = document.createElement('tr');
+            row.dataset.target = targetId;
+
+            const deviceSelect = document.createElement('select');
+            deviceSelect.className = 'select-input';
+            deviceSelect.dataset.field = 'device';
+            deviceSelect.add(new Option('Any device', ''));
+            for (const name of devices) {
+                deviceSelect.add(new Option(name, name));
+            }
+            if (mapping.device && !devices.includes(mapping.device)) {
+                const [standIn] = this.midiManager.getStandIns(mapping);
+                deviceSelect.add(new Option(`${mapping.device} (${standIn ? `via ${standIn}` : 'offline'})`, mapping.device));
+            }
+            deviceSelect.value = mapping.device || '';
+            deviceSelect.title = 'Mappings follow the port name. While that port is offline, a connected controller of the same ' +
+                'manufacturer and model stands in; two identical controllers are told apart only by their port names.';
+
+            const type = mapping.type || 'cc';
+            const isProgram = type === 'program';
+            const channel = this.createMidiNumberInput('channel', mapping.channel + 1, 1, 16);
+            const number = this.createMidiNumberInput('number', isProgram ? mapping.program + 1 : mapping[type],
+                isProgram ? 1 : 0, isProgram ? 128 : 127);
+            const typeLabel = document.createElement('span');
+            typeLabel.textContent = { cc: 'CC', note: 'Note', program: 'PC' }[type];
+
+            const modeSelect = this.createMidiSelect('mode', type === 'cc' ? CC_MODES : NOTE_MODES,
+                mapping.mode || (type === 'cc' ? 'absolute' : 'latch'));
+            modeSelect.disabled = isProgram;
+
+            // Range, curve and inversion shape CC values
+            const control = this.elements[targetId];
+            const hasRange = type === 'cc' && control && control.type === 'range';
+            const range = hasRange ? this.getMidiRange(control, mapping) : null;
+            const rangeMin = this.createMidiNumberInput('min', range ? range.min : '', control && control.min, control && control.max);
+            const rangeMax = this.createMidiNumberInput('max', range ? range.max : '', control && control.min, control && control.max);
+            rangeMin.step = rangeMax.step = (control && control.step) || 'any';
+            rangeMin.disabled = rangeMax.disabled = !hasRange;
+
+            const curveSelect = this.createMidiSelect('curve', CURVES, mapping.curve || 'linear');
+            curveSelect.disabled = type !== 'cc';
+
+            const invert = document.createElement('input');
+            invert.type = 'checkbox';
+            invert.dataset.field = 'invert';
+            invert.checked = !!mapping.invert;
+            invert.disabled = type !== 'cc';
+
+            const feedback = document.createElement('input');
+            feedback.type = 'checkbox';
+            feedback.dataset.field = 'feedback';
+            feedback.checked = mapping.feedback !== false;
+            feedback.disabled = isProgram;
+            feedback.title = 'Send value changes back to the controller';
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'midi-mapping-delete';
+            deleteBtn.textContent = '×';
+            deleteBtn.title = 'Remove mapping';
+
+            const cells = [
+                [this.getMidiTargetName(targetId)], [deviceSelect], [channel], [typeLabel, number],
+                [modeSelect], [rangeMin, '–', rangeMax], [curveSelect], [invert], [feedback], [deleteBtn]
+            ];
+            for (const content of cells) {
+                const cell = document.createElement('td');
+                cell.append(...content);
+                row.appendChild(cell);
+            }
+            list.appendChild(row);
+        }
+    }
+
+    createMidiSelect(field, options, value) {
+        const select = document.createElement('select');
+        select.className = 'select-input';
+        select.dataset.field = field;
+        for (const [key, label] of Object.entries(options)) {
+            select.add(new Option(label, key));
+        }
+        select.value = value;
+        return select;
+    }
+
+    createMidiNumberInput(field, value, min, max) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.dataset.field = field;
+        input.min = min;
+        input.max = max;
+        input.value = value;
+        return input;
+    }
+
+    /**
+     * Apply an edit from the mapping list
+     */
+    editMidiMapping(targetId, field, rawValue) {
+        const mapping = this.midiManager.getMapping(targetId);
+        if (!mapping) return;
+
+        if (field === 'device') {
+            this.midiManager.updateMapping(targetId, { device: rawValue || null });
+            return;
+        }
+        if (field === 'feedback' || field === 'invert' || field === 'mode' || field === 'curve') {
+            this.midiManager.updateMapping(targetId, { [field]: rawValue });
+            return;
+        }
+        if (field === 'min' || field === 'max') {
+            // Empty resets to the slider's own limit
+            const limit = parseFloat(rawValue);
+            this.midiManager.updateMapping(targetId, { [field]: isNaN(limit) ? null : limit });
+            return;
+        }
+
+        const value = parseInt(rawValue);
+        if (isNaN(value)) {
+            this.renderMidiMappings();
+            return;
+        }
+
+        const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+        if (field === 'channel') {
+            this.midiManager.updateMapping(targetId, { channel: clamp(value, 1, 16) - 1 });
+        } else {
+            const type = mapping.type || 'cc';
+            const number = type === 'program' ? clamp(value, 1, 128) - 1 : clamp(value, 0, 127);
+            this.midiManager.updateMapping(targetId, { [type]: number });
+        }
+    }
+
+    renderMidiProfiles() {
+        const select = this.elements.midiProfileSelect;
+        select.innerHTML = '';
+        for (const name of this.midiManager.profileNames) {
+            select.add(new Option(name, name));
+        }
+        select.value = this.midiManager.activeProfile;
+    }
+
+    saveMidiProfile() {
+        const name = this.elements.midiProfileNameInput.value.trim();
+        if (!name) {
+            this.showToast('Enter a profile name', 'error');
+            return;
+        }
+        this.midiManager.saveProfile(name);
+        this.elements.midiProfileNameInput.value = '';
+        this.showToast(`MIDI profile "${name}" saved`, 'success');
+    }
+
+    deleteMidiProfile() {
+        const name = this.midiManager.activeProfile;
+        this.midiManager.deleteProfile(name);
+        this.showToast(`MIDI profile "${name}" deleted`, 'info');
+    }
+
+    exportMidiProfiles() {
+        const blob = new Blob([this.midiManager.exportProfiles()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'generafrica-midi-profiles.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async importMidiProfiles(file) {
+        if (!file) return;
+        try {
+            const count = this.midiManager.importProfiles(await file.text());
+            this.showToast(`Imported ${count} MIDI profile${count === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('[App] MIDI profile import failed:', error);
+            this.showToast('Could not import MIDI profiles: ' + error.message, 'error');
+        }
+        this.elements.importMidiProfilesInput.value = '';
+    }
+
+    async initRecorder() {
+        // Takes hold what was heard from the decks: the crossfaded mix, tapped while recording
+        this.recorder.sampleRate = this.audioPlayer.audioContext.sampleRate;
+        this.audioPlayer.onMixTap = (pcm) => {
+            if (this.recorder.isRecording) {
+                this.recorder.addChunk(pcm);
+            }
+        };
+        this.recorder.onStateChange = (state) => {
+            this.audioPlayer.setMixTap(state === 'recording');
+            this.updateRecorderUI(state);
+        };
+        this.recorder.onProgress = (duration) => {
+            this.elements.recordTime.textContent = this.formatDuration(duration);
+        };
+
+        try {
+            this.takes = await this.takeStore.getAll();
+            // Continue numbering after the highest stored take
+            this.recorder.takeCount = this.takes.reduce((max, take) => {
+                return Math.max(max, parseInt(take.name.replace(/\D/g, ''), 10) || 0);
+            }, 0);
+        } catch (error) {
+            console.warn('[App] Could not load takes:', error);
+            this.takes = [];
+        }
+        this.renderTakeList();
+    }
+
+    initAutomation() {
+        this.automation.onApply = (param, value, deckId) => this.applyAutomationValue(param, value, deckId);
+        this.automation.onStateChange = ({ isRecording, isPlaying }) => {
+            this.elements.automationRecBtn.classList.toggle('active', isRecording);
+            this.elements.automationPlayBtn.classList.toggle('active', isPlaying);
+        };
+    }
+
+    initSceneLauncher() {
+        // Launches land on the next bar of the playing stream
+        this.sceneLauncher.getLaunchDelay = () => {
+            if (!this.isPlaying) return null;
+            return this.deckPlayer.getTimeToNextBar(this.streamBpm, BEATS_PER_BAR);
+        };
+        this.sceneLauncher.onLaunch = (index, sceneName) => {
+            const scene = this.sceneManager.getScene(sceneName);
+            if (!scene) {
+                this.showToast(`Scene "${sceneName}" no longer exists`, 'error');
+                return;
+            }
+            this.sceneManager.cancelMorph();
+            this.applyScene(scene);
+        };
+        this.sceneLauncher.onPadsChange = () => this.renderLauncher();
+        this.elements.launcherSizeSelect.value = String(this.sceneLauncher.size);
+        this.renderLauncher();
+    }
+
+    handleMidiCC(sliderId, midiValue) {
+        const slider = this.elements[sliderId];
+        const mapping = this.midiManager.getMapping(sliderId);
+        if (!slider || !mapping) return;
+
+        // Pickup only matters for continuous sliders; switches and dropdowns follow the knob
+        const resolveAs = mapping.mode === 'pickup' && slider.type !== 'range' ? { ...mapping, mode: 'absolute' } : mapping;
+        const position = this.midiManager.resolveControlChange(sliderId, resolveAs, midiValue,
+            this.getControlPosition(slider, mapping), this.getControlStep(slider, mapping));
+        if (position === null) return;
+
+        // Don't echo an absolute knob's own value back to it (relative encoders need their LED ring updated)
+        this.midiInputTarget = this.midiManager.isRelative(mapping) ? null : sliderId;
+        try {
+            this.applyMidiPosition(slider, sliderId, position, mapping);
+        } finally {
+            this.midiInputTarget = null;
+        }
+    }
+
+    /**
+     * Move a control to a position (0..1) within its mapped range
+     */
+    applyMidiPosition(slider, sliderId, position, mapping) {
+        // Toggles switch at the midpoint of the range
+        if (slider.type === 'checkbox') {
+            const checked = position >= 0.5;
+            if (slider.checked !== checked) {
+                slider.checked = checked;
+                slider.dispatchEvent(new Event('change'));
+            }
+            return;
+        }
+
+        // Dropdowns spread their options evenly across the range
+        if (slider.tagName === 'SELECT') {
+            const index = Math.min(slider.options.length - 1, Math.floor(position * slider.options.length));
+            if (slider.selectedIndex !== index) {
+                slider.selectedIndex = index;
+                slider.dispatchEvent(new Event('change'));
+            }
+            return;
+        }
+
+        // Scale to the mapped part of the slider's min-max
+        const { min, max } = this.getMidiRange(slider, mapping);
+        const step = parseFloat(slider.step) || 1;
+        const scaled = min + position * (max - min);
+        const rounded = Math.round(scaled / step) * step;
+
+        console.log(`[MIDI] ${sliderId}: position=${position.toFixed(3)}, min=${min}, max=${max}, step=${step}, scaled=${scaled}, rounded=${rounded}`);
+
+        if (Math.abs(parseFloat(slider.value) - rounded) < step / 2) return;
+        slider.value = rounded;
+        slider.dispatchEvent(new Event('input'));
+
+        // Parameters are applied on 'change' (BPM also needs it for context reset)
+        this.dispatchMidiChange(slider, sliderId);
+    }
+
+    /**
+     * Fire a slider's 'change' at most every MIDI_CHANGE_INTERVAL_MS while a knob sweeps,
+     * like a mouse drag that only applies on release, always ending on the last value
+     */
+    dispatchMidiChange(slider, sliderId) {
+        const throttle = this.midiChangeThrottles.get(sliderId);
+        if (throttle) {
+            throttle.pending = true;
+            throttle.target = this.midiInputTarget;
+            return;
+        }
+
+        slider.dispatchEvent(new Event('change'));
+        const entry = { pending: false, target: null };
+        const release = () => {
+            if (!entry.pending) {
+                this.midiChangeThrottles.delete(sliderId);
+                return;
+            }
+            entry.pending = false;
+            // Still MIDI input, so no echo to an absolute knob
+            this.midiInputTarget = entry.target;
+            try {
+                slider.dispatchEvent(new Event('change'));
+            } finally {
+                this.midiInputTarget = null;
+            }
+            setTimeout(release, MIDI_CHANGE_INTERVAL_MS);
+        };
+        setTimeout(release, MIDI_CHANGE_INTERVAL_MS);
+        this.midiChangeThrottles.set(sliderId, entry);
+    }
+
+    /**
+     * A slider's mapped range: the mapping's min/max, kept within the slider's own limits
+     */
+    getMidiRange(control, mapping) {
+        const min = parseFloat(control.min);
+        const max = parseFloat(control.max);
+        const clamp = (v) => Math.max(min, Math.min(max, v));
+        return {
+            min: mapping && typeof mapping.min === 'number' ? clamp(mapping.min) : min,
+            max: mapping && typeof mapping.max === 'number' ? clamp(mapping.max) : max
+        };
+    }
+
+    /**
+     * Position change (0..1) of one slider step, dropdown option or toggle flip
+     */
+    getControlStep(control, mapping) {
+        if (control.type === 'checkbox') return 1;
+        if (control.tagName === 'SELECT') return 1 / control.options.length;
+        const { min, max } = this.getMidiRange(control, mapping);
+        return max === min ? 0 : (parseFloat(control.step) || 1) / Math.abs(max - min);
+    }
+
+    /**
+     * A control's current position (0..1) within its mapped range
+     */
+    getControlPosition(control, mapping) {
+        if (control.type === 'checkbox') {
+            return control.checked ? 1 : 0;
+        }
+        if (control.tagName === 'SELECT') {
+            // Middle of the option's slice of the range
+            return (control.selectedIndex + 0.5) / control.options.length;
+        }
+        const { min, max } = this.getMidiRange(control, mapping);
+        if (max === min) return 0;
+        return Math.max(0, Math.min(1, (parseFloat(control.value) - min) / (max - min)));
+    }
+
+    updateMidiStatus(connected) {
+        const el = this.elements.midiStatus;
+        if (!el) return;
+
+        if (connected) {
+            el.classList.add('connected');
+            el.title = `MIDI: ${this.midiManager.inputCount} device(s)`;
+        } else {
+            el.classList.remove('connected');
+            el.title = 'MIDI: No devices';
+        }
+    }
+
+    setupEventListeners() {
+        // Connection
+        this.elements.connectBtn.addEventListener('click', () => this.handleConnect());
+        this.elements.apiKeyInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleConnect();
+        });
+
+        // Transport controls
+        this.elements.playBtn.addEventListener('click', () => this.togglePlayPause());
+        this.elements.stopBtn.addEventListener('click', () => this.handleStop());
+
+        // Decks
+        for (const id of DECK_IDS) {
+            this.elements[`deck${id}Btn`].addEventListener('click', () => this.selectDeck(id));
+        }
+        this.elements.crossfaderSlider.addEventListener('input', (e) => this.setCrossfader(e.target.value / 100));
+
+        // Automation
+        this.elements.automationRecBtn.addEventListener('click', () => this.toggleAutomationRecording());
+        this.elements.automationPlayBtn.addEventListener('click', () => this.toggleAutomationPlayback());
+        this.elements.automationModeSelect.addEventListener('change', (e) => {
+            this.automation.mode = e.target.value;
+        });
+        this.elements.automationClearBtn.addEventListener('click', () => this.automation.clear());
+        this.setupAutomationEditor();
+
+        // Scenes
+        this.elements.saveSceneBtn.addEventListener('click', () => this.saveScene());
+        this.elements.sceneNameInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.saveScene();
+        });
+        this.elements.sceneList.addEventListener('click', (e) => {
+            const item = e.target.closest('.scene-item');
+            if (!item) return;
+            if (e.target.closest('.scene-delete')) {
+                this.sceneManager.deleteScene(item.dataset.scene);
+                this.sceneLauncher.removeScene(item.dataset.scene);
+                if (this.midiManager.hasMapping(`scene:${item.dataset.scene}`)) {
+                    this.midiManager.clearMapping(`scene:${item.dataset.scene}`);
+                }
+            } else {
+                this.recallScene(item.dataset.scene);
+            }
+        });
+        this.elements.exportScenesBtn.addEventListener('click', () => this.exportScenes());
+        this.elements.importScenesBtn.addEventListener('click', () => this.elements.importScenesInput.click());
+        this.elements.importScenesInput.addEventListener('change', (e) => this.importScenes(e.target.files[0]));
+
+        // Scene launcher: click launches, Shift+click stores the current state on the pad,
+        // right-click clears it, and scenes can be dragged onto pads
+        this.elements.sceneList.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.scene-item');
+            if (item) {
+                e.dataTransfer.setData('text/plain', item.dataset.scene);
+            }
+        });
+        this.elements.launcherGrid.addEventListener('click', (e) => {
+            const pad = e.target.closest('.launcher-pad');
+            if (!pad) return;
+            const index = parseInt(pad.dataset.index);
+            if (e.shiftKey) {
+                this.capturePad(index);
+            } else {
+                this.sceneLauncher.trigger(index);
+            }
+        });
+        this.elements.launcherGrid.addEventListener('contextmenu', (e) => {
+            const pad = e.target.closest('.launcher-pad');
+            if (!pad) return;
+            e.preventDefault();
+            this.sceneLauncher.clearPad(parseInt(pad.dataset.index));
+        });
+        this.elements.launcherGrid.addEventListener('dragover', (e) => {
+            if (e.target.closest('.launcher-pad')) e.preventDefault();
+        });
+        this.elements.launcherGrid.addEventListener('drop', (e) => {
+            const pad = e.target.closest('.launcher-pad');
+            const sceneName = e.dataTransfer.getData('text/plain');
+            if (!pad || !this.sceneManager.getScene(sceneName)) return;
+            e.preventDefault();
+            this.sceneLauncher.assignPad(parseInt(pad.dataset.index), sceneName);
+        });
+        this.elements.launcherSizeSelect.addEventListener('change', (e) => {
+            this.sceneLauncher.setSize(parseInt(e.target.value));
+        });
+
+        // Recorder
+        this.elements.recordArmBtn.addEventListener('click', () => this.toggleRecordArm());
+        this.elements.recordBtn.addEventListener('click', () => this.recorder.start(this.getTakeSnapshot()));
+        this.elements.recordStopBtn.addEventListener('click', () => this.stopRecording());
+        this.elements.takeList.addEventListener('click', (e) => {
+            const action = e.target.closest('.take-action');
+            if (!action) return;
+            const takeId = action.closest('.take-item').dataset.takeId;
+            if (action.dataset.action === 'delete') {
+                this.deleteTake(takeId);
+            } else {
+                this.exportTake(takeId, action.dataset.action);
+            }
+        });
+
+        // Prompt checkboxes — update on any change
+        this.elements.instrumentGrid.addEventListener('change', () => this.onPromptChange());
+        this.elements.rhythmGrid.addEventListener('change', () => this.onPromptChange());
+
+        // Free-text prompts
+        this.elements.addCustomPromptBtn.addEventListener('click', () => this.addCustomPrompt());
+        this.elements.customPromptInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addCustomPrompt();
+        });
+
+        // Prompt mixer faders — preview follows the fader, prompts are sent on release
+        this.elements.promptMixer.addEventListener('input', (e) => {
+            if (!e.target.matches('.mixer-fader')) return;
+            const weight = parseFloat(e.target.value);
+            this.promptWeights.set(e.target.dataset.prompt, weight);
+            e.target.closest('.mixer-row').querySelector('.mixer-value').textContent = weight.toFixed(2);
+            this.updatePromptPreview();
+        });
+        this.elements.promptMixer.addEventListener('change', (e) => {
+            if (!e.target.matches('.mixer-fader')) return;
+            this.applyPrompt();
+        });
+        this.elements.promptMixer.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.mixer-remove');
+            if (!removeBtn) return;
+            this.removeCustomPrompt(removeBtn.dataset.prompt);
+        });
+
+        // Parameter sliders
+        this.elements.bpmSlider.addEventListener('input', (e) => {
+            this.elements.bpmValue.textContent = e.target.value;
+        });
+        this.elements.tapTempoBtn.addEventListener('click', () => this.handleTapTempo());
+        this.elements.bpmSlider.addEventListener('change', (e) => {
+            this.currentParams.bpm = parseInt(e.target.value);
+            // BPM requires stop/play to take effect
+            this.applyConfigWithRestart({ bpm: this.currentParams.bpm });
+            this.showToast(`BPM: ${this.currentParams.bpm}`, 'info');
+        });
+
+        this.elements.densitySlider.addEventListener('input', (e) => {
+            this.elements.densityValue.textContent = `${e.target.value}%`;
+        });
+        this.elements.densitySlider.addEventListener('change', (e) => {
+            this.currentParams.density = e.target.value / 100;
+            this.applyConfig({ density: this.currentParams.density });
+        });
+
+        this.elements.brightnessSlider.addEventListener('input', (e) => {
+            this.elements.brightnessValue.textContent = `${e.target.value}%`;
+        });
+        this.elements.brightnessSlider.addEventListener('change', (e) => {
+            this.currentParams.brightness = e.target.value / 100;
+            this.applyConfig({ brightness: this.currentParams.brightness });
+        });
+
+        // Advanced parameters
+        this.elements.guidanceSlider.addEventListener('input', (e) => {
+            this.elements.guidanceValue.textContent = parseFloat(e.target.value).toFixed(1);
+        });
+        this.elements.guidanceSlider.addEventListener('change', (e) => {
+            this.currentParams.guidance = parseFloat(e.target.value);
+            this.applyConfig({ guidance: this.currentParams.guidance });
+        });
+
+        this.elements.temperatureSlider.addEventListener('input', (e) => {
+            this.elements.temperatureValue.textContent = parseFloat(e.target.value).toFixed(1);
+        });
+        this.elements.temperatureSlider.addEventListener('change', (e) => {
+            this.currentParams.temperature = parseFloat(e.target.value);
+            this.applyConfig({ temperature: this.currentParams.temperature });
+        });
+
+        this.elements.topKSlider.addEventListener('input', (e) => {
+            this.elements.topKValue.textContent = e.target.value;
+        });
+        this.elements.topKSlider.addEventListener('change', (e) => {
+            this.currentParams.topK = parseInt(e.target.value);
+            this.applyConfig({ topK: this.currentParams.topK });
+        });
+
+        this.elements.scaleSelect.addEventListener('change', (e) => {
+            this.currentParams.scale = e.target.value;
+            // Scale, like BPM, requires stop/play to take effect
+            this.applyConfigWithRestart({ scale: this.currentParams.scale });
+            this.showToast(`Scale: ${e.target.selectedOptions[0].textContent}`, 'info');
+        });
+
+        for (const [toggleId, param] of [
+            ['muteDrumsToggle', 'muteDrums'],
+            ['muteBassToggle', 'muteBass'],
+            ['onlyBassAndDrumsToggle', 'onlyBassAndDrums']
+        ]) {
+            this.elements[toggleId].addEventListener('change', (e) => {
+                this.currentParams[param] = e.target.checked;
+                this.applyConfig({ [param]: this.currentParams[param] });
+            });
+        }
+
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+
+        // Don't leave a held pad stuck on when the window loses focus mid-press
+        window.addEventListener('blur', () => this.audioPlayer.performanceFx?.releaseAll());
+
+        // Window resize
+        window.addEventListener('resize', () => this.resizeVisualizer());
+
+        // MIDI learn: right-click on any slider's param-control
+        for (const sliderId of MIDI_LEARNABLE_SLIDERS) {
+            const slider = this.elements[sliderId];
+            if (!slider) continue;
+
+            const paramControl = slider.closest('.param-control');
+            if (!paramControl) continue;
+
+            paramControl.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.toggleMidiLearn(sliderId, { types: ['cc'] });
+            });
+
+            // Keep LED rings and motorized faders in step with mouse and keyboard moves
+            slider.addEventListener('input', () => this.sendMidiFeedback(sliderId));
+            slider.addEventListener('change', () => this.sendMidiFeedback(sliderId));
+        }
+
+        // Transport buttons learn notes
+        for (const targetId of Object.keys(MIDI_BUTTON_TARGETS)) {
+            this.elements[targetId].addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.toggleMidiLearn(targetId, { types: ['note'] });
+            });
+        }
+
+        // Chips learn notes: right-click latches, Shift+right-click is momentary
+        for (const grid of [this.elements.instrumentGrid, this.elements.rhythmGrid]) {
+            grid.addEventListener('contextmenu', (e) => {
+                const chip = e.target.closest('.chip');
+                if (!chip) return;
+                e.preventDefault();
+                const value = chip.querySelector('input').value;
+                this.toggleMidiLearn(`chip:${value}`, { types: ['note'], mode: e.shiftKey ? 'momentary' : 'latch' });
+            });
+            // Light the chip's pad LED
+            grid.addEventListener('change', (e) => this.sendMidiFeedback(`chip:${e.target.value}`));
+        }
+
+        // Performance pads: held with the mouse, learn momentary notes on right-click
+        this.elements.perfPadGrid.addEventListener('pointerdown', (e) => {
+            const pad = e.target.closest('.perf-pad');
+            if (!pad || e.button !== 0) return;
+            pad.setPointerCapture(e.pointerId);
+            this.pressPerformancePad(pad.dataset.effect);
+        });
+        for (const type of ['pointerup', 'pointercancel']) {
+            this.elements.perfPadGrid.addEventListener(type, (e) => {
+                const pad = e.target.closest('.perf-pad');
+                if (pad) this.releasePerformancePad(pad.dataset.effect);
+            });
+        }
+        this.elements.perfPadGrid.addEventListener('contextmenu', (e) => {
+            const pad = e.target.closest('.perf-pad');
+            if (!pad) return;
+            e.preventDefault();
+            this.toggleMidiLearn(`perf:${pad.dataset.effect}`, { types: ['note'], mode: 'momentary' });
+        });
+
+        // MIDI profiles and mapping list
+        this.elements.midiProfileSelect.addEventListener('change', (e) => {
+            this.midiManager.switchProfile(e.target.value);
+            this.showToast(`MIDI profile "${e.target.value}"`, 'info');
+        });
+        this.elements.saveMidiProfileBtn.addEventListener('click', () => this.saveMidiProfile());
+        this.elements.midiProfileNameInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.saveMidiProfile();
+        });
+        this.elements.deleteMidiProfileBtn.addEventListener('click', () => this.deleteMidiProfile());
+        this.elements.exportMidiProfilesBtn.addEventListener('click', () => this.exportMidiProfiles());
+        this.elements.importMidiProfilesBtn.addEventListener('click', () => this.elements.importMidiProfilesInput.click());
+        this.elements.importMidiProfilesInput.addEventListener('change', (e) => this.importMidiProfiles(e.target.files[0]));
+        this.elements.midiMappingList.addEventListener('change', (e) => {
+            const row = e.target.closest('tr');
+            if (!row || !e.target.dataset.field) return;
+            const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            this.editMidiMapping(row.dataset.target, e.target.dataset.field, value);
+        });
+        this.elements.midiMappingList.addEventListener('click', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.closest('.midi-mapping-delete')) {
+                this.midiManager.clearMapping(row.dataset.target);
+            }
+        });
+
+        // Master FX: apply while dragging, save once the control settles
+        for (const controlId of Object.keys(FX_CONTROLS)) {
+            const control = this.elements[controlId];
+            control.addEventListener('input', () => this.handleFxInput(controlId));
+            control.addEventListener('change', () => {
+                this.handleFxInput(controlId);
+                this.audioPlayer.masterFx.saveSettings();
+            });
+        }
+
+        // Looper
+        this.elements.loopSlots.addEventListener('click', (e) => {
+            const action = e.target.closest('.loop-action');
+            if (!action) return;
+            const index = parseInt(action.closest('.loop-slot').dataset.slot);
+            const looper = this.audioPlayer.looper;
+            switch (action.dataset.action) {
+                case 'capture':
+                    this.captureLoop(index);
+                    break;
+                case 'play':
+                    this.toggleLoop(index);
+                    break;
+                case 'mute':
+                    looper.setMuted(index, !looper.slots[index].muted);
+                    break;
+                case 'wav':
+                    this.exportLoop(index);
+                    break;
+                case 'clear':
+                    looper.clear(index);
+                    break;
+            }
+        });
+        this.elements.loopSlots.addEventListener('input', (e) => {
+            if (!e.target.matches('.loop-volume')) return;
+            const index = parseInt(e.target.closest('.loop-slot').dataset.slot);
+            this.audioPlayer.looper.setVolume(index, e.target.value / 100);
+        });
+
+        // Outputs
+        this.elements.mainOutputSelect.addEventListener('change', (e) => this.setOutputDevice('main', e.target.value));
+        this.elements.cueOutputSelect.addEventListener('change', (e) => this.setOutputDevice('cue', e.target.value));
+        this.elements.mainChannelsSelect.addEventListener('change', (e) => this.setOutputPair('main', parseInt(e.target.value)));
+        this.elements.cueChannelsSelect.addEventListener('change', (e) => this.setOutputPair('cue', parseInt(e.target.value)));
+        this.elements.cueBtn.addEventListener('click', () => this.toggleCue());
+
+        // Diagnostics
+        this.elements.targetLatencySelect.addEventListener('change', (e) => {
+            this.setTargetLatency(parseInt(e.target.value) / 1000);
+            localStorage.setItem(TARGET_LATENCY_KEY, e.target.value);
+        });
+
+        // MIDI clock
+        this.elements.midiClockModeSelect.addEventListener('change', (e) => {
+            this.setMidiClockMode(e.target.value, '');
+        });
+        this.elements.midiClockPortSelect.addEventListener('change', (e) => {
+            this.setMidiClockMode(this.midiClock.mode, e.target.value);
+        });
+
+        // Scenes learn Program Change (or a note)
+        this.elements.sceneList.addEventListener('contextmenu', (e) => {
+            const item = e.target.closest('.scene-item');
+            if (!item) return;
+            e.preventDefault();
+            this.toggleMidiLearn(`scene:${item.dataset.scene}`, { types: ['program', 'note'] });
+        });
+
+    }
+
+    /**
+     * Connect through the local proxy when the server has a key configured
+     * (not when ?lyriaUrl= points elsewhere)
+     */
+    async detectProxy() {
+        if (this.lyriaOptions.url) return;
+        try {
+            const response = await fetch(PROXY_PATH, { cache: 'no-store' });
+            this.useProxy = response.ok && (await response.json()).proxy === true;
+        } catch (e) {
+            // Served by something else (static server, file hosting): connect directly
+            this.useProxy = false;
+        }
+        if (!this.useProxy) return;
+
+        this.lyriaOptions.proxy = PROXY_PATH; // shared with the cue bus
+        // The server holds the key, so don't leave one behind on this machine
+        localStorage.removeItem('lyria_api_key');
+        this.elements.apiKeyInput.value = '';
+        this.elements.apiKeySection.classList.add('proxied');
+        console.log('[App] Connecting through the local proxy');
+    }
+
+    async handleConnect() {
+        const apiKey = this.useProxy ? '' : this.elements.apiKeyInput.value.trim();
+        if (!apiKey && !this.useProxy) {
+            this.showToast('Please enter your API key', 'error');
+            return;
+        }
+
+        this.updateConnectionStatus('connecting');
+        this.elements.connectBtn.disabled = true;
+        this.elements.connectBtn.textContent = 'Connecting...';
+
+        try {
+            this.lyriaClient = new LyriaClient(apiKey, this.lyriaOptions);
+            this.bindDeckClient(this.activeDeck, this.lyriaClient);
+
+            await this.lyriaClient.connect();
+
+            if (!this.useProxy) {
+                localStorage.setItem('lyria_api_key', apiKey);
+            }
+
+            this.isConnected = true;
+            this.updateConnectionStatus('connected');
+            this.elements.apiKeySection.classList.add('hidden');
+            this.enableControls(true);
+
+            this.showToast('Connected to Lyria RealTime', 'success');
+
+            // Set initial African percussion config
+            await this.setInitialConfig();
+
+        } catch (error) {
+            console.error('[App] Connection failed:', error);
+            this.updateConnectionStatus('disconnected');
+            this.showToast('Failed to connect: ' + error.message, 'error');
+            this.elements.connectBtn.disabled = false;
+            this.elements.connectBtn.textContent = 'Connect';
+        }
+    }
+
+    async setInitialConfig() {
+        // Set prompt from input field
+        this.applyPrompt();
+
+        // Set initial music config
+        this.applyConfig({ ...this.currentParams });
+        this.setStreamBpm(this.currentParams.bpm);
+    }
+
+    /**
+     * Collect the selected chips and free-text prompts, in display order
+     */
+    getSelectedPrompts() {
+        const chips = [
+            ...this.elements.instrumentGrid.querySelectorAll('input:checked'),
+            ...this.elements.rhythmGrid.querySelectorAll('input:checked')
+        ].map(cb => ({
+            text: cb.value,
+            label: cb.nextElementSibling.textContent,
+            custom: false
+        }));
+        const custom = this.customPrompts.map(text => ({ text, label: text, custom: true }));
+        return [...chips, ...custom];
+    }
+
+    getPromptWeight(text) {
+        return this.promptWeights.has(text) ? this.promptWeights.get(text) : DEFAULT_PROMPT_WEIGHT;
+    }
+
+    /**
+     * Build one weighted prompt per selected chip/free-text entry.
+     * Faders pulled to zero are left out (the API rejects zero weights), and so are prompts
+     * the safety filter rejected until they are deselected.
+     */
+    buildWeightedPrompts() {
+        return this.getSelectedPrompts()
+            .map(p => ({ text: p.text, weight: this.getPromptWeight(p.text) }))
+            .filter(p => p.weight > 0 && !this.promptHistory.isRejected(p.text));
+    }
+
+    formatPrompts(prompts) {
+        return prompts.map(p => `${p.text} (${p.weight.toFixed(2)})`).join(', ');
+    }
+
+    updatePromptPreview() {
+        const prompts = this.buildWeightedPrompts();
+        this.elements.promptPreview.textContent = prompts.length
+            ? this.formatPrompts(prompts)
+            : '(select at least one)';
+    }
+
+    /**
+     * Rebuild the mixer rows to match the current selection
+     */
+    renderPromptMixer() {
+        const mixer = this.elements.promptMixer;
+        mixer.innerHTML = '';
+
+        for (const prompt of this.getSelectedPrompts()) {
+            const weight = this.getPromptWeight(prompt.text);
+
+            const row = document.createElement('div');
+            row.className = 'mixer-row';
+            row.classList.toggle('filtered', this.promptHistory.isRejected(prompt.text));
+
+            const label = document.createElement('span');
+            label.className = 'mixer-label';
+            label.textContent = prompt.label;
+            label.title = this.promptHistory.isRejected(prompt.text)
+                ? `${prompt.text} — filtered by the safety system${this.formatFilterReason(this.promptHistory.getReason(prompt.text))}`
+                : prompt.text;
+
+            const fader = document.createElement('input');
+            fader.type = 'range';
+            fader.className = 'slider mixer-fader';
+            fader.min = '0';
+            fader.max = '2';
+            fader.step = '0.05';
+            fader.value = weight;
+            fader.dataset.prompt = prompt.text;
+
+            const value = document.createElement('span');
+            value.className = 'mixer-value';
+            value.textContent = weight.toFixed(2);
+
+            row.append(label, fader, value);
+
+            if (prompt.custom) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'mixer-remove';
+                removeBtn.textContent = '×';
+                removeBtn.title = 'Remove prompt';
+                removeBtn.dataset.prompt = prompt.text;
+                row.append(removeBtn);
+            }
+
+            mixer.appendChild(row);
+        }
+    }
+
+    addCustomPrompt() {
+        const text = this.elements.customPromptInput.value.trim();
+        if (!text) return;
+        if (this.customPrompts.includes(text)) {
+            this.showToast('Prompt already in the mix', 'info');
+            return;
+        }
+        this.customPrompts.push(text);
+        this.elements.customPromptInput.value = '';
+        this.onPromptChange();
+    }
+
+    removeCustomPrompt(text) {
+        this.customPrompts = this.customPrompts.filter(t => t !== text);
+        this.promptWeights.delete(text);
+        this.onPromptChange();
+    }
+
+    onPromptChange() {
+        this.promptHistory.retainRejections(this.getSelectedPrompts().map(p => p.text));
+        this.renderPromptMixer();
+        this.updatePromptPreview();
+        this.applyPrompt();
+    }
+
+    applyPrompt() {
+        if (!this.lyriaClient || !this.isConnected) return;
+        const prompts = this.buildWeightedPrompts();
+        if (!prompts.length) {
+            // Lyria can't be sent an empty mix and would keep playing the last one, which the preview no longer shows
+            if (this.isPlaying) {
+                this.pause();
+                this.showToast('No prompts left in the mix - paused', 'info');
+            }
+            return;
+        }
+        this.sendWeightedPrompts(prompts);
+    }
+
+    /**
+     * Send an explicit weighted prompt set (e.g. mid-morph) and show it in the preview
+     */
+    sendWeightedPrompts(prompts) {
+        if (!this.lyriaClient || !this.isConnected || !prompts.length) return;
+        this.elements.promptPreview.textContent = this.formatPrompts(prompts);
+        this.lyriaClient.setWeightedPrompts(prompts);
+        this.promptHistory.submit(prompts);
+        this.automation.record(PROMPTS_LANE, prompts, this.activeDeck.id);
+    }
+
+    createPromptHistory() {
+        const history = new PromptHistory();
+        history.onChange = () => {
+            if (history === this.promptHistory) {
+                this.renderPromptFeedback();
+            }
+        };
+        return history;
+    }
+
+    /**
+     * The safety filter blocked a prompt: flag it in the builder and go back to the last accepted set
+     */
+    handleFilteredPrompt(deck, filtered) {
+        const isActive = deck === this.activeDeck;
+        const history = isActive ? this.promptHistory : deck.promptHistory;
+        const { text: prompt, fallback } = history.reject(filtered);
+        console.warn(`[App] Prompt "${prompt}" filtered, reverting to:`, fallback);
+
+        if (fallback) {
+            if (isActive) {
+                this.sendWeightedPrompts(fallback);
+            } else {
+                deck.lyriaClient.setWeightedPrompts(fallback);
+                history.submit(fallback);
+            }
+        }
+
+        const prefix = isActive ? '' : `Deck ${deck.id}: `;
+        const outcome = fallback ? 'back to the last accepted prompts' : 'no accepted prompts to go back to';
+        this.showToast(`${prefix}"${prompt}" was filtered${this.formatFilterReason(filtered.filteredReason)}, ${outcome}`, 'error');
+    }
+
+    formatFilterReason(reason) {
+        return reason ? ` (${reason})` : '';
+    }
+
+    /**
+     * Mark filtered chips and mixer rows, and list the accepted/filtered history
+     */
+    renderPromptFeedback() {
+        const history = this.promptHistory;
+        for (const cb of [
+            ...this.elements.instrumentGrid.querySelectorAll('input'),
+            ...this.elements.rhythmGrid.querySelectorAll('input')
+        ]) {
+            const chip = cb.closest('.chip');
+            const isFiltered = cb.checked && history.isRejected(cb.value);
+            chip.classList.toggle('filtered', isFiltered);
+            chip.title = isFiltered ? `Filtered by the safety system${this.formatFilterReason(history.getReason(cb.value))}` : '';
+        }
+        this.renderPromptMixer();
+        this.updatePromptPreview();
+
+        const list = this.elements.promptHistoryList;
+        list.innerHTML = '';
+        for (const entry of history.entries) {
+            const item = document.createElement('li');
+            item.className = `prompt-history-item ${entry.status}`;
+
+            const status = document.createElement('span');
+            status.className = 'prompt-history-status';
+            status.textContent = entry.status === 'accepted' ? '✓' : '✕';
+
+            const text = document.createElement('span');
+            text.className = 'prompt-history-text';
+            text.textContent = entry.text;
+            text.title = entry.reason ? `Filtered: ${entry.reason}` : '';
+
+            const time = document.createElement('span');
+            time.className = 'prompt-history-time';
+            time.textContent = new Date(entry.time).toLocaleTimeString();
+
+            item.append(status, text, time);
+            list.appendChild(item);
+        }
+        const rejected = history.entries.filter(e => e.status === 'rejected').length;
+        this.elements.promptHistoryCount.textContent = history.entries.length
+            ? `${history.entries.length - rejected} accepted, ${rejected} filtered`
+            : '';
+    }
+
+    applyConfig(config) {
+        if (!this.lyriaClient || !this.isConnected) return;
+        this.lyriaClient.setMusicGenerationConfig(config);
+        for (const [param, value] of Object.entries(config)) {
+            if (param in AUTOMATION_PARAMS) {
+                this.automation.record(param, value, this.activeDeck.id);
+            }
+        }
+    }
+
+    /**
+     * Reflect a parameter value in its control without firing change handlers
+     */
+    setParamControl(param, value) {
+        const spec = PARAM_CONTROLS[param];
+        const control = spec && this.elements[spec.control];
+        if (!control) return;
+
+        if (control.type === 'checkbox') {
+            control.checked = !!value;
+        } else {
+            const controlValue = spec.scale ? Math.round(value * spec.scale) : value;
+            control.value = controlValue;
+            if (spec.display) {
+                this.elements[spec.display].textContent = spec.format(Number(controlValue));
+            }
+        }
+
+        // Scene recalls, morphs and automation move controls without events
+        this.sendMidiFeedback(spec.control);
+    }
+
+    /**
+     * Restore the saved main/cue outputs and keep the device lists current
+     */
+    async initOutputs() {
+        try {
+            const stored = localStorage.getItem(OUTPUTS_KEY);
+            if (stored) {
+                this.outputSettings = { ...this.outputSettings, ...JSON.parse(stored) };
+            }
+        } catch (e) {
+            console.warn('[App] Could not load output settings:', e);
+        }
+
+        const { main, cue } = this.outputSettings;
+        if (main.device) {
+            try {
+                await this.audioPlayer.setOutputDevice(main.device);
+            } catch (e) {
+                console.warn('[App] Main output unavailable, using default:', e);
+            }
+        }
+        this.audioPlayer.setOutputPair(main.pair);
+        this.cueBus.player.outputDevice = cue.device;
+        this.cueBus.player.setOutputPair(cue.pair);
+
+        this.cueBus.onStateChange = (state) => this.updateCueUI(state);
+        this.cueBus.onError = (error) => this.showToast(`Cue: ${error.message || error || 'connection error'}`, 'error');
+
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.renderOutputDevices());
+        }
+        await this.renderOutputDevices();
+        this.renderCueScenes();
+    }
+
+    saveOutputSettings() {
+        try {
+            localStorage.setItem(OUTPUTS_KEY, JSON.stringify(this.outputSettings));
+        } catch (e) {
+            console.warn('[App] Could not save output settings:', e);
+        }
+    }
+
+    getOutputPlayer(bus) {
+        return bus === 'cue' ? this.cueBus.player : this.audioPlayer;
+    }
+
+    /**
+     * Fill the device and channel pickers for both buses
+     */
+    async renderOutputDevices() {
+        let devices = [];
+        try {
+            devices = (await navigator.mediaDevices.enumerateDevices())
+                .filter(device => device.kind === 'audiooutput' && device.deviceId !== 'default');
+        } catch (e) {
+            console.warn('[App] Could not list output devices:', e);
+        }
+
+        const supported = 'setSinkId' in AudioContext.prototype;
+        for (const bus of ['main', 'cue']) {
+            const select = this.elements[`${bus}OutputSelect`];
+            select.innerHTML = '';
+            select.add(new Option('System default', ''));
+            devices.forEach((device, index) => {
+                select.add(new Option(device.label || `Output ${index + 1}`, device.deviceId));
+            });
+            select.value = this.outputSettings[bus].device;
+            if (select.selectedIndex === -1) select.value = '';
+            if (!supported) {
+                select.disabled = true;
+                select.title = 'Output device selection is not supported in this browser';
+            }
+            this.renderOutputChannels(bus);
+        }
+    }
+
+    renderOutputChannels(bus) {
+        const select = this.elements[`${bus}ChannelsSelect`];
+        const player = this.getOutputPlayer(bus);
+        const { pair } = this.outputSettings[bus];
+        // The cue player has no context until the first preview; offer the saved pair meanwhile
+        const channels = player.audioContext ? player.outputChannelCount : Math.max(2, (pair + 1) * 2);
+
+        select.innerHTML = '';
+        for (let index = 0; index < Math.max(1, Math.floor(channels / 2)); index++) {
+            select.add(new Option(`Ch ${index * 2 + 1}/${index * 2 + 2}`, index));
+        }
+        select.value = String(Math.min(pair, select.options.length - 1));
+    }
+
+    async setOutputDevice(bus, deviceId) {
+        try {
+            await this.getOutputPlayer(bus).setOutputDevice(deviceId);
+        } catch (e) {
+            console.error('[App] Could not switch output:', e);
+            this.showToast(`Could not switch output: ${e.message}`, 'error');
+            this.elements[`${bus}OutputSelect`].value = this.outputSettings[bus].device;
+            return;
+        }
+        this.outputSettings[bus].device = deviceId;
+        this.saveOutputSettings();
+        this.renderOutputChannels(bus);
+    }
+
+    setOutputPair(bus, pair) {
+        this.getOutputPlayer(bus).setOutputPair(pair);
+        this.outputSettings[bus].pair = pair;
+        this.saveOutputSettings();
+    }
+
+    renderCueScenes() {
+        const select = this.elements.cueSceneSelect;
+        const selected = select.value;
+        select.innerHTML = '';
+        if (this.sceneManager.scenes.length === 0) {
+            select.add(new Option('No scenes', ''));
+        }
+        for (const scene of this.sceneManager.scenes) {
+            select.add(new Option(scene.name, scene.name));
+        }
+        if (this.sceneManager.getScene(selected)) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * Preview the selected scene on the cue output, or stop the preview
+     */
+    async toggleCue() {
+        if (this.cueBus.isActive) {
+            this.cueBus.stop();
+            return;
+        }
+
+        const scene = this.sceneManager.getScene(this.elements.cueSceneSelect.value);
+        if (!scene) {
+            this.showToast('Save a scene to preview it on the cue output', 'error');
+            return;
+        }
+        if (!this.lyriaClient) {
+            this.showToast('Connect first', 'error');
+            return;
+        }
+
+        try {
+            await this.cueBus.start(this.lyriaClient.apiKey, {
+                name: scene.name,
+                prompts: this.getScenePrompts(scene),
+                config: scene.config
+            });
+            this.renderOutputChannels('cue');
+        } catch (error) {
+            console.error('[App] Cue failed:', error);
+            this.showToast(`Cue failed: ${error.message}`, 'error');
+        }
+    }
+
+    updateCueUI({ isActive, sceneName }) {
+        const btn = this.elements.cueBtn;
+        btn.classList.toggle('active', isActive);
+        btn.textContent = isActive ? 'Stop Cue' : 'Cue';
+        btn.title = isActive ? `Previewing "${sceneName}"` : '';
+        btn.disabled = !isActive && !this.isConnected;
+    }
+
+    /**
+     * Performance pads: lengths follow the tempo of the audio playing now
+     */
+    pressPerformancePad(effect) {
+        this.audioPlayer.performanceFx?.press(effect, this.streamBpm, BEATS_PER_BAR);
+    }
+
+    releasePerformancePad(effect) {
+        this.audioPlayer.performanceFx?.release(effect);
+    }
+
+    updatePerformancePad(effect, active) {
+        const pad = this.getMidiTargetElement(`perf:${effect}`);
+        if (pad) {
+            pad.classList.toggle('active', active);
+        }
+        this.sendMidiFeedback(`perf:${effect}`);
+    }
+
+    getPerformanceEffect(key) {
+        return Object.keys(PERFORMANCE_PADS).find(effect => PERFORMANCE_PADS[effect].key === key) || null;
+    }
+
+    /**
+     * Push a master FX control's value to the effect chain
+     */
+    handleFxInput(controlId) {
+        const spec = FX_CONTROLS[controlId];
+        const control = this.elements[controlId];
+        let value;
+        if (control.type === 'checkbox') {
+            value = control.checked;
+        } else if (control.tagName === 'SELECT') {
+            value = control.value;
+        } else {
+            value = parseFloat(control.value);
+            this.elements[spec.display].textContent = spec.format(value);
+            if (spec.scale) value /= spec.scale;
+        }
+        this.audioPlayer.masterFx.set(spec.stage, spec.param, value);
+    }
+
+    /**
+     * Reflect the effect chain's settings in the master FX controls
+     */
+    syncFxControls() {
+        const settings = this.audioPlayer.masterFx.getSettings();
+        for (const [controlId, spec] of Object.entries(FX_CONTROLS)) {
+            const control = this.elements[controlId];
+            const value = settings[spec.stage][spec.param];
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else if (control.tagName === 'SELECT') {
+                control.value = value;
+            } else {
+                const controlValue = spec.scale ? Math.round(value * spec.scale) : value;
+                control.value = controlValue;
+                this.elements[spec.display].textContent = spec.format(controlValue);
+            }
+            this.sendMidiFeedback(controlId);
+        }
+    }
+
+    /**
+     * Automation playback drives the client of the deck it was recorded on directly, so it isn't re-recorded
+     */
+    applyAutomationValue(param, value, deckId) {
+        const deck = this.decks[deckId] || this.activeDeck;
+        if (deck !== this.activeDeck) {
+            this.applyParkedAutomationValue(deck, param, value);
+            return;
+        }
+        if (!this.lyriaClient || !this.isConnected) return;
+
+        if (param === PROMPTS_LANE) {
+            this.lyriaClient.setWeightedPrompts(value);
+            this.promptHistory.submit(value);
+            this.elements.promptPreview.textContent = this.formatPrompts(value);
+            return;
+        }
+
+        this.currentParams[param] = value;
+        this.setParamControl(param, value);
+        this.lyriaClient.setMusicGenerationConfig({ [param]: value });
+    }
+
+    /**
+     * Automation of the deck that isn't selected: update its parked state, no controls to move
+     */
+    applyParkedAutomationValue(deck, param, value) {
+        if (!deck.lyriaClient || !deck.isConnected) return;
+
+        if (param === PROMPTS_LANE) {
+            deck.lyriaClient.setWeightedPrompts(value);
+            deck.promptHistory.submit(value);
+            return;
+        }
+
+        deck.currentParams[param] = value;
+        deck.lyriaClient.setMusicGenerationConfig({ [param]: value });
+    }
+
+    /**
+     * Capture the prompt selection, weights and full config as a scene
+     */
+    captureScene(name) {
+        const checkedValues = (grid) => [...grid.querySelectorAll('input:checked')].map(cb => cb.value);
+        return {
+            name,
+            instruments: checkedValues(this.elements.instrumentGrid),
+            rhythms: checkedValues(this.elements.rhythmGrid),
+            customPrompts: [...this.customPrompts],
+            promptWeights: Object.fromEntries(this.promptWeights),
+            config: { ...this.currentParams },
+            fx: this.audioPlayer.masterFx.getSettings()
+        };
+    }
+
+    saveScene() {
+        const name = this.elements.sceneNameInput.value.trim();
+        if (!name) {
+            this.showToast('Enter a scene name', 'error');
+            return;
+        }
+        this.sceneManager.saveScene(this.captureScene(name));
+        this.elements.sceneNameInput.value = '';
+        this.showToast(`Scene "${name}" saved`, 'success');
+    }
+
+    /**
+     * Weighted prompts a scene would send once applied
+     */
+    getScenePrompts(scene) {
+        const weights = scene.promptWeights || {};
+        return [...scene.instruments, ...scene.rhythms, ...scene.customPrompts]
+            .map(text => ({ text, weight: text in weights ? weights[text] : DEFAULT_PROMPT_WEIGHT }))
+            .filter(p => p.weight > 0);
+    }
+
+    /**
+     * Recall a scene, morphing over the selected number of bars while playing
+     */
+    recallScene(name) {
+        const scene = this.sceneManager.getScene(name);
+        if (!scene) return;
+
+        const bars = parseInt(this.elements.morphBarsSelect.value);
+        if (!bars || !this.isPlaying) {
+            this.sceneManager.cancelMorph();
+            this.applyScene(scene);
+            this.showToast(`Scene "${name}"`, 'info');
+            return;
+        }
+
+        const duration = (bars * BEATS_PER_BAR * 60) / this.streamBpm;
+        const from = { prompts: this.buildWeightedPrompts(), config: { ...this.currentParams } };
+        const to = { prompts: this.getScenePrompts(scene), config: scene.config };
+
+        this.sceneManager.morph(from, to, duration, {
+            onStep: ({ prompts, config }) => {
+                for (const [param, value] of Object.entries(config)) {
+                    this.currentParams[param] = value;
+                    this.setParamControl(param, value);
+                }
+                this.applyConfig(config);
+                this.sendWeightedPrompts(prompts);
+            },
+            onComplete: () => this.applyScene(scene)
+        });
+        this.showToast(`Morphing to "${name}" over ${bars} bar${bars > 1 ? 's' : ''}`, 'info');
+    }
+
+    /**
+     * Apply a scene in full. BPM and scale go through the stop/restart path.
+     */
+    applyScene(scene) {
+        for (const cb of this.elements.instrumentGrid.querySelectorAll('input')) {
+            cb.checked = scene.instruments.includes(cb.value);
+        }
+        for (const cb of this.elements.rhythmGrid.querySelectorAll('input')) {
+            cb.checked = scene.rhythms.includes(cb.value);
+        }
+        this.syncMidiFeedback();
+        this.customPrompts = [...scene.customPrompts];
+        this.promptWeights = new Map(Object.entries(scene.promptWeights || {}));
+        this.onPromptChange();
+
+        const { bpm, scale, ...liveConfig } = scene.config;
+        const needsRestart = (bpm !== undefined && bpm !== this.currentParams.bpm) ||
+            (scale !== undefined && scale !== this.currentParams.scale);
+
+        for (const [param, value] of Object.entries(scene.config)) {
+            this.currentParams[param] = value;
+            this.setParamControl(param, value);
+        }
+        this.applyConfig(liveConfig);
+
+        if (needsRestart) {
+            this.applyConfigWithRestart({ bpm: this.currentParams.bpm, scale: this.currentParams.scale });
+        }
+
+        if (scene.fx) {
+            this.audioPlayer.masterFx.applySettings(scene.fx);
+            this.audioPlayer.masterFx.saveSettings();
+            this.syncFxControls();
+        }
+    }
+
+    renderSceneList() {
+        const list = this.elements.sceneList;
+        list.innerHTML = '';
+
+        for (const scene of this.sceneManager.scenes) {
+            const item = document.createElement('div');
+            item.className = 'scene-item';
+            item.dataset.scene = scene.name;
+            item.title = this.formatPrompts(this.getScenePrompts(scene));
+
+            item.draggable = true;
+
+            const name = document.createElement('span');
+            name.className = 'scene-name';
+            name.textContent = scene.name;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'scene-delete';
+            deleteBtn.textContent = '×';
+            deleteBtn.title = 'Delete scene';
+
+            item.append(name, deleteBtn);
+            list.appendChild(item);
+        }
+
+        this.updateMidiMappedIndicators();
+    }
+
+    /**
+     * Store the current state as a new scene on a launcher pad
+     */
+    capturePad(index) {
+        let name = `Pad ${this.sceneLauncher.visiblePads.indexOf(index) + 1}`;
+        for (let n = 2; this.sceneManager.getScene(name); n++) {
+            name = `Pad ${this.sceneLauncher.visiblePads.indexOf(index) + 1} (${n})`;
+        }
+        this.sceneManager.saveScene(this.captureScene(name));
+        this.sceneLauncher.assignPad(index, name);
+        this.showToast(`Scene "${name}" stored on pad`, 'success');
+    }
+
+    renderLauncher() {
+        const grid = this.elements.launcherGrid;
+        grid.innerHTML = '';
+        grid.style.gridTemplateColumns = `repeat(${this.sceneLauncher.size}, 1fr)`;
+        grid.classList.toggle('large', this.sceneLauncher.size > 4);
+
+        this.sceneLauncher.visiblePads.forEach((index, position) => {
+            const sceneName = this.sceneLauncher.pads[index];
+            const pad = document.createElement('button');
+            pad.className = `launcher-pad ${this.sceneLauncher.getPadState(index)}`;
+            pad.dataset.index = index;
+            pad.textContent = sceneName || '';
+            pad.title = sceneName
+                ? `${sceneName}${LAUNCHER_KEYS[position] ? ` (key ${LAUNCHER_KEYS[position].toUpperCase()})` : ''}`
+                : 'Empty - Shift+click to store the current state, or drop a scene here';
+            grid.appendChild(pad);
+        });
+    }
+
+    exportScenes() {
+        const blob = new Blob([this.sceneManager.exportJSON()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'generafrica-scenes.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async importScenes(file) {
+        if (!file) return;
+        try {
+            const count = this.sceneManager.importJSON(await file.text());
+            this.showToast(`Imported ${count} scene${count === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('[App] Scene import failed:', error);
+            this.showToast('Could not import scenes: ' + error.message, 'error');
+        }
+        this.elements.importScenesInput.value = '';
+    }
+
+    toggleAutomationRecording() {
+        if (this.automation.isRecording) {
+            this.automation.stopRecording();
+            this.showToast(`Automation recorded (${this.automation.length.toFixed(1)}s)`, 'success');
+            return;
+        }
+
+        // Seed every lane with its current value so playback starts from a known state
+        const initialValues = {};
+        for (const param of Object.keys(AUTOMATION_PARAMS)) {
+            initialValues[param] = this.currentParams[param];
+        }
+        const prompts = this.buildWeightedPrompts();
+        if (prompts.length) {
+            initialValues[PROMPTS_LANE] = prompts;
+        }
+        this.automation.startRecording(initialValues, this.activeDeck.id);
+        this.showToast(this.isPlaying ? 'Recording automation' : 'Automation will record once playback starts', 'info');
+    }
+
+    toggleAutomationPlayback() {
+        if (this.automation.isPlaying) {
+            this.automation.stopPlayback();
+        } else if (!this.automation.startPlayback()) {
+            this.showToast('Nothing recorded yet', 'info');
+        }
+    }
+
+    /**
+     * Lane editor: click to add a breakpoint, drag to move it, double-click to delete it
+     */
+    setupAutomationEditor() {
+        const canvas = this.elements.automationCanvas;
+
+        canvas.addEventListener('mousedown', (e) => {
+            const param = this.elements.automationLaneSelect.value;
+            if (!(param in AUTOMATION_PARAMS) || this.automation.isRecording) return;
+
+            const { x, y } = this.getCanvasPoint(canvas, e);
+            let index = this.findBreakpoint(param, x, y);
+            if (index === -1) {
+                const { time, value } = this.automationPointToValue(param, x, y);
+                index = this.automation.addBreakpoint(param, time, value, this.activeDeck.id);
+            }
+            this.automationDrag = { param, index };
+        });
+
+        canvas.addEventListener('mousemove', (e) => {
+            if (!this.automationDrag) return;
+            const { param, index } = this.automationDrag;
+            const { x, y } = this.getCanvasPoint(canvas, e);
+            const { time, value } = this.automationPointToValue(param, x, y);
+            this.automationDrag.index = this.automation.moveBreakpoint(param, index, time, value);
+        });
+
+        window.addEventListener('mouseup', () => {
+            this.automationDrag = null;
+        });
+
+        canvas.addEventListener('dblclick', (e) => {
+            const param = this.elements.automationLaneSelect.value;
+            if (!(param in AUTOMATION_PARAMS)) return;
+            const { x, y } = this.getCanvasPoint(canvas, e);
+            const index = this.findBreakpoint(param, x, y);
+            if (index !== -1) {
+                this.automation.removeBreakpoint(param, index);
+            }
+        });
+    }
+
+    getCanvasPoint(canvas, e) {
+        const rect = canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    getAutomationSpan() {
+        const recording = this.automation.isRecording ? this.automation.elapsed : 0;
+        return Math.max(this.automation.length, recording) || AUTOMATION_DEFAULT_SPAN;
+    }
+
+    automationValueToY(param, value, height) {
+        const spec = AUTOMATION_PARAMS[param];
+        const normalized = spec.toggle ? (value ? 1 : 0) : (value - spec.min) / (spec.max - spec.min);
+        const padding = 6;
+        return padding + (1 - normalized) * (height - padding * 2);
+    }
+
+    automationPointToValue(param, x, y) {
+        const canvas = this.elements.automationCanvas;
+        const spec = AUTOMATION_PARAMS[param];
+        const time = Math.max(0, (x / canvas.width) * this.getAutomationSpan());
+        const normalized = Math.max(0, Math.min(1, 1 - y / canvas.height));
+
+        let value;
+        if (spec.toggle) {
+            value = normalized >= 0.5;
+        } else {
+            value = spec.min + normalized * (spec.max - spec.min);
+            value = spec.integer ? Math.round(value) : Math.round(value * 100) / 100;
+        }
+        return { time, value };
+    }
+
+    findBreakpoint(param, x, y) {
+        const canvas = this.elements.automationCanvas;
+        const span = this.getAutomationSpan();
+        return this.automation.getLane(param).findIndex(event => {
+            const ex = (event.time / span) * canvas.width;
+            const ey = this.automationValueToY(param, event.value, canvas.height);
+            return Math.abs(ex - x) <= 6 && Math.abs(ey - y) <= 6;
+        });
+    }
+
+    drawAutomation() {
+        const canvas = this.elements.automationCanvas;
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const span = this.getAutomationSpan();
+        const param = this.elements.automationLaneSelect.value;
+        const lane = this.automation.getLane(param);
+        const toX = (time) => (time / span) * width;
+
+        ctx.fillStyle = '#16161f';
+        ctx.fillRect(0, 0, width, height);
+
+        // One-second grid
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+        ctx.lineWidth = 1;
+        for (let t = 1; t < span; t++) {
+            ctx.beginPath();
+            ctx.moveTo(toX(t), 0);
+            ctx.lineTo(toX(t), height);
+            ctx.stroke();
+        }
+
+        if (param === PROMPTS_LANE) {
+            // Prompt changes have no single value: draw them as markers
+            ctx.strokeStyle = '#f59e0b';
+            ctx.lineWidth = 2;
+            for (const event of lane) {
+                ctx.beginPath();
+                ctx.moveTo(toX(event.time), 4);
+                ctx.lineTo(toX(event.time), height - 4);
+                ctx.stroke();
+            }
+        } else if (lane.length > 0) {
+            // Values hold until the next breakpoint
+            ctx.strokeStyle = '#d97706';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            lane.forEach((event, i) => {
+                const x = toX(event.time);
+                const y = this.automationValueToY(param, event.value, height);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, this.automationValueToY(param, lane[i - 1].value, height));
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.lineTo(width, this.automationValueToY(param, lane[lane.length - 1].value, height));
+            ctx.stroke();
+
+            ctx.fillStyle = '#fbbf24';
+            for (const event of lane) {
+                ctx.beginPath();
+                ctx.arc(toX(event.time), this.automationValueToY(param, event.value, height), 4, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        // Playhead
+        if (this.automation.isClockRunning || this.automation.elapsed > 0) {
+            const x = toX(this.automation.position % span);
+            ctx.strokeStyle = this.automation.isRecording ? '#ef4444' : 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Apply config that only takes effect after a stop/reset (BPM, scale).
+     * While playing, the change is queued to the next bar; then the stream restarts with the
+     * new config while the outgoing audio keeps playing and crossfades into the new stream.
+     */
+    applyConfigWithRestart(config) {
+        if (!this.lyriaClient || !this.isConnected || !this.isPlaying) {
+            this.applyConfig(config);
+            if (config.bpm !== undefined) {
+                this.setStreamBpm(config.bpm);
+            }
+            return;
+        }
+
+        // Changes made before the bar arrives join the queued restart; changes during a restart queue the next one
+        this.pendingRestartConfig = { ...this.pendingRestartConfig, ...config };
+        if (this.restartTimer || this.isRestartingStream) return;
+
+        const delay = this.deckPlayer.getTimeToNextBar(this.streamBpm, BEATS_PER_BAR) || 0;
+        this.restartTimer = setTimeout(() => this.restartStream(), delay * 1000);
+    }
+
+    /**
+     * Restart generation with the queued config. The old stream keeps playing what is still in flight;
+     * once the new stream reports PLAYING, its first chunk crossfades in (see finishRestart)
+     */
+    restartStream() {
+        this.restartTimer = null;
+        const config = this.pendingRestartConfig;
+        if (!this.lyriaClient || !this.isConnected || !this.isPlaying) {
+            this.flushPendingRestart();
+            return;
+        }
+
+        this.pendingRestartConfig = null;
+        this.restartingConfig = config;
+        this.isRestartingStream = true;
+        this.lyriaClient.stop();
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.applyConfig(config);
+            this.applyPrompt();
+            // An empty mix pauses instead
+            if (this.isPlaying) {
+                this.lyriaClient?.play();
+            }
+        }, RESTART_SETTLE_MS);
+    }
+
+    /**
+     * The restarted stream's first chunk is playing: its tempo now sets the bar grid and the MIDI clock
+     */
+    finishRestart() {
+        const config = this.restartingConfig;
+        this.restartingConfig = null;
+        this.isRestartingStream = false;
+        if (config.bpm !== undefined) {
+            this.setStreamBpm(config.bpm);
+        }
+
+        if (this.pendingRestartConfig) {
+            const queued = this.pendingRestartConfig;
+            this.pendingRestartConfig = null;
+            this.applyConfigWithRestart(queued);
+        }
+    }
+
+    /**
+     * Apply a queued or unfinished restart's config right away (the stream is stopping or pausing anyway)
+     */
+    flushPendingRestart() {
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+        }
+        const config = { ...this.restartingConfig, ...this.pendingRestartConfig };
+        this.isRestartingStream = false;
+        this.restartingConfig = null;
+        this.pendingRestartConfig = null;
+
+        if (!Object.keys(config).length) return;
+        this.applyConfig(config);
+        if (config.bpm !== undefined) {
+            this.setStreamBpm(config.bpm);
+        }
+    }
+
+    /**
+     * Tempo of the audio playing now, which the bar grid and the master MIDI clock follow
+     */
+    setStreamBpm(bpm) {
+        this.streamBpm = bpm;
+        this.midiClock.setMasterTempo(bpm);
+    }
+
+    /**
+     * Tap tempo (button, T key or MIDI): the tapped BPM goes through the BPM slider
+     */
+    handleTapTempo() {
+        this.elements.tapTempoBtn.classList.add('tapped');
+        setTimeout(() => this.elements.tapTempoBtn.classList.remove('tapped'), 100);
+
+        const bpm = this.tapTempo.tap();
+        if (bpm === null) return;
+
+        const slider = this.elements.bpmSlider;
+        const clamped = Math.max(parseInt(slider.min), Math.min(parseInt(slider.max), bpm));
+        if (clamped === this.currentParams.bpm) return;
+        slider.value = clamped;
+        slider.dispatchEvent(new Event('input'));
+        slider.dispatchEvent(new Event('change'));
+    }
 
-            // Toast
-            toastContainer: document.getElementById('toastContainer')
-        };
+    toggleDiagnostics() {
+        const overlay = this.elements.diagnosticsOverlay;
+        const visible = overlay.classList.toggle('hidden') === false;
+        clearInterval(this.diagnosticsTimer);
+        this.diagnosticsTimer = null;
+        if (visible) {
+            this.updateDiagnostics();
+            this.diagnosticsTimer = setInterval(() => this.updateDiagnostics(), DIAGNOSTICS_INTERVAL_MS);
+        }
     }
 
-    async init() {
-        this.setupEventListeners();
-        await this.audioPlayer.init();
-        this.setupVisualizer();
-        await this.initMidi();
+    updateDiagnostics() {
+        const stats = this.deckPlayer.getDiagnostics();
+        const ms = (seconds) => `${Math.round(seconds * 1000)} ms`;
+        this.elements.diagDepth.textContent = ms(stats.depth);
+        this.elements.diagLatency.textContent = ms(stats.latency);
+        this.elements.diagJitter.textContent = ms(stats.jitter);
+        this.elements.diagUnderruns.textContent = stats.underruns;
+        this.elements.diagOverruns.textContent = stats.overruns;
+        this.elements.diagChunks.textContent = stats.chunks;
+    }
 
-        // Check for stored API key
-        const storedKey = localStorage.getItem('lyria_api_key');
-        if (storedKey) {
-            this.elements.apiKeyInput.value = storedKey;
+    handleAudioChunk(data) {
+        const startsNewStream = this.isRestartingStream && this.deckPlayer.crossfadePending;
+        this.deckPlayer.processAudioChunk(data);
+        if (startsNewStream) {
+            this.finishRestart();
         }
+    }
 
-        console.log('[App] Initialized');
+    initLooper() {
+        for (const bars of LOOP_BARS) {
+            this.elements.loopBarsSelect.add(new Option(`${bars} ${bars === 1 ? 'bar' : 'bars'}`, bars));
+        }
+        this.elements.loopBarsSelect.value = '4';
+        this.audioPlayer.looper.onSlotChange = (index) => this.updateLoopSlot(index);
+        for (let index = 0; index < LOOP_SLOTS; index++) {
+            this.updateLoopSlot(index);
+        }
     }
 
-    async initMidi() {
-        // Set up MIDI callbacks
-        this.midiManager.onParameterChange = (sliderId, midiValue) => {
-            this.handleMidiCC(sliderId, midiValue);
-        };
+    /**
+     * Audio clock time of the selected deck's next bar line (now when nothing is playing)
+     */
+    getNextBarTime() {
+        const toNextBar = this.deckPlayer.getTimeToNextBar(this.streamBpm, BEATS_PER_BAR);
+        return this.audioPlayer.audioContext.currentTime + (toNextBar || 0);
+    }
 
-        this.midiManager.onMidiStateChange = (connected) => {
-            this.updateMidiStatus(connected);
-        };
+    /**
+     * Capture the last completed bars of the mix into a loop slot; it starts on the next bar
+     */
+    async captureLoop(index) {
+        const bars = parseInt(this.elements.loopBarsSelect.value);
+        const bpm = this.streamBpm;
+        const barDuration = (BEATS_PER_BAR * 60) / bpm;
+        const lastBar = this.deckPlayer.getLastBarTime(bpm, BEATS_PER_BAR);
+        if (lastBar === null) {
+            this.showToast('Nothing is playing to capture', 'error');
+            return;
+        }
 
-        this.midiManager.onLearnStart = (sliderId) => {
-            // Highlight the slider being learned
-            const slider = this.elements[sliderId];
-            if (slider) {
-                slider.closest('.param-control').classList.add('midi-learning');
-            }
-            this.showToast(`Move a MIDI knob to assign to ${SLIDER_NAMES[sliderId]}...`, 'info');
-        };
+        // Only bars of the current stream share its tempo and bar grid
+        const start = lastBar - bars * barDuration;
+        if (start < this.deckPlayer.streamStartTime - 0.005) {
+            this.showToast(`Fewer than ${bars} bars have played at this tempo`, 'error');
+            return;
+        }
 
-        this.midiManager.onLearnComplete = (sliderId, cc, channel) => {
-            // Remove learning highlight, add mapped indicator
-            document.querySelectorAll('.param-control.midi-learning').forEach(el => {
-                el.classList.remove('midi-learning');
+        try {
+            const channels = await this.audioPlayer.captureAudio(start, bars * barDuration);
+            this.audioPlayer.looper.load(index, channels, {
+                bpm,
+                bars,
+                metadata: { ...this.getTakeSnapshot(), bpm },
+                when: this.getNextBarTime()
             });
+            this.showToast(`Captured ${bars} ${bars === 1 ? 'bar' : 'bars'} into loop ${index + 1}`, 'success');
+        } catch (error) {
+            console.error('[App] Loop capture failed:', error);
+            this.showToast('Could not capture loop: ' + error.message, 'error');
+        }
+    }
 
-            const slider = this.elements[sliderId];
-            if (slider) {
-                slider.closest('.param-control').classList.add('midi-mapped');
-            }
+    toggleLoop(index) {
+        const looper = this.audioPlayer.looper;
+        if (looper.isPlaying(index)) {
+            looper.stop(index);
+        } else {
+            looper.play(index, this.getNextBarTime());
+        }
+    }
+
+    updateLoopSlot(index) {
+        const slot = this.audioPlayer.looper.slots[index];
+        const row = this.elements.loopSlots.querySelector(`.loop-slot[data-slot="${index}"]`);
+        if (!row) return;
+
+        const playing = !!slot.source;
+        row.classList.toggle('loaded', !!slot.buffer);
+        row.classList.toggle('playing', playing);
+        row.querySelector('.loop-info').textContent = slot.buffer
+            ? `${slot.bars} ${slot.bars === 1 ? 'bar' : 'bars'} @ ${slot.bpm} BPM`
+            : 'Empty';
+        for (const button of row.querySelectorAll('.loop-action:not(.capture)')) {
+            button.disabled = !slot.buffer;
+        }
+        row.querySelector('[data-action="play"]').textContent = playing ? '■' : '▶';
+        row.querySelector('[data-action="mute"]').classList.toggle('active', slot.muted);
+    }
+
+    exportLoop(index) {
+        const looper = this.audioPlayer.looper;
+        const slot = looper.slots[index];
+        const pcm = looper.getPcm(index);
+        if (!pcm) return;
+
+        const blob = encodeWav(pcm, {
+            sampleRate: slot.buffer.sampleRate,
+            channels: slot.buffer.numberOfChannels,
+            metadata: { name: `Loop ${index + 1}`, ...slot.metadata }
+        });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `generafrica-loop-${index + 1}-${slot.bars}bars-${slot.bpm}bpm.wav`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
 
-            this.showToast(`${SLIDER_NAMES[sliderId]} mapped to CC ${cc}`, 'success');
+    /**
+     * Prompt and parameter snapshot embedded in a take
+     */
+    getTakeSnapshot() {
+        return {
+            prompts: this.buildWeightedPrompts(),
+            bpm: this.currentParams.bpm,
+            params: { ...this.currentParams }
         };
+    }
 
-        const supported = await this.midiManager.init();
-        this.updateMidiStatus(this.midiManager.isConnected);
+    toggleRecordArm() {
+        if (this.recorder.isArmed) {
+            this.recorder.disarm();
+        } else {
+            this.recorder.arm(this.getTakeSnapshot());
+        }
+    }
 
-        if (!supported) {
-            console.log('[App] Web MIDI not supported');
+    async stopRecording() {
+        if (this.recorder.isRecording) {
+            // Keep recording until the tap blocks still on their way from the worklet are in
+            await this.audioPlayer.flushMixTap();
         }
+        const take = this.recorder.stop();
+        if (!take) return;
 
-        // Restore visual state for existing mappings
-        for (const sliderId of MIDI_LEARNABLE_SLIDERS) {
-            if (this.midiManager.hasMapping(sliderId)) {
-                const slider = this.elements[sliderId];
-                if (slider) {
-                    slider.closest('.param-control').classList.add('midi-mapped');
-                }
-            }
+        this.takes.push(take);
+        this.renderTakeList();
+        this.showToast(`${take.name} saved (${this.formatDuration(take.duration)})`, 'success');
+
+        try {
+            await this.takeStore.put(take);
+        } catch (error) {
+            console.error('[App] Could not store take:', error);
+            this.showToast('Could not store take - it will be lost on reload', 'error');
         }
     }
 
-    handleMidiCC(sliderId, midiValue) {
-        const slider = this.elements[sliderId];
-        if (!slider) return;
+    updateRecorderUI(state) {
+        const { recordArmBtn, recordBtn, recordStopBtn, recordTime } = this.elements;
+        recordArmBtn.classList.toggle('active', state === 'armed');
+        recordBtn.classList.toggle('armed', state === 'armed');
+        recordBtn.classList.toggle('recording', state === 'recording');
+        recordBtn.disabled = state === 'recording';
+        recordStopBtn.disabled = state === 'idle';
+        if (state !== 'recording') {
+            recordTime.textContent = this.formatDuration(0);
+        }
+    }
 
-        // Scale MIDI 0-127 to slider min-max
-        const min = parseFloat(slider.min);
-        const max = parseFloat(slider.max);
-        const step = parseFloat(slider.step) || 1;
-        const scaled = min + (midiValue / 127) * (max - min);
-        const rounded = Math.round(scaled / step) * step;
+    renderTakeList() {
+        const list = this.elements.takeList;
+        list.innerHTML = '';
 
-        console.log(`[MIDI] ${sliderId}: midi=${midiValue}, min=${min}, max=${max}, step=${step}, scaled=${scaled}, rounded=${rounded}`);
+        for (const take of this.takes) {
+            const item = document.createElement('li');
+            item.className = 'take-item';
+            item.dataset.takeId = take.id;
 
-        slider.value = rounded;
-        slider.dispatchEvent(new Event('input'));
+            const name = document.createElement('span');
+            name.className = 'take-name';
+            name.textContent = take.name;
+            name.title = take.metadata.prompts?.map(p => p.text).join(', ') || '';
 
-        // BPM needs 'change' event for context reset
-        if (sliderId === 'bpmSlider') {
-            slider.dispatchEvent(new Event('change'));
+            const duration = document.createElement('span');
+            duration.className = 'take-duration';
+            duration.textContent = this.formatDuration(take.duration);
+
+            item.append(name, duration);
+
+            for (const [action, label] of [['wav', 'WAV'], ['flac', 'FLAC'], ['delete', '×']]) {
+                const button = document.createElement('button');
+                button.className = `take-action ${action}`;
+                button.dataset.action = action;
+                button.textContent = label;
+                item.append(button);
+            }
+
+            list.appendChild(item);
         }
     }
 
-    updateMidiStatus(connected) {
-        const el = this.elements.midiStatus;
-        if (!el) return;
+    exportTake(takeId, format) {
+        const take = this.takes.find(t => t.id === takeId);
+        if (!take) return;
 
-        if (connected) {
-            el.classList.add('connected');
-            el.title = `MIDI: ${this.midiManager.inputCount} device(s)`;
-        } else {
-            el.classList.remove('connected');
-            el.title = 'MIDI: No devices';
+        const options = {
+            sampleRate: take.sampleRate,
+            channels: take.channels,
+            metadata: { name: take.name, ...take.metadata }
+        };
+        const samples = new Int16Array(take.pcm);
+        const blob = format === 'flac' ? encodeFlac(samples, options) : encodeWav(samples, options);
+
+        const slug = take.name.toLowerCase().replace(/\s+/g, '-');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `generafrica-${slug}-${take.metadata.bpm || this.currentParams.bpm}bpm.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async deleteTake(takeId) {
+        this.takes = this.takes.filter(t => t.id !== takeId);
+        this.renderTakeList();
+        try {
+            await this.takeStore.delete(takeId);
+        } catch (error) {
+            console.error('[App] Could not delete take:', error);
         }
     }
 
-    setupEventListeners() {
-        // Connection
-        this.elements.connectBtn.addEventListener('click', () => this.handleConnect());
-        this.elements.apiKeyInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.handleConnect();
-        });
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
 
-        // Transport controls
-        this.elements.playBtn.addEventListener('click', () => this.togglePlayPause());
-        this.elements.stopBtn.addEventListener('click', () => this.handleStop());
+    /**
+     * Player of the selected deck
+     */
+    get deckPlayer() {
+        return this.activeDeck.player;
+    }
 
-        // Prompt checkboxes — update on any change
-        this.elements.instrumentGrid.addEventListener('change', () => this.onPromptChange());
-        this.elements.rhythmGrid.addEventListener('change', () => this.onPromptChange());
+    setTargetLatency(seconds) {
+        for (const id of DECK_IDS) {
+            this.decks[id].player?.jitterBuffer.setTargetLatency(seconds);
+        }
+    }
 
-        // Parameter sliders
-        this.elements.bpmSlider.addEventListener('input', (e) => {
-            this.elements.bpmValue.textContent = e.target.value;
+    /**
+     * Route a session's events: the selected deck drives the UI, the other one only updates its own state
+     */
+    bindDeckClient(deck, client) {
+        const isCurrent = () => (deck === this.activeDeck ? this.lyriaClient : deck.lyriaClient) === client;
+
+        client.on('audioChunk', (data) => {
+            if (!isCurrent()) return;
+            // An armed recorder starts with the first audio from either deck
+            if (this.recorder.isArmed) {
+                this.recorder.start();
+            }
+            if (deck === this.activeDeck) {
+                this.handleAudioChunk(data);
+            } else {
+                deck.player.processAudioChunk(data);
+            }
         });
-        this.elements.bpmSlider.addEventListener('change', (e) => {
-            this.currentParams.bpm = parseInt(e.target.value);
-            // BPM requires stop/play to take effect
-            if (this.lyriaClient && this.isConnected && this.isPlaying) {
-                this.lyriaClient.stop();
-                this.audioPlayer.hardStop();
-                setTimeout(() => {
-                    this.applyConfig({ bpm: this.currentParams.bpm });
-                    this.applyPrompt();
-                    setTimeout(() => {
-                        this.audioPlayer.resume();
-                        this.lyriaClient?.play();
-                    }, 100);
-                }, 100);
-            } else if (this.lyriaClient && this.isConnected) {
-                this.applyConfig({ bpm: this.currentParams.bpm });
+        client.on('stateChange', (state, info) => {
+            if (!isCurrent()) return;
+            if (deck === this.activeDeck) {
+                this.handleStateChange(state, info);
+            } else {
+                this.handleDeckStateChange(deck, state);
             }
-            this.showToast(`BPM: ${this.currentParams.bpm}`, 'info');
+            this.renderDecks();
         });
-
-        this.elements.densitySlider.addEventListener('input', (e) => {
-            this.elements.densityValue.textContent = `${e.target.value}%`;
+        client.on('error', (error) => {
+            if (!isCurrent()) return;
+            if (deck === this.activeDeck) {
+                this.handleError(error);
+            } else {
+                this.showToast(`Deck ${deck.id}: ${error}`, 'error');
+            }
         });
-        this.elements.densitySlider.addEventListener('change', (e) => {
-            this.currentParams.density = e.target.value / 100;
-            this.applyConfig({ density: this.currentParams.density });
+        client.on('filteredPrompt', (filtered) => {
+            if (!isCurrent()) return;
+            this.handleFilteredPrompt(deck, filtered);
         });
-
-        this.elements.brightnessSlider.addEventListener('input', (e) => {
-            this.elements.brightnessValue.textContent = `${e.target.value}%`;
+        client.on('warning', (warning) => {
+            if (!isCurrent()) return;
+            const text = typeof warning === 'string' ? warning : (warning.message || JSON.stringify(warning));
+            this.showToast(deck === this.activeDeck ? `Lyria: ${text}` : `Deck ${deck.id}: ${text}`, 'info');
         });
-        this.elements.brightnessSlider.addEventListener('change', (e) => {
-            this.currentParams.brightness = e.target.value / 100;
-            this.applyConfig({ brightness: this.currentParams.brightness });
+        client.on('close', () => {
+            if (!isCurrent()) return;
+            if (deck === this.activeDeck) {
+                this.handleDisconnect();
+            } else {
+                this.handleDeckDisconnect(deck);
+            }
+            this.renderDecks();
         });
+    }
 
-
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
-
-        // Window resize
-        window.addEventListener('resize', () => this.resizeVisualizer());
-
-        // MIDI learn: right-click on any slider's param-control
-        for (const sliderId of MIDI_LEARNABLE_SLIDERS) {
-            const slider = this.elements[sliderId];
-            if (!slider) continue;
-
-            const paramControl = slider.closest('.param-control');
-            if (!paramControl) continue;
-
-            paramControl.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-
-                if (this.midiManager.isLearning) {
-                    // Cancel current learn
-                    this.midiManager.cancelLearn();
-                    document.querySelectorAll('.param-control.midi-learning').forEach(el => {
-                        el.classList.remove('midi-learning');
-                    });
-                    this.showToast('MIDI learn cancelled', 'info');
-                    return;
+    /**
+     * State change of the deck that isn't selected (no transport UI to update)
+     */
+    handleDeckStateChange(deck, state) {
+        switch (state) {
+            case 'connected':
+                deck.isConnected = true;
+                if (deck.isReconnecting) {
+                    deck.isReconnecting = false;
+                    this.showToast(`Deck ${deck.id}: reconnected`, 'success');
                 }
-
-                if (this.midiManager.hasMapping(sliderId)) {
-                    // Clear existing mapping
-                    this.midiManager.clearMapping(sliderId);
-                    paramControl.classList.remove('midi-mapped');
-                    this.showToast(`${SLIDER_NAMES[sliderId]} MIDI mapping cleared`, 'info');
-                } else {
-                    // Start learning
-                    this.midiManager.startLearn(sliderId);
+                break;
+            case 'reconnecting':
+                if (!deck.isReconnecting) {
+                    deck.isReconnecting = true;
+                    deck.player.fadeOutBuffered();
+                    this.showToast(`Deck ${deck.id}: connection lost - reconnecting...`, 'error');
                 }
-            });
+                break;
+            case 'playing':
+                deck.isPlaying = true;
+                break;
+            case 'paused':
+            case 'stopped':
+                deck.isPlaying = false;
+                break;
+            case 'disconnected':
+                deck.isConnected = false;
+                break;
         }
+    }
 
+    handleDeckDisconnect(deck) {
+        deck.isConnected = false;
+        deck.isPlaying = false;
+        deck.isReconnecting = false;
+        deck.player.stop(0.5);
+        this.showToast(`Deck ${deck.id}: disconnected from Lyria`, 'info');
     }
 
-    async handleConnect() {
-        const apiKey = this.elements.apiKeyInput.value.trim();
-        if (!apiKey) {
-            this.showToast('Please enter your API key', 'error');
+    /**
+     * Edit another deck: park the selected deck's state and bring the other deck's into the UI.
+     * The first switch to deck B opens its session, starting from a copy of deck A.
+     */
+    async selectDeck(id) {
+        const deck = this.decks[id];
+        if (!deck || deck === this.activeDeck || this.isSwitchingDeck) return;
+
+        // A queued BPM/scale restart belongs to the deck that queued it
+        if (this.restartTimer || this.isRestartingStream) {
+            this.showToast('Wait for the tempo change to land before switching decks', 'info');
             return;
         }
 
-        this.updateConnectionStatus('connecting');
-        this.elements.connectBtn.disabled = true;
-        this.elements.connectBtn.textContent = 'Connecting...';
+        const isNew = !deck.currentParams;
+        if (isNew && !this.isConnected) {
+            this.showToast(`Connect deck ${this.activeDeck.id} before starting deck ${id}`, 'error');
+            return;
+        }
 
+        this.isSwitchingDeck = true;
         try {
-            this.lyriaClient = new LyriaClient(apiKey);
-
-            this.lyriaClient.on('audioChunk', (data) => this.handleAudioChunk(data));
-            this.lyriaClient.on('stateChange', (state) => this.handleStateChange(state));
-            this.lyriaClient.on('error', (error) => this.handleError(error));
-            this.lyriaClient.on('close', () => this.handleDisconnect());
-
-            await this.lyriaClient.connect();
-
-            localStorage.setItem('lyria_api_key', apiKey);
-
-            this.isConnected = true;
-            this.updateConnectionStatus('connected');
-            this.elements.apiKeySection.classList.add('hidden');
-            this.enableControls(true);
-
-            this.showToast('Connected to Lyria RealTime', 'success');
-
-            // Set initial African percussion config
-            await this.setInitialConfig();
+            this.saveDeckState(this.activeDeck);
+            if (isNew) {
+                Object.assign(deck, {
+                    lyriaClient: null,
+                    isConnected: false,
+                    isPlaying: false,
+                    isReconnecting: false,
+                    currentParams: { ...this.currentParams },
+                    streamBpm: this.currentParams.bpm,
+                    customPrompts: [...this.customPrompts],
+                    promptWeights: new Map(this.promptWeights),
+                    promptHistory: this.createPromptHistory(),
+                    chips: [...this.activeDeck.chips]
+                });
+            }
+            this.activeDeck = deck;
+            this.loadDeckState(deck);
+            console.log(`[App] Editing deck ${id}`);
 
-        } catch (error) {
-            console.error('[App] Connection failed:', error);
-            this.updateConnectionStatus('disconnected');
-            this.showToast('Failed to connect: ' + error.message, 'error');
-            this.elements.connectBtn.disabled = false;
-            this.elements.connectBtn.textContent = 'Connect';
+            if (isNew) {
+                await this.handleConnect();
+            }
+        } finally {
+            this.isSwitchingDeck = false;
         }
     }
 
-    async setInitialConfig() {
-        // Set prompt from input field
-        this.applyPrompt();
-
-        // Set initial music config
-        this.applyConfig({
-            bpm: this.currentParams.bpm,
-            density: this.currentParams.density,
-            brightness: this.currentParams.brightness
-        });
+    saveDeckState(deck) {
+        for (const field of DECK_FIELDS) {
+            deck[field] = this[field];
+        }
+        deck.chips = [
+            ...this.elements.instrumentGrid.querySelectorAll('input:checked'),
+            ...this.elements.rhythmGrid.querySelectorAll('input:checked')
+        ].map(cb => cb.value);
     }
 
-    buildPrompt() {
-        const instruments = [...this.elements.instrumentGrid.querySelectorAll('input:checked')]
-            .map(cb => cb.value);
-        const rhythms = [...this.elements.rhythmGrid.querySelectorAll('input:checked')]
-            .map(cb => cb.value);
-        return [...instruments, ...rhythms].join(', ');
-    }
+    loadDeckState(deck) {
+        for (const field of DECK_FIELDS) {
+            this[field] = deck[field];
+        }
+        this.setStreamBpm(this.streamBpm);
 
-    onPromptChange() {
-        const prompt = this.buildPrompt();
-        this.elements.promptPreview.textContent = prompt || '(select at least one)';
-        if (!this.lyriaClient || !this.isConnected) return;
-        if (!prompt) return;
-        this.lyriaClient.setWeightedPrompts([
-            { text: prompt, weight: 1.0 }
-        ]);
-    }
+        for (const cb of [
+            ...this.elements.instrumentGrid.querySelectorAll('input'),
+            ...this.elements.rhythmGrid.querySelectorAll('input')
+        ]) {
+            cb.checked = deck.chips.includes(cb.value);
+        }
+        this.syncMidiFeedback();
+        this.renderPromptFeedback();
+        for (const [param, value] of Object.entries(this.currentParams)) {
+            this.setParamControl(param, value);
+        }
 
-    applyPrompt() {
-        if (!this.lyriaClient || !this.isConnected) return;
-        const prompt = this.buildPrompt();
-        if (!prompt) return;
-        this.elements.promptPreview.textContent = prompt;
-        this.lyriaClient.setWeightedPrompts([
-            { text: prompt, weight: 1.0 }
-        ]);
+        this.updatePlayButton();
+        this.updateConnectionStatus(this.isReconnecting ? 'reconnecting' : (this.isConnected ? 'connected' : 'disconnected'));
+        this.elements.apiKeySection.classList.toggle('hidden', this.isConnected);
+        this.elements.connectBtn.disabled = false;
+        this.elements.connectBtn.textContent = 'Connect';
+        this.enableControls(this.isConnected);
     }
 
-    applyConfig(config) {
-        if (!this.lyriaClient || !this.isConnected) return;
-        this.lyriaClient.setMusicGenerationConfig(config);
+    renderDecks() {
+        for (const id of DECK_IDS) {
+            const deck = this.decks[id];
+            const isPlaying = deck === this.activeDeck ? this.isPlaying : deck.isPlaying;
+            this.elements[`deck${id}Btn`].classList.toggle('selected', deck === this.activeDeck);
+            this.elements[`deck${id}Btn`].classList.toggle('playing', !!isPlaying);
+        }
     }
 
-    handleAudioChunk(data) {
-        this.audioPlayer.processAudioChunk(data);
+    /**
+     * Equal-power crossfade between the decks
+     * @param {number} position - 0 = deck A only, 1 = deck B only
+     */
+    setCrossfader(position) {
+        this.decks.A.player.setDeckGain(Math.cos(position * Math.PI / 2));
+        this.decks.B.player?.setDeckGain(Math.sin(position * Math.PI / 2));
+
+        const percent = Math.round(position * 100);
+        this.elements.crossfaderValue.textContent =
+            percent === 0 ? 'A' : (percent === 100 ? 'B' : `${100 - percent} / ${percent}`);
     }
 
-    handleStateChange(state) {
-        console.log('[App] State change:', state);
+    handleStateChange(state, info) {
+        console.log('[App] State change:', state, info || '');
 
         switch (state) {
             case 'connected':
                 this.isConnected = true;
+                if (this.isReconnecting) {
+                    this.isReconnecting = false;
+                    this.updateConnectionStatus('connected');
+                    this.showToast('Reconnected to Lyria', 'success');
+                }
+                break;
+            case 'reconnecting':
+                // Stay "connected" so parameter changes keep flowing into the client,
+                // which replays its latest state once the session is back
+                if (!this.isReconnecting) {
+                    this.isReconnecting = true;
+                    this.deckPlayer.fadeOutBuffered();
+                    this.showToast('Connection lost - reconnecting...', 'error');
+                }
+                this.updateConnectionStatus('reconnecting', info);
                 break;
             case 'playing':
+                if (this.isRestartingStream) {
+                    // Everything from here on is the restarted stream
+                    this.deckPlayer.crossfadeToNextStream();
+                }
                 this.isPlaying = true;
-                this.elements.playBtn.classList.add('playing');
-                this.elements.playBtnIcon.textContent = '⏸';
-                this.elements.playBtnLabel.textContent = 'Pause';
+                this.updatePlayButton();
                 this.elements.visualizerOverlay.classList.add('hidden');
                 break;
             case 'paused':
             case 'stopped':
+                // The STOP of a BPM/scale restart, not the end of playback
+                if (this.isRestartingStream) break;
                 this.isPlaying = false;
-                this.elements.playBtn.classList.remove('playing');
-                this.elements.playBtnIcon.textContent = '▶';
-                this.elements.playBtnLabel.textContent = 'Play';
+                this.updatePlayButton();
                 break;
             case 'disconnected':
                 this.isConnected = false;
@@ -406,7 +3115,9 @@ class GenerAfricaApp {
 
     handleDisconnect() {
         this.isConnected = false;
+        this.flushPendingRestart();
         this.isPlaying = false;
+        this.isReconnecting = false;
         this.updateConnectionStatus('disconnected');
         this.enableControls(false);
         this.elements.apiKeySection.classList.remove('hidden');
@@ -416,20 +3127,20 @@ class GenerAfricaApp {
     async togglePlayPause() {
         if (!this.lyriaClient || !this.isConnected) return;
 
+        // A queued BPM/scale change lands now rather than on a bar that won't play
+        this.flushPendingRestart();
+
         if (this.isPlaying) {
-            this.lyriaClient.pause();
-            this.isPlaying = false;
-            this.elements.playBtn.classList.remove('playing');
-            this.elements.playBtnIcon.textContent = '▶';
-            this.elements.playBtnLabel.textContent = 'Play';
+            this.pause();
         } else {
             try {
                 await this.audioPlayer.resume();
                 this.lyriaClient.play();
+                // The automation clock doubles as the transport position: zero means stopped, not paused
+                this.midiClock.sendTransport(this.automation.elapsed > 0 ? 'continue' : 'start');
+                this.automation.startClock();
                 this.isPlaying = true;
-                this.elements.playBtn.classList.add('playing');
-                this.elements.playBtnIcon.textContent = '⏸';
-                this.elements.playBtnLabel.textContent = 'Pause';
+                this.updatePlayButton();
                 this.elements.visualizerOverlay.classList.add('hidden');
             } catch (error) {
                 console.error('[App] Error in togglePlayPause:', error);
@@ -437,22 +3148,36 @@ class GenerAfricaApp {
         }
     }
 
+    pause() {
+        this.flushPendingRestart();
+        this.lyriaClient.pause();
+        this.deckPlayer.expectGap();
+        this.automation.pauseClock();
+        // MIDI has no pause: Stop now, Continue on resume
+        this.midiClock.sendTransport('stop');
+        this.isPlaying = false;
+        this.updatePlayButton();
+    }
+
     handleStop() {
         if (!this.lyriaClient || !this.isConnected) return;
 
         // Tell Lyria to stop sending new audio
+        this.flushPendingRestart();
         this.lyriaClient.stop();
+        this.automation.resetClock();
+        this.midiClock.sendTransport('stop');
 
         // Update UI immediately
         this.isPlaying = false;
-        this.elements.playBtn.classList.remove('playing');
-        this.elements.playBtnIcon.textContent = '▶';
-        this.elements.playBtnLabel.textContent = 'Play';
+        this.updatePlayButton();
 
         // Fade out audio over 500ms, then show overlay
-        this.audioPlayer.stop(0.5);
+        this.deckPlayer.stop(0.5);
         setTimeout(() => {
-            this.elements.visualizerOverlay.classList.remove('hidden');
+            if (!DECK_IDS.some(id => this.decks[id] !== this.activeDeck && this.decks[id].isPlaying)) {
+                this.elements.visualizerOverlay.classList.remove('hidden');
+            }
         }, 500);
     }
 
@@ -470,9 +3195,7 @@ class GenerAfricaApp {
             case 'Escape':
                 if (this.midiManager.isLearning) {
                     this.midiManager.cancelLearn();
-                    document.querySelectorAll('.param-control.midi-learning').forEach(el => {
-                        el.classList.remove('midi-learning');
-                    });
+                    this.clearMidiLearnHighlight();
                     this.showToast('MIDI learn cancelled', 'info');
                 } else {
                     this.handleStop();
@@ -499,16 +3222,61 @@ class GenerAfricaApp {
                 this.adjustSlider(this.elements.densitySlider, -5);
                 break;
 
+            case 'A':
+            case 'B':
+                // Shift+A / Shift+B: select a deck
+                if (e.shiftKey) {
+                    this.selectDeck(e.key);
+                }
+                break;
+
+            case 'D':
+                // Shift+D: jitter buffer diagnostics
+                if (e.shiftKey) {
+                    this.toggleDiagnostics();
+                }
+                break;
+
+            case 't':
+                if (e.ctrlKey || e.metaKey || e.altKey) break;
+                this.handleTapTempo();
+                break;
+
             case 'M':
                 // Shift+M: clear all MIDI mappings
                 if (e.shiftKey) {
                     this.midiManager.clearAllMappings();
-                    document.querySelectorAll('.param-control.midi-mapped').forEach(el => {
-                        el.classList.remove('midi-mapped');
-                    });
                     this.showToast('All MIDI mappings cleared', 'info');
                 }
                 break;
+
+            default: {
+                if (e.ctrlKey || e.metaKey || e.altKey) break;
+
+                // Performance pads, held for as long as the key is
+                const effect = this.getPerformanceEffect(e.key);
+                if (effect) {
+                    e.preventDefault();
+                    if (!e.repeat) this.pressPerformancePad(effect);
+                    break;
+                }
+
+                // Launcher pads
+                const position = LAUNCHER_KEYS.indexOf(e.key.toLowerCase());
+                const pad = this.sceneLauncher.visiblePads[position];
+                if (position !== -1 && pad !== undefined) {
+                    e.preventDefault();
+                    this.sceneLauncher.trigger(pad);
+                }
+                break;
+            }
+        }
+    }
+
+    handleKeyUp(e) {
+        const effect = this.getPerformanceEffect(e.key);
+        if (effect) {
+            this.releasePerformancePad(effect);
         }
     }
 
@@ -530,6 +3298,7 @@ class GenerAfricaApp {
 
         this.audioPlayer.startVisualization((frequencyData, timeDomainData) => {
             this.drawVisualizer(ctx, frequencyData, timeDomainData);
+            this.drawAutomation();
         });
     }
 
@@ -538,6 +3307,11 @@ class GenerAfricaApp {
         const rect = canvas.parentElement.getBoundingClientRect();
         canvas.width = rect.width;
         canvas.height = rect.height;
+
+        const automationCanvas = this.elements.automationCanvas;
+        const automationRect = automationCanvas.getBoundingClientRect();
+        automationCanvas.width = automationRect.width;
+        automationCanvas.height = automationRect.height;
     }
 
     drawVisualizer(ctx, frequencyData, timeDomainData) {
@@ -594,7 +3368,14 @@ class GenerAfricaApp {
         ctx.stroke();
     }
 
-    updateConnectionStatus(status) {
+    updatePlayButton() {
+        this.elements.playBtn.classList.toggle('playing', this.isPlaying);
+        this.elements.playBtnIcon.textContent = this.isPlaying ? '⏸' : '▶';
+        this.elements.playBtnLabel.textContent = this.isPlaying ? 'Pause' : 'Play';
+        this.renderDecks();
+    }
+
+    updateConnectionStatus(status, info) {
         const statusElement = this.elements.connectionStatus;
         const statusText = statusElement.querySelector('.status-text');
 
@@ -607,6 +3388,11 @@ class GenerAfricaApp {
             case 'connecting':
                 statusText.textContent = 'Connecting...';
                 break;
+            case 'reconnecting':
+                statusText.textContent = info
+                    ? `Reconnecting (${info.attempt}/${info.maxAttempts})`
+                    : 'Reconnecting...';
+                break;
             case 'disconnected':
                 statusText.textContent = 'Disconnected';
                 break;
@@ -616,6 +3402,7 @@ class GenerAfricaApp {
     enableControls(enabled) {
         this.elements.playBtn.disabled = !enabled;
         this.elements.stopBtn.disabled = !enabled;
+        this.elements.cueBtn.disabled = !enabled && !this.cueBus.isActive;
     }
 
     showToast(message, type = 'info') {
@@ -0,0 +1,402 @@
+/**
+ * Audio Export
+ * Encodes interleaved 16-bit PCM as WAV or FLAC with embedded metadata
+ */
+
+const SOFTWARE_NAME = 'GenerAfrica';
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_FIXED_ORDER = 4;
+const FLAC_MAX_RICE_PARAM = 14; // 15 is the escape code
+
+// Frame header sample rate codes; anything else falls back to STREAMINFO (code 0)
+const FLAC_SAMPLE_RATE_CODES = {
+    88200: 0b0001, 176400: 0b0010, 192000: 0b0011, 8000: 0b0100,
+    16000: 0b0101, 22050: 0b0110, 24000: 0b0111, 32000: 0b1000,
+    44100: 0b1001, 48000: 0b1010, 96000: 0b1011
+};
+
+/**
+ * Flatten take metadata into tag key/value pairs
+ * @param {object} metadata - { name, prompts, bpm, params }
+ */
+export function metadataToTags(metadata = {}) {
+    const tags = {};
+    if (metadata.name) {
+        tags.TITLE = metadata.name;
+    }
+    if (metadata.prompts?.length) {
+        tags.PROMPT = metadata.prompts
+            .map(p => `${p.text} (${Number(p.weight).toFixed(2)})`)
+            .join(', ');
+    }
+    if (metadata.bpm) {
+        tags.BPM = String(metadata.bpm);
+    }
+    if (metadata.params) {
+        tags.PARAMS = JSON.stringify(metadata.params);
+    }
+    tags.ENCODER = SOFTWARE_NAME;
+    return tags;
+}
+
+/**
+ * Encode interleaved Int16 PCM as a WAV file
+ * Metadata goes into a LIST/INFO chunk (INAM title, ICMT prompt/BPM/params, ISFT software)
+ * @param {Int16Array} samples - Interleaved PCM samples
+ * @param {object} options - { sampleRate, channels, metadata }
+ * @returns {Blob}
+ */
+export function encodeWav(samples, { sampleRate = 48000, channels = 2, metadata = {} } = {}) {
+    const tags = metadataToTags(metadata);
+    const info = [];
+    if (tags.TITLE) info.push(['INAM', tags.TITLE]);
+    const comment = ['PROMPT', 'BPM', 'PARAMS']
+        .filter(key => tags[key])
+        .map(key => `${key}=${tags[key]}`)
+        .join('\n');
+    if (comment) info.push(['ICMT', comment]);
+    info.push(['ISFT', SOFTWARE_NAME]);
+
+    const encoder = new TextEncoder();
+    const infoEntries = info.map(([id, text]) => {
+        const bytes = encoder.encode(text + '\0');
+        return { id, bytes, padded: bytes.length + (bytes.length % 2) };
+    });
+    const listSize = 4 + infoEntries.reduce((sum, e) => sum + 8 + e.padded, 0);
+
+    const dataSize = samples.length * 2;
+    const headerSize = 12 + 24 + (8 + listSize) + 8;
+    const buffer = new ArrayBuffer(headerSize + dataSize);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    let offset = 0;
+
+    const writeId = (id) => {
+        for (let i = 0; i < 4; i++) {
+            view.setUint8(offset++, id.charCodeAt(i));
+        }
+    };
+
+    // RIFF header
+    writeId('RIFF');
+    view.setUint32(offset, buffer.byteLength - 8, true); offset += 4;
+    writeId('WAVE');
+
+    // Format chunk
+    writeId('fmt ');
+    view.setUint32(offset, 16, true); offset += 4;
+    view.setUint16(offset, 1, true); offset += 2; // PCM
+    view.setUint16(offset, channels, true); offset += 2;
+    view.setUint32(offset, sampleRate, true); offset += 4;
+    view.setUint32(offset, sampleRate * channels * 2, true); offset += 4;
+    view.setUint16(offset, channels * 2, true); offset += 2;
+    view.setUint16(offset, 16, true); offset += 2;
+
+    // Metadata chunk
+    writeId('LIST');
+    view.setUint32(offset, listSize, true); offset += 4;
+    writeId('INFO');
+    for (const entry of infoEntries) {
+        writeId(entry.id);
+        view.setUint32(offset, entry.bytes.length, true); offset += 4;
+        bytes.set(entry.bytes, offset);
+        offset += entry.padded;
+    }
+
+    // Sample data
+    writeId('data');
+    view.setUint32(offset, dataSize, true); offset += 4;
+    for (let i = 0; i < samples.length; i++, offset += 2) {
+        view.setInt16(offset, samples[i], true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Encode interleaved Int16 PCM as a FLAC file
+ * Uses fixed linear predictors with Rice-coded residuals; metadata goes into a Vorbis comment block.
+ * @param {Int16Array} samples - Interleaved PCM samples
+ * @param {object} options - { sampleRate, channels, metadata }
+ * @returns {Blob}
+ */
+export function encodeFlac(samples, { sampleRate = 48000, channels = 2, metadata = {} } = {}) {
+    const totalFrames = Math.floor(samples.length / channels);
+    const writer = new BitWriter(samples.length * 2 + 1024);
+
+    writer.writeBytes(new TextEncoder().encode('fLaC'));
+
+    // STREAMINFO
+    writer.writeBits(0, 1); // not the last metadata block
+    writer.writeBits(0, 7);
+    writer.writeBits(34, 24);
+    writer.writeBits(FLAC_BLOCK_SIZE, 16); // min block size
+    writer.writeBits(FLAC_BLOCK_SIZE, 16); // max block size
+    writer.writeBits(0, 24); // min frame size (unknown)
+    writer.writeBits(0, 24); // max frame size (unknown)
+    writer.writeBits(sampleRate, 20);
+    writer.writeBits(channels - 1, 3);
+    writer.writeBits(15, 5); // 16 bits per sample
+    writer.writeBits(Math.floor(totalFrames / 0x10000), 20); // 36-bit total, high part
+    writer.writeBits(totalFrames % 0x10000, 16);
+    writer.writeBytes(new Uint8Array(16)); // MD5 left unset
+
+    // VORBIS_COMMENT
+    const encoder = new TextEncoder();
+    const vendor = encoder.encode(SOFTWARE_NAME);
+    const comments = Object.entries(metadataToTags(metadata))
+        .map(([key, value]) => encoder.encode(`${key}=${value}`));
+    const commentSize = 4 + vendor.length + 4 + comments.reduce((sum, c) => sum + 4 + c.length, 0);
+    writer.writeBits(1, 1); // last metadata block
+    writer.writeBits(4, 7);
+    writer.writeBits(commentSize, 24);
+    writer.writeUint32LE(vendor.length);
+    writer.writeBytes(vendor);
+    writer.writeUint32LE(comments.length);
+    for (const comment of comments) {
+        writer.writeUint32LE(comment.length);
+        writer.writeBytes(comment);
+    }
+
+    // Audio frames
+    const channelData = new Int32Array(FLAC_BLOCK_SIZE);
+    const sampleRateCode = FLAC_SAMPLE_RATE_CODES[sampleRate] || 0;
+    let frameNumber = 0;
+    for (let start = 0; start < totalFrames; start += FLAC_BLOCK_SIZE, frameNumber++) {
+        const blockSize = Math.min(FLAC_BLOCK_SIZE, totalFrames - start);
+        const frameStart = writer.byteLength;
+
+        // Frame header
+        writer.writeBits(0x3ffe, 14); // sync code
+        writer.writeBits(0, 1);
+        writer.writeBits(0, 1); // fixed block size
+        writer.writeBits(blockSize === FLAC_BLOCK_SIZE ? 0b1100 : 0b0111, 4);
+        writer.writeBits(sampleRateCode, 4);
+        writer.writeBits(channels - 1, 4); // independent channels
+        writer.writeBits(0b100, 3); // 16 bits per sample
+        writer.writeBits(0, 1);
+        writer.writeUtf8Number(frameNumber);
+        if (blockSize !== FLAC_BLOCK_SIZE) {
+            writer.writeBits(blockSize - 1, 16);
+        }
+        writer.writeBits(crc8(writer.bytes, frameStart, writer.byteLength), 8);
+
+        // One subframe per channel
+        for (let ch = 0; ch < channels; ch++) {
+            for (let i = 0; i < blockSize; i++) {
+                channelData[i] = samples[(start + i) * channels + ch];
+            }
+            writeFixedSubframe(writer, channelData.subarray(0, blockSize));
+        }
+
+        writer.alignToByte();
+        writer.writeBits(crc16(writer.bytes, frameStart, writer.byteLength), 16);
+    }
+
+    return new Blob([writer.bytes.subarray(0, writer.byteLength)], { type: 'audio/flac' });
+}
+
+/**
+ * Write a FIXED subframe using the predictor order that needs the fewest bits
+ */
+function writeFixedSubframe(writer, block) {
+    const maxOrder = Math.min(FLAC_MAX_FIXED_ORDER, block.length - 1);
+    let best = null;
+
+    for (let order = 0; order <= maxOrder; order++) {
+        const residual = fixedResidual(block, order);
+        const { param, bits } = bestRiceParam(residual);
+        const totalBits = order * 16 + bits;
+        if (!best || totalBits < best.totalBits) {
+            best = { order, residual, param, totalBits };
+        }
+    }
+
+    writer.writeBits(0, 1);
+    writer.writeBits(0b001000 | best.order, 6);
+    writer.writeBits(0, 1); // no wasted bits
+
+    for (let i = 0; i < best.order; i++) {
+        writer.writeSigned(block[i], 16);
+    }
+
+    writer.writeBits(0, 2); // Rice coding, 4-bit parameters
+    writer.writeBits(0, 4); // partition order 0
+    writer.writeBits(best.param, 4);
+    for (let i = 0; i < best.residual.length; i++) {
+        writer.writeRice(best.residual[i], best.param);
+    }
+}
+
+/**
+ * Residual of the FLAC fixed polynomial predictor of the given order
+ */
+function fixedResidual(block, order) {
+    const residual = new Int32Array(block.length - order);
+    for (let i = order; i < block.length; i++) {
+        let prediction;
+        switch (order) {
+            case 0: prediction = 0; break;
+            case 1: prediction = block[i - 1]; break;
+            case 2: prediction = 2 * block[i - 1] - block[i - 2]; break;
+            case 3: prediction = 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3]; break;
+            default: prediction = 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4]; break;
+        }
+        residual[i - order] = block[i] - prediction;
+    }
+    return residual;
+}
+
+/**
+ * Pick the Rice parameter that minimises the encoded residual size.
+ * The optimum sits next to log2 of the mean magnitude, so only its neighbours are measured.
+ */
+function bestRiceParam(residual) {
+    let sum = 0;
+    for (let i = 0; i < residual.length; i++) {
+        sum += zigzag(residual[i]);
+    }
+    const mean = residual.length > 0 ? sum / residual.length : 0;
+    const estimate = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+
+    let best = { param: 0, bits: Infinity };
+    for (let param = Math.max(0, estimate - 1); param <= Math.min(FLAC_MAX_RICE_PARAM, estimate + 1); param++) {
+        // Unary quotient bits + stop bit + remainder bits, summed over all samples
+        let bits = residual.length * (param + 1);
+        for (let i = 0; i < residual.length; i++) {
+            bits += zigzag(residual[i]) >>> param;
+        }
+        if (bits < best.bits) {
+            best = { param, bits };
+        }
+    }
+    return best;
+}
+
+function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i];
+        for (let b = 0; b < 8; b++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+        }
+    }
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i] << 8;
+        for (let b = 0; b < 8; b++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Big-endian bit writer backed by a growable byte array
+ */
+class BitWriter {
+    constructor(initialSize = 1024) {
+        this.bytes = new Uint8Array(initialSize);
+        this.byteLength = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    ensureCapacity(extraBytes) {
+        if (this.byteLength + extraBytes <= this.bytes.length) return;
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.byteLength + extraBytes));
+        grown.set(this.bytes.subarray(0, this.byteLength));
+        this.bytes = grown;
+    }
+
+    pushByte(byte) {
+        this.ensureCapacity(1);
+        this.bytes[this.byteLength++] = byte;
+    }
+
+    writeBits(value, count) {
+        // Write in chunks of up to 16 bits so intermediate values stay within 32-bit ints
+        while (count > 16) {
+            count -= 16;
+            this.writeBits(Math.floor(value / Math.pow(2, count)) & 0xffff, 16);
+        }
+        for (let i = count - 1; i >= 0; i--) {
+            this.bitBuffer = (this.bitBuffer << 1) | ((value >>> i) & 1);
+            this.bitCount++;
+            if (this.bitCount === 8) {
+                this.pushByte(this.bitBuffer);
+                this.bitBuffer = 0;
+                this.bitCount = 0;
+            }
+        }
+    }
+
+    writeSigned(value, count) {
+        this.writeBits(value & ((1 << count) - 1), count);
+    }
+
+    writeUnary(zeros) {
+        while (zeros >= 16) {
+            this.writeBits(0, 16);
+            zeros -= 16;
+        }
+        this.writeBits(1, zeros + 1);
+    }
+
+    writeRice(value, param) {
+        const u = zigzag(value);
+        this.writeUnary(u >>> param);
+        if (param > 0) {
+            this.writeBits(u & ((1 << param) - 1), param);
+        }
+    }
+
+    writeUtf8Number(value) {
+        if (value < 0x80) {
+            this.writeBits(value, 8);
+            return;
+        }
+        let continuation = 1;
+        while (value >= Math.pow(2, 5 * continuation + 6) && continuation < 6) {
+            continuation++;
+        }
+        const lead = (0xff << (7 - continuation)) & 0xff;
+        this.writeBits(lead | Math.floor(value / Math.pow(2, 6 * continuation)), 8);
+        for (let i = continuation - 1; i >= 0; i--) {
+            this.writeBits(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3f), 8);
+        }
+    }
+
+    writeUint32LE(value) {
+        this.writeBits(value & 0xff, 8);
+        this.writeBits((value >>> 8) & 0xff, 8);
+        this.writeBits((value >>> 16) & 0xff, 8);
+        this.writeBits((value >>> 24) & 0xff, 8);
+    }
+
+    writeBytes(bytes) {
+        if (this.bitCount === 0) {
+            this.ensureCapacity(bytes.length);
+            this.bytes.set(bytes, this.byteLength);
+            this.byteLength += bytes.length;
+            return;
+        }
+        for (const byte of bytes) {
+            this.writeBits(byte, 8);
+        }
+    }
+
+    alignToByte() {
+        if (this.bitCount > 0) {
+            this.writeBits(0, 8 - this.bitCount);
+        }
+    }
+}
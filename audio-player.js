@@ -1,20 +1,62 @@
 /**
  * Audio Player
- * Handles Web Audio API playback and visualization of PCM audio data
+ * Handles Web Audio API playback and visualization of PCM audio data.
+ * Chunks are decoded and played on the audio thread by the pcm-player worklet;
+ * the main thread only decides when each chunk should start.
  */
 
+import { JitterBuffer } from './jitter-buffer.js';
+import { MasterFx } from './master-fx.js';
+import { PerformanceFx } from './performance-fx.js';
+import { Looper } from './looper.js';
+
+const WORKLET_URL = new URL('./pcm-player-worklet.js', import.meta.url);
+const CAPTURE_WORKLET_URL = new URL('./loop-capture-worklet.js', import.meta.url);
+const STREAM_FADE = 0.03; // fade back in after an underrun
+const TAP_FLUSH_TIMEOUT_MS = 500;
+
 export class AudioPlayer {
-    constructor() {
+    /**
+     * @param {object} options - { effects: false } for a plain player without performance/master FX (e.g. the cue bus);
+     *   { context, destination } to play into another player's graph instead of an own context (e.g. a second deck)
+     */
+    constructor({ effects = true, context = null, destination = null } = {}) {
+        this.effects = effects && !context;
+        this.sharedContext = context; // owned by another player, which also handles FX, analysis and output
+        this.destination = destination;
         this.audioContext = null;
         this.analyser = null;
         this.gainNode = null;
-        this.audioQueue = [];
+        this.deckGain = null; // crossfader level, after the volume
+        this.mixInput = null; // where decks mix into: the loop capture before the FX, or the analyser without FX
+        this.loopCapture = null; // worklet keeping the recent deck mix for loop capture
+        this.looper = null; // loop slots, played into the FX chain after the capture point
+        this.pendingCaptures = new Map(); // capture id → { resolve, reject }
+        this.captureId = 0;
+        this.onMixTap = null; // callback(pcm: ArrayBuffer) interleaved 16-bit blocks of the deck mix while tapped
+        this.pendingTapFlushes = new Map(); // flush id → resolve, until the worklet has drained the tap
+        this.performanceFx = null; // momentary filter/echo/stutter/tape stop after the gain
+        this.masterFx = null; // EQ/compressor/reverb/width between the performance FX and the analyser
+        this.streamNode = null; // pcm-player worklet playing the current stream
+        this.streamGain = null; // per-stream gain, so an old and a new stream can crossfade
         this.isPlaying = false;
         this.nextStartTime = 0;
-        this.scheduledBuffers = [];
         this.sampleRate = 48000;
         this.channels = 2;
-        this.bufferDuration = 0.1; // 100ms chunks for smooth playback
+        this.fadeInOnNextChunk = false; // set after bridging a gap in the stream
+        this.fadeInDuration = 0.3;
+        this.streamStartTime = null; // audio clock time the current stream started playing
+        this.crossfadePending = false; // next chunk starts a new stream that crossfades in
+        this.crossfadeDuration = 1.0;
+
+        // Jitter buffer
+        this.jitterBuffer = new JitterBuffer();
+        this.gapExpected = false; // pause/reconnect: the next restart isn't an underrun
+
+        // Output routing
+        this.outputDevice = ''; // sink id, '' = system default
+        this.outputPair = 0; // channel pair of the device: 0 = 1/2, 1 = 3/4, ...
+        this.outputRouter = []; // splitter/merger while routed to a pair other than 1/2
 
         // Visualization
         this.visualizationCallback = null;
@@ -29,6 +71,15 @@ export class AudioPlayer {
             return;
         }
 
+        if (this.sharedContext) {
+            this.audioContext = this.sharedContext;
+            this.sampleRate = this.audioContext.sampleRate;
+            this.createMixer();
+            this.deckGain.connect(this.destination);
+            console.log('[AudioPlayer] Initialized on a shared context');
+            return;
+        }
+
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
             sampleRate: this.sampleRate
         });
@@ -38,17 +89,241 @@ export class AudioPlayer {
         this.analyser.fftSize = 2048;
         this.analyser.smoothingTimeConstant = 0.8;
 
-        // Create gain node for volume control
-        this.gainNode = this.audioContext.createGain();
-        this.gainNode.gain.value = 1.0;
+        await this.audioContext.audioWorklet.addModule(WORKLET_URL);
+        if (this.effects) {
+            await PerformanceFx.addModule(this.audioContext);
+            await this.audioContext.audioWorklet.addModule(CAPTURE_WORKLET_URL);
+        }
+
+        this.createMixer();
 
         // Connect nodes
-        this.gainNode.connect(this.analyser);
-        this.analyser.connect(this.audioContext.destination);
+        if (this.effects) {
+            this.performanceFx = new PerformanceFx(this.audioContext);
+            this.masterFx = new MasterFx(this.audioContext);
+            this.looper = new Looper(this.audioContext);
+            this.loopCapture = new AudioWorkletNode(this.audioContext, 'loop-capture', {
+                outputChannelCount: [this.channels]
+            });
+            this.loopCapture.port.onmessage = (e) => this.handleCaptureMessage(e.data);
+            this.loopCapture.connect(this.performanceFx.input);
+            this.looper.output.connect(this.performanceFx.input);
+            this.performanceFx.output.connect(this.masterFx.input);
+            this.masterFx.output.connect(this.analyser);
+            this.mixInput = this.loopCapture;
+        } else {
+            this.mixInput = this.analyser;
+        }
+        this.deckGain.connect(this.mixInput);
+        if (this.outputDevice && typeof this.audioContext.setSinkId === 'function') {
+            try {
+                await this.audioContext.setSinkId(this.outputDevice);
+            } catch (e) {
+                console.warn('[AudioPlayer] Output device unavailable, using default:', e);
+            }
+        }
+        this.connectOutput();
 
         console.log('[AudioPlayer] Initialized with sample rate:', this.audioContext.sampleRate);
     }
 
+    /**
+     * Create the volume and deck gains and the first stream
+     */
+    createMixer() {
+        this.gainNode = this.audioContext.createGain();
+        this.gainNode.gain.value = 1.0;
+        this.deckGain = this.audioContext.createGain();
+        this.deckGain.gain.value = 1.0;
+        this.gainNode.connect(this.deckGain);
+
+        this.createStream(1.0);
+    }
+
+    /**
+     * Set the crossfader level of this player (0-1)
+     */
+    setDeckGain(value) {
+        if (this.deckGain) {
+            this.deckGain.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.01);
+        }
+    }
+
+    /**
+     * Copy the recent deck mix (before the FX and loops)
+     * @param {number} startTime - Audio clock time of the first frame
+     * @param {number} duration - Seconds
+     * @returns {Promise<Float32Array[]>} One array per channel
+     */
+    captureAudio(startTime, duration) {
+        if (!this.loopCapture) {
+            return Promise.reject(new Error('Loop capture needs the effects chain'));
+        }
+        return new Promise((resolve, reject) => {
+            const id = ++this.captureId;
+            this.pendingCaptures.set(id, { resolve, reject });
+            this.loopCapture.port.postMessage({
+                type: 'capture',
+                id,
+                startFrame: Math.round(startTime * this.sampleRate),
+                frames: Math.round(duration * this.sampleRate)
+            });
+        });
+    }
+
+    /**
+     * Stream the deck mix after the crossfader to onMixTap, e.g. for the recorder
+     * @returns {boolean} false without the effects chain, which holds the tap point
+     */
+    setMixTap(enabled) {
+        if (!this.loopCapture) return false;
+        this.loopCapture.port.postMessage({ type: 'tap', enabled });
+        return true;
+    }
+
+    /**
+     * Stop the mix tap and wait for the worklet to hand over the blocks still in flight,
+     * including the partial one it was filling
+     * @returns {Promise<void>} Resolves once onMixTap has had the last block
+     */
+    flushMixTap() {
+        if (!this.loopCapture) return Promise.resolve();
+        return new Promise((resolve) => {
+            const id = ++this.captureId;
+            // A suspended context may never answer; don't hold the caller up for long
+            const timeout = setTimeout(() => this.handleTapFlushed(id), TAP_FLUSH_TIMEOUT_MS);
+            this.pendingTapFlushes.set(id, () => {
+                clearTimeout(timeout);
+                resolve();
+            });
+            this.loopCapture.port.postMessage({ type: 'tap', enabled: false, flush: id });
+        });
+    }
+
+    handleCaptureMessage(data) {
+        if (data.type === 'tap') {
+            this.handleTap(data.channels);
+        } else if (data.type === 'tapFlushed') {
+            this.handleTapFlushed(data.id);
+        } else {
+            this.handleCaptured(data);
+        }
+    }
+
+    handleTap(channels) {
+        if (!this.onMixTap) return;
+        const frames = channels[0].length;
+        const pcm = new Int16Array(frames * channels.length);
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels.length; c++) {
+                const sample = Math.max(-1, Math.min(1, channels[c][i]));
+                pcm[i * channels.length + c] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+            }
+        }
+        this.onMixTap(pcm.buffer);
+    }
+
+    handleTapFlushed(id) {
+        const done = this.pendingTapFlushes.get(id);
+        if (!done) return;
+        this.pendingTapFlushes.delete(id);
+        done();
+    }
+
+    handleCaptured({ id, channels, error }) {
+        const pending = this.pendingCaptures.get(id);
+        if (!pending) return;
+        this.pendingCaptures.delete(id);
+        if (error) {
+            pending.reject(new Error(error));
+        } else {
+            pending.resolve(channels);
+        }
+    }
+
+    /**
+     * Create a worklet player and its gain for a new stream
+     */
+    createStream(gainValue) {
+        this.streamGain = this.audioContext.createGain();
+        this.streamGain.gain.value = gainValue;
+        this.streamGain.connect(this.gainNode);
+
+        this.streamNode = new AudioWorkletNode(this.audioContext, 'pcm-player', {
+            numberOfInputs: 0,
+            outputChannelCount: [this.channels],
+            processorOptions: { channels: this.channels }
+        });
+        this.streamNode.port.onmessage = (e) => {
+            if (e.data.type === 'overflow') {
+                console.warn('[AudioPlayer] Ring buffer full, chunk dropped');
+            }
+        };
+        this.streamNode.connect(this.streamGain);
+    }
+
+    /**
+     * Play to an output device
+     * @param {string} deviceId - Sink id from enumerateDevices ('' = system default)
+     */
+    async setOutputDevice(deviceId) {
+        this.outputDevice = deviceId;
+        if (!this.audioContext) return;
+        if (typeof this.audioContext.setSinkId !== 'function') {
+            throw new Error('Output device selection is not supported in this browser');
+        }
+        await this.audioContext.setSinkId(deviceId);
+        // The new device may have a different number of channels
+        this.connectOutput();
+        console.log('[AudioPlayer] Output device:', deviceId || 'default');
+    }
+
+    /**
+     * Number of output channels of the current device
+     */
+    get outputChannelCount() {
+        return this.audioContext ? this.audioContext.destination.maxChannelCount : 2;
+    }
+
+    setOutputPair(pair) {
+        this.outputPair = pair;
+        if (this.audioContext) {
+            this.connectOutput();
+        }
+    }
+
+    /**
+     * Route the stereo output to the selected channel pair of the device (e.g. 3/4 for headphones
+     * on a multi-output interface); falls back to 1/2 when the device has fewer channels
+     */
+    connectOutput() {
+        const destination = this.audioContext.destination;
+        const pairs = Math.max(1, Math.floor(destination.maxChannelCount / 2));
+        const pair = Math.min(this.outputPair, pairs - 1);
+
+        this.analyser.disconnect();
+        this.outputRouter.forEach(node => node.disconnect());
+        this.outputRouter = [];
+
+        if (pair === 0) {
+            destination.channelCount = 2;
+            destination.channelInterpretation = 'speakers';
+            this.analyser.connect(destination);
+            return;
+        }
+
+        const channels = (pair + 1) * 2;
+        destination.channelCount = channels;
+        destination.channelInterpretation = 'discrete';
+        const splitter = this.audioContext.createChannelSplitter(2);
+        const merger = this.audioContext.createChannelMerger(channels);
+        this.analyser.connect(splitter);
+        splitter.connect(merger, 0, pair * 2);
+        splitter.connect(merger, 1, pair * 2 + 1);
+        merger.connect(destination);
+        this.outputRouter = [splitter, merger];
+    }
+
     /**
      * Resume audio context (required for user interaction)
      */
@@ -60,91 +335,176 @@ export class AudioPlayer {
     }
 
     /**
-     * Process incoming PCM audio data
-     * @param {ArrayBuffer} pcmData - Raw 16-bit PCM audio data
+     * Queue incoming PCM audio data on the worklet
+     * @param {ArrayBuffer} pcmData - Raw 16-bit interleaved PCM; transferred to the audio thread,
+     * so it is unusable afterwards
      */
     processAudioChunk(pcmData) {
         if (!this.audioContext || this.isStopping) {
             return;
         }
 
-        // Convert Int16 PCM to Float32
-        const int16Array = new Int16Array(pcmData);
-        const float32Array = new Float32Array(int16Array.length);
-
-        for (let i = 0; i < int16Array.length; i++) {
-            float32Array[i] = int16Array[i] / 32768.0;
-        }
+        const duration = pcmData.byteLength / (2 * this.channels * this.sampleRate);
+        const startTime = this.scheduleChunk(duration);
 
-        // Create audio buffer
-        const numSamples = float32Array.length / this.channels;
-        const audioBuffer = this.audioContext.createBuffer(
-            this.channels,
-            numSamples,
-            this.sampleRate
+        // Other audioChunk listeners share the client's buffer, so the worklet takes a copy
+        const pcm = pcmData.slice(0);
+        this.streamNode.port.postMessage(
+            { type: 'chunk', pcm, frame: Math.round(startTime * this.sampleRate) },
+            [pcm]
         );
-
-        // Deinterleave stereo channels
-        const leftChannel = audioBuffer.getChannelData(0);
-        const rightChannel = audioBuffer.getChannelData(1);
-
-        for (let i = 0; i < numSamples; i++) {
-            leftChannel[i] = float32Array[i * 2];
-            rightChannel[i] = float32Array[i * 2 + 1];
-        }
-
-        // Schedule the buffer for playback
-        this.scheduleBuffer(audioBuffer);
     }
 
     /**
-     * Schedule an audio buffer for seamless playback
+     * Pick the start time of the next chunk for seamless playback
+     * @param {number} duration - Chunk length in seconds
+     * @returns {number} Audio clock time the chunk starts
      */
-    scheduleBuffer(audioBuffer) {
+    scheduleChunk(duration) {
         const currentTime = this.audioContext.currentTime;
+        this.jitterBuffer.onArrival(duration);
+
+        if (this.crossfadePending) {
+            this.startCrossfade(currentTime);
+        }
 
-        // Calculate start time for seamless playback
         if (this.nextStartTime < currentTime) {
-            // Add small buffer to prevent clicks
-            this.nextStartTime = currentTime + 0.05;
+            // Starting, or the buffer ran dry: build up the jitter buffer's latency before playing
+            const resumeTime = currentTime + this.jitterBuffer.latency;
+            if (this.streamStartTime === null) {
+                this.streamStartTime = resumeTime;
+            } else {
+                if (!this.gapExpected) {
+                    this.jitterBuffer.recordUnderrun();
+                    console.warn(`[AudioPlayer] Underrun, rebuffering ${(this.jitterBuffer.latency * 1000).toFixed(0)}ms`);
+                }
+                // Shift the bar grid by the gap so it stays aligned with the audio
+                this.streamStartTime += resumeTime - this.nextStartTime;
+                this.fadeStreamIn(currentTime, resumeTime);
+            }
+            this.nextStartTime = resumeTime;
+        } else if (this.nextStartTime - currentTime > this.jitterBuffer.overrunDepth) {
+            this.jitterBuffer.recordOverrun();
         }
+        this.gapExpected = false;
 
-        // Create buffer source
-        const source = this.audioContext.createBufferSource();
-        source.buffer = audioBuffer;
-        source.connect(this.gainNode);
+        // Ramp back up after a bridged gap (e.g. a reconnect)
+        if (this.fadeInOnNextChunk) {
+            this.fadeInOnNextChunk = false;
+            this.gainNode.gain.setValueAtTime(0, this.nextStartTime);
+            this.gainNode.gain.linearRampToValueAtTime(1.0, this.nextStartTime + this.fadeInDuration);
+        }
 
-        // Schedule playback
-        source.start(this.nextStartTime);
+        const startTime = this.nextStartTime;
+        this.nextStartTime += duration;
+        return startTime;
+    }
 
-        // Update next start time
-        this.nextStartTime += audioBuffer.duration;
+    /**
+     * Bring the stream back in after a gap (the worklet faded it out into a repeat of its tail)
+     */
+    fadeStreamIn(currentTime, startTime) {
+        this.streamGain.gain.cancelScheduledValues(currentTime);
+        this.streamGain.gain.setValueAtTime(0, startTime);
+        this.streamGain.gain.linearRampToValueAtTime(1.0, startTime + STREAM_FADE);
+    }
 
-        // Track scheduled buffers for cleanup
-        this.scheduledBuffers.push({
-            source,
-            endTime: this.nextStartTime
-        });
+    /**
+     * The stream is about to pause (pause, reconnect): its restart is not an underrun
+     */
+    expectGap() {
+        this.gapExpected = true;
+        this.jitterBuffer.resetArrivals();
+    }
 
-        // Cleanup old buffers
-        this.cleanupBuffers(currentTime);
+    /**
+     * Jitter buffer diagnostics
+     */
+    getDiagnostics() {
+        const depth = this.audioContext && this.streamStartTime !== null
+            ? Math.max(0, this.nextStartTime - this.audioContext.currentTime)
+            : 0;
+        return {
+            depth,
+            latency: this.jitterBuffer.latency,
+            targetLatency: this.jitterBuffer.targetLatency,
+            jitter: this.jitterBuffer.jitter,
+            underruns: this.jitterBuffer.underruns,
+            overruns: this.jitterBuffer.overruns,
+            chunks: this.jitterBuffer.chunks
+        };
     }
 
     /**
-     * Clean up finished buffer sources
+     * Keep the current stream playing, and crossfade into the stream whose first chunk arrives next
+     * (used when a tempo or scale change restarts generation)
      */
-    cleanupBuffers(currentTime) {
-        this.scheduledBuffers = this.scheduledBuffers.filter(item => {
-            if (item.endTime < currentTime) {
-                try {
-                    item.source.disconnect();
-                } catch (e) {
-                    // Ignore disconnection errors
-                }
-                return false;
-            }
-            return true;
-        });
+    crossfadeToNextStream() {
+        this.crossfadePending = true;
+    }
+
+    /**
+     * Fade the old stream out and start a new one alongside it
+     */
+    startCrossfade(currentTime) {
+        this.crossfadePending = false;
+        const startTime = currentTime + this.jitterBuffer.latency;
+        const endTime = startTime + this.crossfadeDuration;
+
+        // The old stream plays out whatever it has buffered under the fade, then is dropped
+        const oldGain = this.streamGain;
+        const oldNode = this.streamNode;
+        oldGain.gain.setValueAtTime(1.0, startTime);
+        oldGain.gain.linearRampToValueAtTime(0, endTime);
+        setTimeout(() => {
+            oldNode.disconnect();
+            oldNode.port.close();
+            oldGain.disconnect();
+        }, (endTime - currentTime) * 1000 + 100);
+
+        this.createStream(0);
+        this.streamGain.gain.setValueAtTime(0, startTime);
+        this.streamGain.gain.linearRampToValueAtTime(1.0, endTime);
+
+        // The new stream starts its own bar grid
+        this.nextStartTime = startTime;
+        this.streamStartTime = startTime;
+        console.log('[AudioPlayer] Crossfading into new stream');
+    }
+
+    /**
+     * Audio clock time of the most recent bar line of the current stream, or null
+     */
+    getLastBarTime(bpm, beatsPerBar = 4) {
+        if (!this.audioContext || this.streamStartTime === null || this.isStopping) {
+            return null;
+        }
+        const barDuration = (beatsPerBar * 60) / bpm;
+        const elapsed = this.audioContext.currentTime - this.streamStartTime;
+        if (elapsed < 0) {
+            return null;
+        }
+        return this.streamStartTime + Math.floor(elapsed / barDuration) * barDuration;
+    }
+
+    /**
+     * Seconds until the next bar boundary of the playing stream
+     * @param {number} bpm - Tempo of the stream
+     * @param {number} beatsPerBar - Beats per bar (default 4)
+     * @returns {number|null} null when nothing is playing
+     */
+    getTimeToNextBar(bpm, beatsPerBar = 4) {
+        if (!this.audioContext || this.streamStartTime === null || this.isStopping) {
+            return null;
+        }
+        const barDuration = (beatsPerBar * 60) / bpm;
+        const elapsed = this.audioContext.currentTime - this.streamStartTime;
+        if (elapsed < 0) {
+            return -elapsed;
+        }
+        const remaining = barDuration - (elapsed % barDuration);
+        // Treat a boundary that's practically now as now
+        return remaining >= barDuration - 0.005 ? 0 : remaining;
     }
 
     /**
@@ -235,27 +595,42 @@ export class AudioPlayer {
 
         // After fade completes, hard stop everything
         this._stopTimeout = setTimeout(() => {
-            this.scheduledBuffers.forEach(item => {
-                try {
-                    item.source.stop();
-                    item.source.disconnect();
-                } catch (e) {
-                    // Ignore errors
-                }
-            });
-            this.scheduledBuffers = [];
+            this.streamNode.port.postMessage({ type: 'clear' });
             this.nextStartTime = 0;
-            this.audioQueue = [];
+            this.streamStartTime = null;
+            this.fadeInOnNextChunk = false;
+            this.crossfadePending = false;
+            this.resetJitterState();
 
             // Restore gain for next play
             if (this.gainNode && this.audioContext) {
-                this.gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-                this.gainNode.gain.setValueAtTime(1.0, this.audioContext.currentTime);
+                this.resetGain(this.gainNode);
+                this.resetGain(this.streamGain);
             }
             this.isStopping = false;
         }, fadeDuration * 1000);
     }
 
+    /**
+     * Fade out over whatever audio is already scheduled, so an interrupted
+     * stream (e.g. a dropped connection) tails off instead of cutting.
+     * The next chunk that arrives fades back in.
+     */
+    fadeOutBuffered() {
+        if (!this.audioContext || !this.gainNode) {
+            return;
+        }
+
+        const now = this.audioContext.currentTime;
+        const remaining = Math.max(0.05, this.nextStartTime - now);
+
+        this.gainNode.gain.cancelScheduledValues(now);
+        this.gainNode.gain.setValueAtTime(this.gainNode.gain.value, now);
+        this.gainNode.gain.linearRampToValueAtTime(0, now + remaining);
+        this.fadeInOnNextChunk = true;
+        this.expectGap();
+    }
+
     /**
      * Hard stop without fade (for internal use)
      */
@@ -265,28 +640,38 @@ export class AudioPlayer {
             this._stopTimeout = null;
         }
         this.isStopping = false;
-        this.scheduledBuffers.forEach(item => {
-            try {
-                item.source.stop();
-                item.source.disconnect();
-            } catch (e) {
-                // Ignore errors
-            }
-        });
-        this.scheduledBuffers = [];
+        if (this.streamNode) {
+            this.streamNode.port.postMessage({ type: 'clear' });
+        }
         this.nextStartTime = 0;
-        this.audioQueue = [];
+        this.streamStartTime = null;
+        this.fadeInOnNextChunk = false;
+        this.crossfadePending = false;
+        this.resetJitterState();
         if (this.gainNode && this.audioContext) {
-            this.gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-            this.gainNode.gain.setValueAtTime(1.0, this.audioContext.currentTime);
+            this.resetGain(this.gainNode);
+            this.resetGain(this.streamGain);
         }
     }
 
+    resetJitterState() {
+        this.gapExpected = false;
+        this.jitterBuffer.resetArrivals();
+    }
+
     /**
-     * Pause audio (suspend context)
+     * Cancel any ramp (fade or crossfade) and return to full gain
+     */
+    resetGain(node) {
+        node.gain.cancelScheduledValues(this.audioContext.currentTime);
+        node.gain.setValueAtTime(1.0, this.audioContext.currentTime);
+    }
+
+    /**
+     * Pause audio (suspend context; a shared context is left to its owner)
      */
     async pause() {
-        if (this.audioContext && this.audioContext.state === 'running') {
+        if (this.audioContext && !this.sharedContext && this.audioContext.state === 'running') {
             await this.audioContext.suspend();
         }
     }
@@ -299,7 +684,7 @@ export class AudioPlayer {
             isInitialized: !!this.audioContext,
             state: this.audioContext?.state || 'uninitialized',
             sampleRate: this.sampleRate,
-            scheduledBuffers: this.scheduledBuffers.length
+            bufferedSeconds: this.getDiagnostics().depth
         };
     }
 
@@ -309,10 +694,12 @@ export class AudioPlayer {
     destroy() {
         this.stop();
         this.stopVisualization();
-        if (this.audioContext) {
+        if (this.sharedContext) {
+            this.deckGain?.disconnect();
+        } else if (this.audioContext) {
             this.audioContext.close();
-            this.audioContext = null;
         }
+        this.audioContext = null;
     }
 }
 
@@ -0,0 +1,263 @@
+/**
+ * Automation
+ * Records timestamped parameter/prompt changes and plays them back as lanes
+ */
+
+const PLAYBACK_TICK_MS = 50;
+export const PROMPTS_LANE = 'prompts';
+
+export class Automation {
+    constructor() {
+        this.lanes = {}; // { param: [{ time, value, target }] } — 'prompts' holds weighted prompt arrays, target the deck it was recorded on
+        this.length = 0; // seconds
+        this.mode = 'loop'; // 'loop' | 'oneShot'
+        this.isRecording = false;
+        this.isPlaying = false;
+
+        // Clock, relative to playback start
+        this.clockStart = null; // performance.now() seconds while running
+        this.clockOffset = 0; // elapsed seconds accumulated before the last pause
+        this.lastPosition = -1;
+        this.playbackStart = 0; // elapsed seconds when one-shot playback started
+        this.tickTimer = null;
+
+        this.onApply = null; // callback(param, value, target) during playback
+        this.onStateChange = null; // callback({ isRecording, isPlaying })
+    }
+
+    /**
+     * Current time in seconds
+     */
+    now() {
+        return performance.now() / 1000;
+    }
+
+    /**
+     * Start (or resume) the clock when playback starts
+     */
+    startClock() {
+        if (this.clockStart !== null) return;
+        this.clockStart = this.now();
+    }
+
+    /**
+     * Pause the clock, keeping the elapsed time
+     */
+    pauseClock() {
+        if (this.clockStart === null) return;
+        this.clockOffset += this.now() - this.clockStart;
+        this.clockStart = null;
+    }
+
+    /**
+     * Stop the clock and rewind to the start
+     */
+    resetClock() {
+        this.clockStart = null;
+        this.clockOffset = 0;
+        this.lastPosition = -1;
+        this.playbackStart = 0;
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+    }
+
+    /**
+     * Seconds since playback start (excluding pauses)
+     */
+    get elapsed() {
+        const running = this.clockStart !== null ? this.now() - this.clockStart : 0;
+        return this.clockOffset + running;
+    }
+
+    get isClockRunning() {
+        return this.clockStart !== null;
+    }
+
+    /**
+     * Playhead position within the lanes: loops stay in phase with the clock, a one-shot runs from its start
+     */
+    get position() {
+        if (this.isPlaying && this.length > 0) {
+            return this.mode === 'loop' ? this.elapsed % this.length : Math.min(this.elapsed - this.playbackStart, this.length);
+        }
+        return this.elapsed;
+    }
+
+    /**
+     * Start recording, replacing existing lanes
+     * @param {object} initialValues - { param: value } captured at time 0 so loops start from a known state
+     * @param {string} target - What the initial values belong to (a deck id)
+     */
+    startRecording(initialValues = {}, target = null) {
+        if (this.isPlaying) {
+            this.stopPlayback();
+        }
+        this.lanes = {};
+        for (const [param, value] of Object.entries(initialValues)) {
+            this.lanes[param] = [{ time: 0, value, target }];
+        }
+        this.length = 0;
+        this.isRecording = true;
+        this.notifyStateChange();
+    }
+
+    /**
+     * Stop recording; the lane length runs to the current playhead
+     */
+    stopRecording() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
+        this.length = Math.max(this.elapsed, this.lastEventTime());
+        console.log(`[Automation] Recorded ${this.eventCount()} events over ${this.length.toFixed(1)}s`);
+        this.notifyStateChange();
+    }
+
+    /**
+     * Record a change (ignored unless recording with the clock running)
+     * @param {string} target - What the change applies to (a deck id), handed back on playback
+     */
+    record(param, value, target = null) {
+        if (!this.isRecording || !this.isClockRunning) return;
+        if (!this.lanes[param]) {
+            this.lanes[param] = [];
+        }
+        this.lanes[param].push({ time: this.elapsed, value, target });
+    }
+
+    /**
+     * Start playing the recorded lanes
+     */
+    startPlayback() {
+        if (this.length <= 0 || this.isRecording) return false;
+        this.isPlaying = true;
+        this.lastPosition = -1;
+        this.playbackStart = this.elapsed;
+        this.tickTimer = setInterval(() => this.tick(), PLAYBACK_TICK_MS);
+        this.notifyStateChange();
+        return true;
+    }
+
+    stopPlayback() {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+        this.notifyStateChange();
+    }
+
+    /**
+     * Apply every event the playhead passed since the last tick
+     */
+    tick() {
+        if (!this.isClockRunning) return;
+
+        if (this.mode === 'oneShot' && this.elapsed - this.playbackStart > this.length) {
+            this.applyRange(this.lastPosition, this.length);
+            this.stopPlayback();
+            return;
+        }
+
+        const position = this.position;
+        if (position < this.lastPosition) {
+            // Wrapped around: finish the previous pass, then restart from zero
+            this.applyRange(this.lastPosition, this.length);
+            this.lastPosition = -1;
+        }
+        this.applyRange(this.lastPosition, position);
+        this.lastPosition = position;
+    }
+
+    /**
+     * Apply, per lane and target, the latest event in (from, to]
+     */
+    applyRange(from, to) {
+        for (const [param, events] of Object.entries(this.lanes)) {
+            const latest = new Map(); // target → event
+            for (const event of events) {
+                if (event.time > from && event.time <= to) {
+                    latest.set(event.target, event);
+                }
+            }
+            if (this.onApply) {
+                for (const event of latest.values()) {
+                    this.onApply(param, event.value, event.target);
+                }
+            }
+        }
+    }
+
+    /**
+     * Lane editing
+     */
+    getLane(param) {
+        return this.lanes[param] || [];
+    }
+
+    /**
+     * @param {string} target - Used when the lane is empty; otherwise the breakpoint joins the target of the event before it
+     */
+    addBreakpoint(param, time, value, target = null) {
+        if (!this.lanes[param]) {
+            this.lanes[param] = [];
+        }
+        const lane = this.lanes[param];
+        const previous = lane.filter(event => event.time <= time).pop() || lane[0];
+        const event = { time, value, target: previous ? previous.target : target };
+        lane.push(event);
+        lane.sort((a, b) => a.time - b.time);
+        this.length = Math.max(this.length, time);
+        return lane.indexOf(event);
+    }
+
+    moveBreakpoint(param, index, time, value) {
+        const lane = this.lanes[param];
+        if (!lane || !lane[index]) return index;
+        const event = lane[index];
+        event.time = Math.max(0, Math.min(this.length, time));
+        event.value = value;
+        lane.sort((a, b) => a.time - b.time);
+        return lane.indexOf(event);
+    }
+
+    removeBreakpoint(param, index) {
+        const lane = this.lanes[param];
+        if (!lane) return;
+        lane.splice(index, 1);
+        if (lane.length === 0) {
+            delete this.lanes[param];
+        }
+    }
+
+    clear() {
+        this.stopPlayback();
+        this.isRecording = false;
+        this.lanes = {};
+        this.length = 0;
+        this.notifyStateChange();
+    }
+
+    lastEventTime() {
+        let last = 0;
+        for (const events of Object.values(this.lanes)) {
+            for (const event of events) {
+                last = Math.max(last, event.time);
+            }
+        }
+        return last;
+    }
+
+    eventCount() {
+        return Object.values(this.lanes).reduce((sum, events) => sum + events.length, 0);
+    }
+
+    notifyStateChange() {
+        if (this.onStateChange) {
+            this.onStateChange({ isRecording: this.isRecording, isPlaying: this.isPlaying });
+        }
+    }
+}
+
+export default Automation;
@@ -0,0 +1,109 @@
+/**
+ * Cue Bus
+ * Previews a scene on a second Lyria session and player, routed to its own output
+ * (e.g. headphones) while the main output keeps playing
+ */
+
+import { LyriaClient } from './lyria-client.js';
+import { AudioPlayer } from './audio-player.js';
+
+const CUE_FADE = 0.3;
+
+export class CueBus {
+    /**
+     * @param {object} clientOptions - LyriaClient options (endpoint, socket factory)
+     */
+    constructor(clientOptions = {}) {
+        this.clientOptions = clientOptions;
+        this.client = null;
+        this.player = new AudioPlayer({ effects: false });
+        this.sceneName = null;
+        this.isActive = false;
+        this.onStateChange = null; // callback({ isActive, sceneName })
+        this.onError = null; // callback(error)
+    }
+
+    /**
+     * Start previewing a scene on its own session (onError instead if it has no prompts with a weight)
+     * @param {string} apiKey
+     * @param {object} scene - { name, prompts: [{ text, weight }], config }
+     */
+    async start(apiKey, { name, prompts, config }) {
+        // Lyria rejects an empty prompt list, so don't open a session that would only fail
+        const weighted = (prompts || []).filter(p => p.weight > 0);
+        if (!weighted.length) {
+            if (this.onError) {
+                this.onError(new Error(`Scene "${name}" has no prompts to preview`));
+            }
+            return;
+        }
+
+        this.stop();
+        await this.player.init();
+        await this.player.resume();
+        this.player.hardStop();
+
+        const client = new LyriaClient(apiKey, this.clientOptions);
+        client.on('audioChunk', (data) => {
+            if (this.client === client) {
+                this.player.processAudioChunk(data);
+            }
+        });
+        client.on('error', (error) => {
+            if (this.client === client && this.onError) {
+                this.onError(error);
+            }
+        });
+        client.on('filteredPrompt', ({ text, filteredReason }) => {
+            if (this.client === client && this.onError) {
+                this.onError(`Prompt "${text}" was filtered${filteredReason ? ` (${filteredReason})` : ''}`);
+            }
+        });
+        client.on('close', () => {
+            if (this.client === client) {
+                this.stop();
+            }
+        });
+
+        this.client = client;
+        this.sceneName = name;
+        this.isActive = true;
+        this.notifyStateChange();
+
+        try {
+            await client.connect();
+        } catch (error) {
+            if (this.client === client) {
+                this.stop();
+            }
+            throw error;
+        }
+        if (this.client !== client) return;
+
+        client.setWeightedPrompts(weighted);
+        client.setMusicGenerationConfig(config);
+        client.play();
+        console.log(`[Cue] Previewing "${name}"`);
+    }
+
+    stop() {
+        if (!this.client) return;
+        const client = this.client;
+        this.client = null;
+        client.disconnect();
+        this.player.stop(CUE_FADE);
+
+        this.sceneName = null;
+        this.isActive = false;
+        this.notifyStateChange();
+        console.log('[Cue] Stopped');
+    }
+
+    notifyStateChange() {
+        if (this.onStateChange) {
+            this.onStateChange({ isActive: this.isActive, sceneName: this.sceneName });
+        }
+    }
+}
+
+export default CueBus;
@@ -0,0 +1,88 @@
+/**
+ * Jitter Buffer
+ * Tracks chunk arrival jitter and picks how much audio to buffer before (re)starting playback
+ */
+
+const JITTER_MARGIN = 3; // buffer this many times the measured jitter on top of the target
+const UNDERRUN_BOOST = 0.1; // seconds added to the latency after each underrun
+const BOOST_DECAY = 0.98; // per chunk, so the latency drifts back once the network settles
+
+export class JitterBuffer {
+    /**
+     * @param {object} options - { targetLatency, minLatency, maxLatency } in seconds
+     */
+    constructor({ targetLatency = 0.25, minLatency = 0.05, maxLatency = 2.0 } = {}) {
+        this.targetLatency = targetLatency;
+        this.minLatency = minLatency;
+        this.maxLatency = maxLatency;
+
+        this.jitter = 0; // smoothed deviation of arrival intervals from chunk durations (seconds)
+        this.boost = 0;
+        this.lastArrival = null;
+        this.lastDuration = 0;
+
+        this.underruns = 0;
+        this.overruns = 0;
+        this.chunks = 0;
+    }
+
+    /**
+     * Record a chunk arrival
+     * @param {number} duration - Chunk length in seconds
+     * @param {number} now - Arrival time in seconds
+     */
+    onArrival(duration, now = performance.now() / 1000) {
+        if (this.lastArrival !== null) {
+            // Interarrival jitter, smoothed as in RTP (RFC 3550)
+            const deviation = Math.abs(now - this.lastArrival - this.lastDuration);
+            this.jitter += (deviation - this.jitter) / 16;
+        }
+        this.lastArrival = now;
+        this.lastDuration = duration;
+        this.boost *= BOOST_DECAY;
+        this.chunks++;
+    }
+
+    /**
+     * Audio to have queued when playback (re)starts
+     */
+    get latency() {
+        const latency = this.targetLatency + JITTER_MARGIN * this.jitter + this.boost;
+        return Math.max(this.minLatency, Math.min(this.maxLatency, latency));
+    }
+
+    /**
+     * Buffered audio above which a chunk counts as an overrun
+     */
+    get overrunDepth() {
+        return this.maxLatency + this.lastDuration;
+    }
+
+    recordUnderrun() {
+        this.underruns++;
+        this.boost = Math.min(this.maxLatency, this.boost + UNDERRUN_BOOST);
+    }
+
+    recordOverrun() {
+        this.overruns++;
+    }
+
+    setTargetLatency(seconds) {
+        this.targetLatency = Math.max(this.minLatency, Math.min(this.maxLatency, seconds));
+    }
+
+    /**
+     * Forget the arrival history across an intentional gap (stop, pause, reconnect)
+     */
+    resetArrivals() {
+        this.lastArrival = null;
+    }
+
+    resetStats() {
+        this.underruns = 0;
+        this.overruns = 0;
+        this.chunks = 0;
+    }
+}
+
+export default JitterBuffer;
@@ -0,0 +1,106 @@
+/**
+ * Loop Capture Worklet
+ * Passes the deck mix through while keeping its last seconds, addressed by audio clock frame,
+ * so bar-aligned loops can be copied out of it, and streams it out in blocks while the recorder taps it
+ */
+
+const HISTORY_SECONDS = 40; // 8 bars at 60 BPM, plus headroom
+const TAP_SECONDS = 0.1;
+const RENDER_QUANTUM = 128;
+
+class LoopCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.capacity = Math.ceil(HISTORY_SECONDS * sampleRate);
+        this.history = [new Float32Array(this.capacity), new Float32Array(this.capacity)];
+        this.writtenUntil = 0; // audio clock frame after the last one kept
+        this.pending = []; // captures whose end hasn't been rendered yet
+        this.tapCapacity = Math.ceil(TAP_SECONDS * sampleRate / RENDER_QUANTUM) * RENDER_QUANTUM;
+        this.tap = null; // [left, right] block being filled while tapping
+        this.tapLength = 0;
+
+        this.port.onmessage = (e) => {
+            if (e.data.type === 'capture') {
+                this.pending.push(e.data);
+                this.flushPending();
+            } else if (e.data.type === 'tap') {
+                this.setTap(e.data.enabled);
+                if (e.data.flush) {
+                    // Posted after the last block, so the main thread knows the tap is drained
+                    this.port.postMessage({ type: 'tapFlushed', id: e.data.flush });
+                }
+            }
+        };
+    }
+
+    setTap(enabled) {
+        if (enabled && !this.tap) {
+            this.tap = [new Float32Array(this.tapCapacity), new Float32Array(this.tapCapacity)];
+            this.tapLength = 0;
+        } else if (!enabled && this.tap) {
+            this.flushTap();
+            this.tap = null;
+        }
+    }
+
+    flushTap() {
+        if (this.tapLength === 0) return;
+        const channels = this.tap.map(channel => channel.slice(0, this.tapLength));
+        this.port.postMessage({ type: 'tap', channels }, channels.map(c => c.buffer));
+        this.tapLength = 0;
+    }
+
+    flushPending() {
+        this.pending = this.pending.filter(request => {
+            const { id, startFrame, frames } = request;
+            if (startFrame + frames > this.writtenUntil) return true;
+
+            if (startFrame < this.writtenUntil - this.capacity) {
+                this.port.postMessage({ type: 'captured', id, error: 'That audio is no longer in the capture history' });
+                return false;
+            }
+            const channels = this.history.map(channel => {
+                const copy = new Float32Array(frames);
+                for (let i = 0; i < frames; i++) {
+                    copy[i] = channel[(startFrame + i) % this.capacity];
+                }
+                return copy;
+            });
+            this.port.postMessage({ type: 'captured', id, channels }, channels.map(c => c.buffer));
+            return false;
+        });
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const length = output[0].length;
+
+        for (let c = 0; c < 2; c++) {
+            const source = input[c] || input[0];
+            const history = this.history[c];
+            const tap = this.tap?.[c];
+            for (let i = 0; i < length; i++) {
+                const sample = source ? source[i] : 0;
+                history[(currentFrame + i) % this.capacity] = sample;
+                if (output[c]) output[c][i] = sample;
+                if (tap) tap[this.tapLength + i] = sample;
+            }
+        }
+        this.writtenUntil = currentFrame + length;
+
+        if (this.tap) {
+            this.tapLength += length;
+            if (this.tapLength >= this.tapCapacity) {
+                this.flushTap();
+            }
+        }
+
+        if (this.pending.length) {
+            this.flushPending();
+        }
+        return true;
+    }
+}
+
+registerProcessor('loop-capture', LoopCaptureProcessor);
@@ -0,0 +1,145 @@
+/**
+ * Looper
+ * Loop slots holding bar-length phrases captured from the stream, played back locally
+ */
+
+export const LOOP_SLOTS = 4;
+export const LOOP_BARS = [1, 2, 4, 8]; // capture lengths offered
+
+export class Looper {
+    /**
+     * @param {AudioContext} context
+     */
+    constructor(context) {
+        this.context = context;
+        this.output = context.createGain();
+        this.onSlotChange = null; // callback(index, slot)
+
+        this.slots = Array.from({ length: LOOP_SLOTS }, () => {
+            const gain = context.createGain();
+            gain.connect(this.output);
+            return {
+                buffer: null,
+                bars: 0,
+                bpm: 0,
+                metadata: {}, // prompts/params at capture, embedded on export
+                source: null, // playing AudioBufferSourceNode
+                gain,
+                volume: 1,
+                muted: false
+            };
+        });
+    }
+
+    /**
+     * Put captured audio in a slot and start looping it
+     * @param {Float32Array[]} channels - One array per channel, exactly `bars` long
+     * @param {object} options - { bpm, bars, metadata, when } (when = audio clock start, on a bar line)
+     */
+    load(index, channels, { bpm, bars, metadata = {}, when = 0 }) {
+        const slot = this.slots[index];
+        if (!slot) return;
+        this.stopSource(slot);
+
+        const buffer = this.context.createBuffer(channels.length, channels[0].length, this.context.sampleRate);
+        channels.forEach((data, c) => buffer.copyToChannel(data, c));
+        Object.assign(slot, { buffer, bpm, bars, metadata });
+        this.play(index, when);
+    }
+
+    /**
+     * Start looping a slot from its first beat
+     * @param {number} when - Audio clock time, on a bar line to stay in phase (0 = now).
+     *   A bar line already past (e.g. a late capture) moves on to the next one.
+     */
+    play(index, when = 0) {
+        const slot = this.slots[index];
+        if (!slot?.buffer) return;
+        this.stopSource(slot);
+
+        const now = this.context.currentTime;
+        if (when > 0 && when < now && slot.bars > 0) {
+            const barDuration = slot.buffer.duration / slot.bars;
+            when += Math.ceil((now - when) / barDuration) * barDuration;
+        }
+
+        const source = this.context.createBufferSource();
+        source.buffer = slot.buffer;
+        source.loop = true;
+        source.connect(slot.gain);
+        source.start(Math.max(when, now));
+        slot.source = source;
+        this.notify(index);
+    }
+
+    stop(index) {
+        const slot = this.slots[index];
+        if (!slot?.source) return;
+        this.stopSource(slot);
+        this.notify(index);
+    }
+
+    clear(index) {
+        const slot = this.slots[index];
+        if (!slot) return;
+        this.stopSource(slot);
+        Object.assign(slot, { buffer: null, bars: 0, bpm: 0, metadata: {} });
+        this.notify(index);
+    }
+
+    setVolume(index, volume) {
+        const slot = this.slots[index];
+        if (!slot) return;
+        slot.volume = volume;
+        this.applyGain(slot);
+    }
+
+    setMuted(index, muted) {
+        const slot = this.slots[index];
+        if (!slot) return;
+        slot.muted = muted;
+        this.applyGain(slot);
+        this.notify(index);
+    }
+
+    isPlaying(index) {
+        return !!this.slots[index]?.source;
+    }
+
+    /**
+     * Interleaved 16-bit PCM of a slot, for export
+     */
+    getPcm(index) {
+        const buffer = this.slots[index]?.buffer;
+        if (!buffer) return null;
+
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+        const pcm = new Int16Array(buffer.length * channels.length);
+        for (let i = 0; i < buffer.length; i++) {
+            for (let c = 0; c < channels.length; c++) {
+                const sample = Math.max(-1, Math.min(1, channels[c][i]));
+                pcm[i * channels.length + c] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+            }
+        }
+        return pcm;
+    }
+
+    applyGain(slot) {
+        slot.gain.gain.setTargetAtTime(slot.muted ? 0 : slot.volume, this.context.currentTime, 0.01);
+    }
+
+    stopSource(slot) {
+        if (!slot.source) return;
+        slot.source.stop();
+        slot.source.disconnect();
+        slot.source = null;
+    }
+
+    notify(index) {
+        if (this.onSlotChange) {
+            this.onSlotChange(index, this.slots[index]);
+        }
+    }
+}
+
+export default Looper;
@@ -4,11 +4,38 @@
  */
 
 const LYRIA_MODEL = 'models/lyria-realtime-exp';
-const WS_URL = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateMusic';
+export const WS_URL = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateMusic';
+const RECONNECT_BASE_DELAY = 1000; // ms, doubled on every attempt
+const WS_OPEN = 1; // WebSocket.OPEN, also for injected socket implementations
+export const PROXY_PATH = '/lyria'; // where server.mjs proxies the WebSocket
+const BYTES_PER_SECOND = 48000 * 2 * 2; // 48kHz stereo 16-bit PCM
+
+/**
+ * Events and their listener arguments:
+ *   audioChunk(data: ArrayBuffer, info)    decoded PCM of each chunk, shared by all listeners: copy before transferring
+ *   chunk(info)                            { sequence, bytes, duration, receivedAt, interval } per chunk
+ *   stateChange(state, info)               connecting/connected/playing/paused/stopped/reconnecting/disconnected
+ *   setupComplete({ reconnected })         the server accepted the setup message
+ *   warning(warning)                       the server's `warning` payload
+ *   filteredPrompt({ text, filteredReason }) a prompt was blocked by the safety filter
+ *   error(message: string)
+ *   message(message: object)               every parsed server message, before it is handled
+ *   close(event)                           the session ended for good (not while reconnecting)
+ */
+export const LYRIA_EVENTS = ['audioChunk', 'chunk', 'stateChange', 'setupComplete', 'warning', 'filteredPrompt', 'error', 'message', 'close'];
 
 export class LyriaClient {
-    constructor(apiKey) {
+    /**
+     * @param {string} apiKey - Unused when connecting through the proxy
+     * @param {object} options - { url, createSocket } to use another endpoint (e.g. the mock server)
+     *   or WebSocket implementation (createSocket(url) must return a WebSocket-like object);
+     *   { proxy } to connect to the local proxy path on the page's own server, which adds the key
+     */
+    constructor(apiKey, { url = WS_URL, proxy = null, createSocket = (socketUrl) => new WebSocket(socketUrl) } = {}) {
         this.apiKey = apiKey;
+        this.url = url;
+        this.proxy = proxy;
+        this.createSocket = createSocket;
         this.ws = null;
         this.isConnected = false;
         this.isPlaying = false;
@@ -16,12 +43,9 @@ export class LyriaClient {
         this.messageQueue = [];
         this.connectResolve = null;
         this.connectReject = null;
-        this.callbacks = {
-            onAudioChunk: null,
-            onStateChange: null,
-            onError: null,
-            onClose: null
-        };
+        this.listeners = new Map(LYRIA_EVENTS.map(event => [event, []])); // event → [{ callback, once }]
+        this.chunkSequence = 0; // chunks received since connect
+        this.lastChunkAt = null; // performance.now() of the previous chunk
         this.currentConfig = {
             bpm: 90,
             density: 0.6,
@@ -37,13 +61,24 @@ export class LyriaClient {
         this.currentPrompts = [];
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 3;
+        this.reconnectTimer = null;
+        this.isReconnecting = false;
+        this.hasSession = false; // true once setup has completed at least once
+        this.intentionalClose = false;
+        this.shouldPlay = false; // last playback intent, resumed after a reconnect
     }
 
     /**
      * Build the WebSocket URL with authentication
      */
     buildWebSocketUrl() {
-        return `${WS_URL}?key=${encodeURIComponent(this.apiKey)}`;
+        if (this.proxy) {
+            const proxyUrl = new URL(this.proxy, location.href);
+            proxyUrl.protocol = proxyUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+            return proxyUrl.href;
+        }
+        const separator = this.url.includes('?') ? '&' : '?';
+        return `${this.url}${separator}key=${encodeURIComponent(this.apiKey)}`;
     }
 
     /**
@@ -53,59 +88,12 @@ export class LyriaClient {
         return new Promise((resolve, reject) => {
             this.connectResolve = resolve;
             this.connectReject = reject;
+            this.intentionalClose = false;
+            this.chunkSequence = 0;
+            this.lastChunkAt = null;
 
             try {
-                const url = this.buildWebSocketUrl();
-                console.log('[Lyria] Connecting to WebSocket...');
-                this.ws = new WebSocket(url);
-
-                this.ws.onopen = () => {
-                    console.log('[Lyria] WebSocket connected, sending setup...');
-                    this.isConnected = true;
-                    this.reconnectAttempts = 0;
-                    this.notifyStateChange('connecting');
-
-                    // Send initial setup message
-                    this.sendSetupMessage();
-                };
-
-                this.ws.onmessage = async (event) => {
-                    // Handle both Blob and string data
-                    let data = event.data;
-                    if (data instanceof Blob) {
-                        data = await data.text();
-                    }
-                    this.handleMessage(data);
-                };
-
-                this.ws.onerror = (error) => {
-                    console.error('[Lyria] WebSocket error:', error);
-                    this.notifyError('Connection error - check your API key');
-                    if (this.connectReject) {
-                        this.connectReject(new Error('WebSocket connection failed'));
-                        this.connectReject = null;
-                        this.connectResolve = null;
-                    }
-                };
-
-                this.ws.onclose = (event) => {
-                    console.log('[Lyria] WebSocket closed:', event.code, event.reason);
-                    this.isConnected = false;
-                    this.isPlaying = false;
-                    this.isSetupComplete = false;
-                    this.notifyStateChange('disconnected');
-
-                    if (this.callbacks.onClose) {
-                        this.callbacks.onClose(event);
-                    }
-
-                    // Reject if we haven't completed setup yet
-                    if (this.connectReject) {
-                        this.connectReject(new Error(`Connection closed: ${event.reason || 'Unknown reason'}`));
-                        this.connectReject = null;
-                        this.connectResolve = null;
-                    }
-                };
+                this.openSocket();
             } catch (error) {
                 console.error('[Lyria] Connection failed:', error);
                 reject(error);
@@ -113,6 +101,127 @@ export class LyriaClient {
         });
     }
 
+    /**
+     * Open the WebSocket and wire up its handlers (used for connect and reconnect)
+     */
+    openSocket() {
+        const url = this.buildWebSocketUrl();
+        console.log('[Lyria] Connecting to WebSocket...');
+        this.ws = this.createSocket(url);
+
+        this.ws.onopen = () => {
+            console.log('[Lyria] WebSocket connected, sending setup...');
+            this.isConnected = true;
+            this.notifyStateChange('connecting');
+
+            // Send initial setup message
+            this.sendSetupMessage();
+        };
+
+        this.ws.onmessage = async (event) => {
+            // Handle both Blob and string data
+            let data = event.data;
+            if (data instanceof Blob) {
+                data = await data.text();
+            }
+            this.handleMessage(data);
+        };
+
+        this.ws.onerror = (error) => {
+            console.error('[Lyria] WebSocket error:', error);
+            // Failed reconnect attempts are reported through the 'reconnecting' state instead
+            if (!this.isReconnecting) {
+                this.notifyError('Connection error - check your API key');
+            }
+            if (this.connectReject) {
+                this.connectReject(new Error('WebSocket connection failed'));
+                this.connectReject = null;
+                this.connectResolve = null;
+            }
+        };
+
+        this.ws.onclose = (event) => {
+            console.log('[Lyria] WebSocket closed:', event.code, event.reason);
+            this.isConnected = false;
+            this.isPlaying = false;
+            this.isSetupComplete = false;
+
+            // Reject if we haven't completed setup yet
+            if (this.connectReject) {
+                this.connectReject(new Error(`Connection closed: ${event.reason || 'Unknown reason'}`));
+                this.connectReject = null;
+                this.connectResolve = null;
+            }
+
+            // An established session that drops unexpectedly gets another chance
+            if (!this.intentionalClose && this.hasSession && this.scheduleReconnect()) {
+                return;
+            }
+
+            this.isReconnecting = false;
+            this.notifyStateChange('disconnected');
+            this.emit('close', event);
+        };
+    }
+
+    /**
+     * Schedule the next reconnect attempt with exponential backoff
+     * @returns {boolean} false once all attempts are used up
+     */
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.warn('[Lyria] Giving up after', this.reconnectAttempts, 'reconnect attempts');
+            return false;
+        }
+
+        this.reconnectAttempts++;
+        this.isReconnecting = true;
+        const delay = RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempts - 1);
+        console.log(`[Lyria] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+
+        this.notifyStateChange('reconnecting', {
+            attempt: this.reconnectAttempts,
+            maxAttempts: this.maxReconnectAttempts
+        });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            try {
+                this.openSocket();
+            } catch (error) {
+                console.error('[Lyria] Reconnect failed:', error);
+                if (!this.scheduleReconnect()) {
+                    this.isReconnecting = false;
+                    this.notifyStateChange('disconnected');
+                    this.emit('close', { code: 1006, reason: error.message });
+                }
+            }
+        }, delay);
+        return true;
+    }
+
+    /**
+     * Replay prompts, the full config and playback after a reconnect
+     */
+    restoreSession() {
+        console.log('[Lyria] Restoring session state...');
+        this.isReconnecting = false;
+        this.reconnectAttempts = 0;
+
+        // currentPrompts/currentConfig already hold the latest values, so anything
+        // queued while offline would only repeat them
+        this.messageQueue = [];
+
+        if (this.currentPrompts.length > 0) {
+            this.setWeightedPrompts(this.currentPrompts);
+        }
+        this.setMusicGenerationConfig({});
+
+        if (this.shouldPlay) {
+            this.play();
+        }
+    }
+
     /**
      * Send initial setup message
      */
@@ -133,6 +242,7 @@ export class LyriaClient {
         try {
             const message = JSON.parse(data);
             console.log('[Lyria] Received message:', JSON.stringify(message).substring(0, 500));
+            this.emit('message', message);
 
             // Handle setup complete
             if (message.setupComplete !== undefined) {
@@ -140,8 +250,15 @@ export class LyriaClient {
                 this.isSetupComplete = true;
                 this.notifyStateChange('connected');
 
-                // Process any queued messages
-                this.processQueue();
+                const reconnected = this.isReconnecting;
+                if (reconnected) {
+                    this.restoreSession();
+                } else {
+                    // Process any queued messages
+                    this.processQueue();
+                }
+                this.hasSession = true;
+                this.emit('setupComplete', { reconnected });
 
                 if (this.connectResolve) {
                     this.connectResolve();
@@ -154,10 +271,12 @@ export class LyriaClient {
             // Handle audio chunks
             if (message.serverContent?.audioChunks) {
                 for (const chunk of message.serverContent.audioChunks) {
-                    if (chunk.data && this.callbacks.onAudioChunk) {
+                    if (chunk.data) {
                         // Convert base64 to ArrayBuffer
                         const audioData = this.base64ToArrayBuffer(chunk.data);
-                        this.callbacks.onAudioChunk(audioData);
+                        const info = this.nextChunkInfo(audioData.byteLength);
+                        this.emit('chunk', info);
+                        this.emit('audioChunk', audioData, info);
                     }
                 }
             }
@@ -178,15 +297,17 @@ export class LyriaClient {
                 }
             }
 
-            // Handle filtered prompt (safety filter triggered)
+            // Handle filtered prompt (safety filter triggered); the session keeps its previous prompts,
+            // so listeners decide what to send instead
             if (message.filteredPrompt) {
                 console.warn('[Lyria] Prompt filtered:', message.filteredPrompt);
-                this.notifyError('Prompt was filtered by safety system');
+                this.emit('filteredPrompt', message.filteredPrompt);
             }
 
             // Handle warnings
             if (message.warning) {
                 console.warn('[Lyria] Server warning:', message.warning);
+                this.emit('warning', message.warning);
             }
 
             // Handle errors
@@ -200,6 +321,23 @@ export class LyriaClient {
         }
     }
 
+    /**
+     * Sequence number and timing of a chunk that just arrived
+     * @param {number} bytes - Decoded PCM size
+     */
+    nextChunkInfo(bytes) {
+        const receivedAt = performance.now();
+        const info = {
+            sequence: this.chunkSequence++,
+            bytes,
+            duration: bytes / BYTES_PER_SECOND,
+            receivedAt,
+            interval: this.lastChunkAt === null ? null : receivedAt - this.lastChunkAt // ms since the previous chunk
+        };
+        this.lastChunkAt = receivedAt;
+        return info;
+    }
+
     /**
      * Process queued messages after setup complete
      */
@@ -227,7 +365,7 @@ export class LyriaClient {
      * Send message to WebSocket
      */
     send(message) {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        if (this.ws && this.ws.readyState === WS_OPEN) {
             const json = JSON.stringify(message);
             console.log('[Lyria] Sending:', json.substring(0, 200));
             this.ws.send(json);
@@ -293,6 +431,7 @@ export class LyriaClient {
      * Start music playback
      */
     play() {
+        this.shouldPlay = true;
         const message = {
             playbackControl: 'PLAY'
         };
@@ -303,6 +442,7 @@ export class LyriaClient {
      * Pause music playback
      */
     pause() {
+        this.shouldPlay = false;
         const message = {
             playbackControl: 'PAUSE'
         };
@@ -313,6 +453,7 @@ export class LyriaClient {
      * Stop music playback
      */
     stop() {
+        this.shouldPlay = false;
         const message = {
             playbackControl: 'STOP'
         };
@@ -330,47 +471,82 @@ export class LyriaClient {
     }
 
     /**
-     * Set callback functions
+     * Add a listener (see LYRIA_EVENTS); a client can have any number per event
+     * @returns {Function} Removes the listener again
      */
-    on(event, callback) {
-        switch (event) {
-            case 'audioChunk':
-                this.callbacks.onAudioChunk = callback;
-                break;
-            case 'stateChange':
-                this.callbacks.onStateChange = callback;
-                break;
-            case 'error':
-                this.callbacks.onError = callback;
-                break;
-            case 'close':
-                this.callbacks.onClose = callback;
-                break;
+    on(event, callback, { once = false } = {}) {
+        this.getListeners(event).push({ callback, once });
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Add a listener that is removed after its first call
+     */
+    once(event, callback) {
+        return this.on(event, callback, { once: true });
+    }
+
+    /**
+     * Remove a listener added with on() or once()
+     */
+    off(event, callback) {
+        const listeners = this.getListeners(event);
+        const index = listeners.findIndex(listener => listener.callback === callback);
+        if (index !== -1) {
+            listeners.splice(index, 1);
         }
     }
 
+    getListeners(event) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            throw new Error(`Unknown Lyria event "${event}"`);
+        }
+        return listeners;
+    }
+
     /**
-     * Notify state change
+     * Call every listener of an event; one that throws doesn't keep the others (or the client) from running
      */
-    notifyStateChange(state) {
-        if (this.callbacks.onStateChange) {
-            this.callbacks.onStateChange(state);
+    emit(event, ...args) {
+        const listeners = this.getListeners(event);
+        for (const listener of [...listeners]) {
+            if (listener.once) {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            }
+            try {
+                listener.callback(...args);
+            } catch (error) {
+                console.error(`[Lyria] ${event} listener failed:`, error);
+            }
         }
     }
 
+    /**
+     * Notify state change
+     */
+    notifyStateChange(state, info) {
+        this.emit('stateChange', state, info);
+    }
+
     /**
      * Notify error
      */
     notifyError(error) {
-        if (this.callbacks.onError) {
-            this.callbacks.onError(error);
-        }
+        this.emit('error', error);
     }
 
     /**
      * Disconnect from Lyria RealTime
      */
     disconnect() {
+        this.intentionalClose = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.isReconnecting = false;
         if (this.ws) {
             this.ws.close();
             this.ws = null;
@@ -388,6 +564,8 @@ export class LyriaClient {
             isConnected: this.isConnected,
             isPlaying: this.isPlaying,
             isSetupComplete: this.isSetupComplete,
+            isReconnecting: this.isReconnecting,
+            reconnectAttempts: this.reconnectAttempts,
             config: { ...this.currentConfig },
             prompts: [...this.currentPrompts]
         };
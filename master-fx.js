@@ -0,0 +1,261 @@
+/**
+ * Master FX
+ * Master bus chain: 3-band EQ → compressor → reverb → stereo width, each stage with a bypass
+ */
+
+const STORAGE_KEY = 'generafrica_master_fx';
+const SMOOTHING = 0.02; // time constant for parameter changes, so knob moves don't zipper
+
+const EQ_BANDS = {
+    low: { type: 'lowshelf', frequency: 250 },
+    mid: { type: 'peaking', frequency: 1000, Q: 0.8 },
+    high: { type: 'highshelf', frequency: 4000 }
+};
+
+// Generated impulse responses: decaying stereo noise
+export const FX_ROOMS = {
+    room: { name: 'Room', duration: 0.6, decay: 4 },
+    chamber: { name: 'Chamber', duration: 1.4, decay: 3 },
+    hall: { name: 'Hall', duration: 3.0, decay: 2.5 }
+};
+
+export const DEFAULT_FX_SETTINGS = {
+    eq: { bypass: false, low: 0, mid: 0, high: 0 }, // dB
+    compressor: { bypass: true, threshold: -24, ratio: 4, makeup: 0 }, // dB, :1, dB
+    reverb: { bypass: true, room: 'room', mix: 0.2 },
+    width: { bypass: false, width: 1 } // 0 = mono, 1 = unchanged, 2 = extra wide
+};
+
+export class MasterFx {
+    /**
+     * @param {AudioContext} context
+     */
+    constructor(context) {
+        this.context = context;
+        this.settings = JSON.parse(JSON.stringify(DEFAULT_FX_SETTINGS));
+        this.impulses = {}; // room → AudioBuffer, generated on first use
+
+        this.input = context.createGain();
+        this.output = context.createGain();
+
+        this.stages = {
+            eq: this.createEq(),
+            compressor: this.createCompressor(),
+            reverb: this.createReverb(),
+            width: this.createWidth()
+        };
+
+        // Chain the stages; each one's input either feeds its effect or skips straight to its output
+        let previous = this.input;
+        for (const stage of Object.values(this.stages)) {
+            previous.connect(stage.input);
+            stage.tail.connect(stage.output);
+            previous = stage.output;
+        }
+        previous.connect(this.output);
+
+        this.loadSettings();
+        this.applyAll();
+    }
+
+    createStage(head, tail) {
+        return {
+            input: this.context.createGain(),
+            output: this.context.createGain(),
+            head,
+            tail,
+            nodes: {}
+        };
+    }
+
+    createEq() {
+        const filters = {};
+        let previous = null;
+        for (const [band, spec] of Object.entries(EQ_BANDS)) {
+            const filter = this.context.createBiquadFilter();
+            filter.type = spec.type;
+            filter.frequency.value = spec.frequency;
+            if (spec.Q) filter.Q.value = spec.Q;
+            if (previous) previous.connect(filter);
+            filters[band] = filter;
+            previous = filter;
+        }
+        const stage = this.createStage(filters.low, filters.high);
+        stage.nodes = filters;
+        return stage;
+    }
+
+    createCompressor() {
+        const compressor = this.context.createDynamicsCompressor();
+        compressor.knee.value = 6;
+        compressor.attack.value = 0.003;
+        compressor.release.value = 0.25;
+        const makeup = this.context.createGain();
+        compressor.connect(makeup);
+
+        const stage = this.createStage(compressor, makeup);
+        stage.nodes = { compressor, makeup };
+        return stage;
+    }
+
+    createReverb() {
+        // Equal-power dry/wet mix around the convolver
+        const split = this.context.createGain();
+        const dry = this.context.createGain();
+        const wet = this.context.createGain();
+        const convolver = this.context.createConvolver();
+        const sum = this.context.createGain();
+        split.connect(dry);
+        split.connect(convolver);
+        convolver.connect(wet);
+        dry.connect(sum);
+        wet.connect(sum);
+
+        const stage = this.createStage(split, sum);
+        stage.nodes = { dry, wet, convolver };
+        return stage;
+    }
+
+    createWidth() {
+        // L' = a·L + b·R, R' = b·L + a·R with a = (1 + w) / 2, b = (1 - w) / 2
+        const splitter = this.context.createChannelSplitter(2);
+        const merger = this.context.createChannelMerger(2);
+        const gains = {};
+        for (const [name, from, to] of [['ll', 0, 0], ['rl', 1, 0], ['lr', 0, 1], ['rr', 1, 1]]) {
+            const gain = this.context.createGain();
+            splitter.connect(gain, from);
+            gain.connect(merger, 0, to);
+            gains[name] = gain;
+        }
+
+        const stage = this.createStage(splitter, merger);
+        stage.nodes = gains;
+        return stage;
+    }
+
+    /**
+     * Set one stage parameter (including 'bypass')
+     */
+    set(stageName, param, value) {
+        const settings = this.settings[stageName];
+        if (!settings || !(param in settings)) return;
+        settings[param] = value;
+        this.applyStage(stageName);
+    }
+
+    /**
+     * Apply a full or partial settings object (e.g. from a scene)
+     */
+    applySettings(settings) {
+        this.mergeSettings(settings);
+        this.applyAll();
+    }
+
+    /**
+     * Copy known parameters of the right type, ignoring anything else
+     */
+    mergeSettings(settings) {
+        for (const [stageName, values] of Object.entries(settings || {})) {
+            const current = this.settings[stageName];
+            if (!current || typeof values !== 'object') continue;
+            for (const [param, value] of Object.entries(values)) {
+                if (param in current && typeof value === typeof current[param]) {
+                    current[param] = value;
+                }
+            }
+        }
+    }
+
+    getSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    applyAll() {
+        for (const stageName of Object.keys(this.stages)) {
+            this.applyStage(stageName);
+        }
+    }
+
+    applyStage(stageName) {
+        const stage = this.stages[stageName];
+        const settings = this.settings[stageName];
+        const { nodes } = stage;
+
+        switch (stageName) {
+            case 'eq':
+                for (const band of Object.keys(EQ_BANDS)) {
+                    this.smooth(nodes[band].gain, settings[band]);
+                }
+                break;
+            case 'compressor':
+                this.smooth(nodes.compressor.threshold, settings.threshold);
+                this.smooth(nodes.compressor.ratio, settings.ratio);
+                this.smooth(nodes.makeup.gain, Math.pow(10, settings.makeup / 20));
+                break;
+            case 'reverb':
+                if (stage.room !== settings.room && FX_ROOMS[settings.room]) {
+                    nodes.convolver.buffer = this.getImpulse(settings.room);
+                    stage.room = settings.room;
+                }
+                this.smooth(nodes.dry.gain, Math.cos(settings.mix * Math.PI / 2));
+                this.smooth(nodes.wet.gain, Math.sin(settings.mix * Math.PI / 2));
+                break;
+            case 'width': {
+                const a = (1 + settings.width) / 2;
+                const b = (1 - settings.width) / 2;
+                this.smooth(nodes.ll.gain, a);
+                this.smooth(nodes.rr.gain, a);
+                this.smooth(nodes.lr.gain, b);
+                this.smooth(nodes.rl.gain, b);
+                break;
+            }
+        }
+
+        if (stage.bypassed !== settings.bypass) {
+            stage.input.disconnect();
+            stage.input.connect(settings.bypass ? stage.output : stage.head);
+            stage.bypassed = settings.bypass;
+        }
+    }
+
+    smooth(param, value) {
+        param.setTargetAtTime(value, this.context.currentTime, SMOOTHING);
+    }
+
+    getImpulse(room) {
+        if (!this.impulses[room]) {
+            const { duration, decay } = FX_ROOMS[room];
+            const length = Math.round(duration * this.context.sampleRate);
+            const buffer = this.context.createBuffer(2, length, this.context.sampleRate);
+            for (let c = 0; c < 2; c++) {
+                const data = buffer.getChannelData(c);
+                for (let i = 0; i < length; i++) {
+                    data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+                }
+            }
+            this.impulses[room] = buffer;
+        }
+        return this.impulses[room];
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('[FX] Could not save settings:', e);
+        }
+    }
+
+    loadSettings() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                this.mergeSettings(JSON.parse(stored));
+            }
+        } catch (e) {
+            console.warn('[FX] Could not load settings:', e);
+        }
+    }
+}
+
+export default MasterFx;
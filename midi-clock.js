@@ -0,0 +1,201 @@
+/**
+ * MIDI Clock
+ * Follows an external MIDI clock (slave) or sends clock at the app's BPM (master)
+ */
+
+const STORAGE_KEY = 'generafrica_midi_clock';
+const TICKS_PER_BEAT = 24;
+const TEMPO_WINDOW = TICKS_PER_BEAT * 4; // average tick intervals over the last bar
+const TEMPO_MIN_TICKS = TICKS_PER_BEAT * 2; // ticks needed before the tempo is displayed
+const TEMPO_HOLD_TICKS = TICKS_PER_BEAT; // a new tempo must hold for a beat before it is applied
+const TEMPO_HYSTERESIS = 0.75; // BPM the measured tempo must drift from the applied one
+const CLOCK_TIMEOUT_MS = 1000; // a gap this long means the external clock stopped
+const SCHEDULE_INTERVAL_MS = 25;
+const LOOKAHEAD_MS = 100;
+
+const REALTIME_MESSAGES = { start: 0xfa, continue: 0xfb, stop: 0xfc };
+
+export class MidiClock {
+    constructor() {
+        this.mode = 'off'; // 'off' | 'slave' | 'master'
+        this.port = ''; // slave: input name ('' = any), master: output name
+
+        // Slave
+        this.tickTimes = [];
+        this.bpm = null; // averaged incoming tempo
+        this.appliedBpm = null;
+        this.pendingBpm = null;
+        this.pendingTicks = 0;
+
+        // Master
+        this.output = null;
+        this.masterBpm = 120;
+        this.nextTickTime = 0;
+        this.scheduleTimer = null;
+
+        this.onTempo = null; // callback(bpm) when the incoming tempo settles on a new whole BPM
+        this.onTransport = null; // callback('start' | 'continue' | 'stop')
+        this.onTempoMeasured = null; // callback(bpm | null) for display
+
+        this.loadSettings();
+    }
+
+    /**
+     * Switch mode; master needs the MIDIOutput to send to
+     */
+    setMode(mode, port = '') {
+        this.stopMaster();
+        this.resetTempo();
+        this.mode = mode;
+        this.port = port;
+        this.saveSettings();
+        console.log(`[Clock] Mode: ${mode}${port ? ` (${port})` : ''}`);
+    }
+
+    /**
+     * Handle a system real-time message from an input
+     * @param {string} message - 'clock' | 'start' | 'continue' | 'stop'
+     * @param {number} timeStamp - Event time in ms (performance.now() clock)
+     */
+    handleMessage(message, device, timeStamp) {
+        if (this.mode !== 'slave') return;
+        if (this.port && device !== this.port) return;
+
+        if (message === 'clock') {
+            this.handleTick(timeStamp);
+            return;
+        }
+
+        console.log(`[Clock] ${message} from ${device}`);
+        if (this.onTransport) {
+            this.onTransport(message);
+        }
+    }
+
+    handleTick(timeStamp) {
+        const last = this.tickTimes[this.tickTimes.length - 1];
+        if (last !== undefined && timeStamp - last > CLOCK_TIMEOUT_MS) {
+            this.resetTempo();
+        }
+
+        this.tickTimes.push(timeStamp);
+        if (this.tickTimes.length > TEMPO_WINDOW + 1) {
+            this.tickTimes.shift();
+        }
+        if (this.tickTimes.length < TEMPO_MIN_TICKS + 1) return;
+
+        const span = this.tickTimes[this.tickTimes.length - 1] - this.tickTimes[0];
+        const interval = span / (this.tickTimes.length - 1);
+        this.bpm = 60000 / (interval * TICKS_PER_BEAT);
+        if (this.onTempoMeasured) {
+            this.onTempoMeasured(this.bpm);
+        }
+
+        // The first tempo waits for a full window; after that only a clear whole-BPM change
+        // that holds for a beat is applied, so jitter doesn't keep restarting generation
+        if (this.appliedBpm === null && this.tickTimes.length < TEMPO_WINDOW + 1) return;
+        const rounded = Math.round(this.bpm);
+        if (this.appliedBpm !== null && Math.abs(this.bpm - this.appliedBpm) < TEMPO_HYSTERESIS) {
+            this.pendingBpm = null;
+            return;
+        }
+        if (rounded !== this.pendingBpm) {
+            this.pendingBpm = rounded;
+            this.pendingTicks = 0;
+        }
+        if (++this.pendingTicks >= TEMPO_HOLD_TICKS) {
+            this.appliedBpm = rounded;
+            this.pendingBpm = null;
+            console.log('[Clock] Incoming tempo:', rounded);
+            if (this.onTempo) {
+                this.onTempo(rounded);
+            }
+        }
+    }
+
+    resetTempo() {
+        this.tickTimes = [];
+        this.bpm = null;
+        this.appliedBpm = null;
+        this.pendingBpm = null;
+        if (this.onTempoMeasured) {
+            this.onTempoMeasured(null);
+        }
+    }
+
+    /**
+     * Start sending clock to an output
+     */
+    startMaster(output, bpm) {
+        this.stopMaster();
+        this.output = output;
+        this.masterBpm = bpm;
+        this.nextTickTime = performance.now();
+        this.scheduleTimer = setInterval(() => this.scheduleTicks(), SCHEDULE_INTERVAL_MS);
+        this.scheduleTicks();
+        console.log(`[Clock] Sending clock to ${output.name} at ${bpm} BPM`);
+    }
+
+    stopMaster() {
+        if (this.scheduleTimer) {
+            clearInterval(this.scheduleTimer);
+            this.scheduleTimer = null;
+        }
+        this.output = null;
+    }
+
+    setMasterTempo(bpm) {
+        this.masterBpm = bpm;
+    }
+
+    /**
+     * Timestamp ticks slightly ahead so timer jitter doesn't reach the output
+     */
+    scheduleTicks() {
+        const now = performance.now();
+        if (this.nextTickTime < now) {
+            // Fell behind (e.g. background tab): skip the missed ticks
+            this.nextTickTime = now;
+        }
+        const horizon = now + LOOKAHEAD_MS;
+        while (this.nextTickTime < horizon) {
+            this.output.send([0xf8], this.nextTickTime);
+            this.nextTickTime += 60000 / (this.masterBpm * TICKS_PER_BEAT);
+        }
+    }
+
+    /**
+     * Send Start/Continue/Stop to the master output
+     */
+    sendTransport(message) {
+        if (!this.output) return;
+        this.output.send([REALTIME_MESSAGES[message]]);
+    }
+
+    get isMaster() {
+        return this.output !== null;
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ mode: this.mode, port: this.port }));
+        } catch (e) {
+            console.warn('[Clock] Could not save settings:', e);
+        }
+    }
+
+    loadSettings() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                const parsed = JSON.parse(stored);
+                this.mode = parsed.mode || 'off';
+                this.port = parsed.port || '';
+            }
+        } catch (e) {
+            console.warn('[Clock] Could not load settings:', e);
+        }
+    }
+}
+
+export default MidiClock;
@@ -1,22 +1,74 @@
 /**
  * MIDI Manager
- * Handles Web MIDI API access, MIDI learn, and CC-to-parameter mapping
+ * Handles Web MIDI API access, MIDI learn, and CC/Note/Program Change mapping
  */
 
-const STORAGE_KEY = 'african_drums_midi_mappings';
+const PROFILES_KEY = 'african_drums_midi_profiles';
+const LEGACY_MAPPINGS_KEY = 'african_drums_midi_mappings'; // single mapping set, before profiles
+const DEFAULT_PROFILE = 'Default';
+const EXPORT_VERSION = 1;
+
+// Data byte that identifies the control for each mapping type
+const NUMBER_FIELDS = { cc: 'cc', note: 'note', program: 'program' };
+
+// How a CC mapping reads its value: absolute positions, or increments from relative encoders
+export const CC_MODES = {
+    absolute: 'Absolute',
+    pickup: 'Pickup',
+    twosComplement: 'Relative (2\'s comp.)',
+    binaryOffset: 'Relative (offset)',
+    signMagnitude: 'Relative (sign bit)'
+};
+export const NOTE_MODES = { latch: 'Latch', momentary: 'Momentary' };
+export const CURVES = { linear: 'Linear', exponential: 'Exponential', logarithmic: 'Logarithmic' };
+
+// System real-time messages passed to onClock
+const REALTIME_MESSAGES = { 0xf8: 'clock', 0xfa: 'start', 0xfb: 'continue', 0xfc: 'stop' };
+
+const RELATIVE_MODES = ['twosComplement', 'binaryOffset', 'signMagnitude'];
+const RELATIVE_STEP = 1 / 127; // position change per encoder tick
+const PICKUP_TOLERANCE = 0.02; // how close (0..1) the knob must come to the value to pick it up
+
+// Port numbering that differs between systems: "2- nanoKONTROL2" (Windows), "nanoKONTROL2 MIDI 1", "Pad #2", "Pad (2)"
+const PORT_PREFIX = /^\d+-\s*/;
+const PORT_SUFFIX = /\s*(?:#\s*\d+|\(\d+\)|\bmidi\s*\d*|\bport\s*\d+|\d+:\d+)$/i;
+
+/**
+ * Manufacturer and port name without its numbering, to recognize a controller under another port name
+ */
+export function modelKey(manufacturer, name) {
+    let model = name.trim().replace(PORT_PREFIX, '');
+    while (PORT_SUFFIX.test(model)) {
+        model = model.replace(PORT_SUFFIX, '');
+    }
+    return [manufacturer, model || name].map(part => (part || '').trim().toLowerCase()).filter(Boolean).join(' ');
+}
 
 export class MidiManager {
     constructor() {
         this.midiAccess = null;
         this.inputs = new Map();
-        this.mappings = {}; // { sliderId: { channel, cc } }
-        this.learning = null; // { sliderId } when in learn mode
+        this.outputs = new Map();
+        this.feedbackValues = {}; // { targetId: last value the controller knows about }
+        this.pickupState = {}; // { targetId: { caught, knob, expected } } for pickup mappings
+        // active profile: { targetId: { type, device, model, channel, cc|note|program, mode, feedback,
+        //                    min, max, invert, curve } } — range/invert/curve apply to CC only;
+        //                    model (see modelKey) finds the device again when its port name changes
+        this.mappings = {};
+        this.profiles = Object.create(null); // { profileName: mappings }, without a prototype since names come from files
+        this.activeProfile = DEFAULT_PROFILE;
+        this.learning = null; // { sliderId, types, mode } when in learn mode
         this.onParameterChange = null; // callback(sliderId, scaledValue)
+        this.onTrigger = null; // callback(targetId, pressed, mapping) for mapped notes/programs
         this.onMidiStateChange = null; // callback(connected: bool)
-        this.onLearnComplete = null; // callback(sliderId, cc, channel)
-        this.onLearnStart = null; // callback(sliderId)
-
-        this.loadMappings();
+        this.onLearnComplete = null; // callback(targetId, mapping)
+        this.onLearnStart = null; // callback(targetId)
+        this.onNoteOn = null; // callback(note, velocity, channel) for unmapped notes
+        this.onProgramChange = null; // callback(program, channel) for unmapped program changes
+        this.onMappingsChange = null; // callback() after mappings or profiles change
+        this.onClock = null; // callback(message, device, timeStamp) for clock/start/continue/stop
+
+        this.loadProfiles();
     }
 
     /**
@@ -46,22 +98,28 @@ export class MidiManager {
     }
 
     /**
-     * Connect to all available MIDI inputs
+     * Connect to all available MIDI inputs, and the outputs used for controller feedback
      */
     connectInputs() {
         // Disconnect old inputs
-        this.inputs.forEach((_, input) => {
+        this.inputs.forEach((input) => {
             input.onmidimessage = null;
         });
         this.inputs.clear();
+        this.outputs.clear();
+        // Newly connected controllers need a full resync
+        this.feedbackValues = {};
 
         // Connect new inputs
         if (this.midiAccess) {
             for (const input of this.midiAccess.inputs.values()) {
                 console.log('[MIDI] Input found:', input.name);
-                input.onmidimessage = (e) => this.handleMessage(e);
+                input.onmidimessage = (e) => this.handleMessage(e, input.name);
                 this.inputs.set(input.id, input);
             }
+            for (const output of this.midiAccess.outputs.values()) {
+                this.outputs.set(output.id, output);
+            }
         }
 
         const connected = this.inputs.size > 0;
@@ -80,43 +138,309 @@ export class MidiManager {
 
     /**
      * Handle incoming MIDI messages
+     * @param {string} device - Name of the input port the message came from
      */
-    handleMessage(event) {
+    handleMessage(event, device = null) {
         const [status, data1, data2] = event.data;
+
+        // System real-time messages are single bytes without a channel
+        if (status >= 0xf8) {
+            if (REALTIME_MESSAGES[status] && this.onClock) {
+                this.onClock(REALTIME_MESSAGES[status], device, event.timeStamp);
+            }
+            return;
+        }
+
         const messageType = status & 0xf0;
         const channel = status & 0x0f;
 
-        // Only handle Control Change messages (0xB0)
-        if (messageType !== 0xb0) return;
-
-        const cc = data1;
-        const value = data2; // 0-127
+        switch (messageType) {
+            case 0xb0:
+                this.handleControlChange(device, channel, data1, data2);
+                break;
+            case 0x90:
+                // Note On with velocity 0 is a Note Off
+                this.handleNote(device, channel, data1, data2, data2 > 0);
+                break;
+            case 0x80:
+                this.handleNote(device, channel, data1, data2, false);
+                break;
+            case 0xc0:
+                this.handleProgramChange(device, channel, data1);
+                break;
+        }
+    }
 
+    /**
+     * Control Change (0xB0)
+     */
+    handleControlChange(device, channel, cc, value) {
         // If learning, assign this CC to the target parameter
-        if (this.learning) {
+        if (this.learning && this.learning.types.includes('cc')) {
             console.log(`[MIDI] Learn captured: CC ${cc}, ch ${channel}, val ${value}`);
-            this.assignMapping(this.learning.sliderId, channel, cc);
+            this.assignMapping(this.learning.sliderId, { type: 'cc', device, channel, cc });
             return;
         }
 
         // Otherwise, find and update the mapped parameter
-        for (const [sliderId, mapping] of Object.entries(this.mappings)) {
-            if (mapping.cc === cc && mapping.channel === channel) {
-                console.log(`[MIDI] CC ${cc} ch ${channel} val ${value} → ${sliderId}`);
-                if (this.onParameterChange) {
-                    this.onParameterChange(sliderId, value);
-                }
-                break;
+        const sliderId = this.findTarget(device, 'cc', channel, cc);
+        if (sliderId) {
+            if (!this.isRelative(this.mappings[sliderId])) {
+                this.feedbackValues[sliderId] = value;
+            }
+            console.log(`[MIDI] CC ${cc} ch ${channel} val ${value} → ${sliderId}`);
+            if (this.onParameterChange) {
+                this.onParameterChange(sliderId, value);
             }
         }
     }
 
     /**
-     * Start MIDI learn mode for a parameter
+     * Note On (0x90) / Note Off (0x80)
      */
-    startLearn(sliderId) {
-        this.learning = { sliderId };
-        console.log('[MIDI] Learning for:', sliderId);
+    handleNote(device, channel, note, velocity, pressed) {
+        if (this.learning && this.learning.types.includes('note')) {
+            // Learn on the press; the release that follows is ignored
+            if (!pressed) return;
+            console.log(`[MIDI] Learn captured: Note ${note}, ch ${channel}`);
+            this.assignMapping(this.learning.sliderId, {
+                type: 'note',
+                device,
+                channel,
+                note,
+                mode: this.learning.mode || 'latch'
+            });
+            return;
+        }
+
+        const targetId = this.findTarget(device, 'note', channel, note);
+        if (targetId) {
+            console.log(`[MIDI] Note ${note} ch ${channel} ${pressed ? 'on' : 'off'} → ${targetId}`);
+            if (this.onTrigger) {
+                this.onTrigger(targetId, pressed, this.mappings[targetId]);
+            }
+            return;
+        }
+
+        if (pressed && this.onNoteOn) {
+            this.onNoteOn(note, velocity, channel);
+        }
+    }
+
+    /**
+     * Program Change (0xC0)
+     */
+    handleProgramChange(device, channel, program) {
+        if (this.learning && this.learning.types.includes('program')) {
+            console.log(`[MIDI] Learn captured: Program ${program + 1}, ch ${channel}`);
+            this.assignMapping(this.learning.sliderId, { type: 'program', device, channel, program });
+            return;
+        }
+
+        const targetId = this.findTarget(device, 'program', channel, program);
+        if (targetId) {
+            console.log(`[MIDI] Program ${program + 1} ch ${channel} → ${targetId}`);
+            if (this.onTrigger) {
+                this.onTrigger(targetId, true, this.mappings[targetId]);
+            }
+            return;
+        }
+
+        if (this.onProgramChange) {
+            this.onProgramChange(program, channel);
+        }
+    }
+
+    /**
+     * Find the target mapped to a message. Mappings for the sending device win over mappings
+     * for an offline port of the same model (renamed, or on another system), which win over
+     * mappings without a device (which listen to every input).
+     */
+    findTarget(device, type, channel, number) {
+        let sameModel = null;
+        let anyDevice = null;
+        for (const [targetId, mapping] of Object.entries(this.mappings)) {
+            if ((mapping.type || 'cc') !== type || mapping.channel !== channel || mapping[NUMBER_FIELDS[type]] !== number) {
+                continue;
+            }
+            if (mapping.device === device) {
+                return targetId;
+            }
+            if (!mapping.device) {
+                anyDevice = targetId;
+            } else if (this.getStandIns(mapping).includes(device)) {
+                sameModel = targetId;
+            }
+        }
+        return sameModel || anyDevice;
+    }
+
+    /**
+     * Model of a connected input port, or null when it isn't connected
+     */
+    getModel(device) {
+        const input = [...this.inputs.values()].find(input => input.name === device);
+        return input ? modelKey(input.manufacturer, input.name) : null;
+    }
+
+    /**
+     * Connected ports standing in for a mapping's device while that port is offline: the same model under
+     * another name. Identical controllers are only told apart by their port names, so with the mapped port
+     * connected there are none.
+     */
+    getStandIns(mapping) {
+        if (!mapping.device || !mapping.model || this.deviceNames.includes(mapping.device)) {
+            return [];
+        }
+        return [...this.inputs.values()]
+            .filter(input => modelKey(input.manufacturer, input.name) === mapping.model)
+            .map(input => input.name);
+    }
+
+    /**
+     * Identity of the message a mapping listens to (older mappings without a type are CC,
+     * without a device they match any input)
+     */
+    messageKey(mapping) {
+        const type = mapping.type || 'cc';
+        return `${mapping.device || '*'}:${type}:${mapping.channel}:${mapping[NUMBER_FIELDS[type]]}`;
+    }
+
+    isRelative(mapping) {
+        return RELATIVE_MODES.includes(mapping.mode);
+    }
+
+    /**
+     * Resolve an incoming CC to a position (0..1) within the mapping's range
+     * @param {number} current - The control's current position within the range
+     * @param {number} minStep - Smallest position change that moves the control (one slider step or option)
+     * @returns {number|null} New position, or null to ignore the message (pickup not reached yet)
+     */
+    resolveControlChange(targetId, mapping, value, current, minStep = 0) {
+        if (this.isRelative(mapping)) {
+            const ticks = this.decodeRelative(mapping.mode, value);
+            const direction = mapping.invert ? -ticks : ticks;
+            return Math.max(0, Math.min(1, current + direction * Math.max(RELATIVE_STEP, minStep)));
+        }
+
+        const position = this.valueToPosition(mapping, value);
+        if (mapping.mode !== 'pickup') {
+            return position;
+        }
+
+        // Pickup: ignore the knob until it reaches (or passes) the current value.
+        // A value changed elsewhere since our last move drops the pickup again.
+        const state = this.pickupState[targetId] || { caught: false, knob: null, expected: null };
+        if (state.caught && Math.abs(current - state.expected) > PICKUP_TOLERANCE) {
+            state.caught = false;
+        }
+        if (!state.caught) {
+            const crossed = state.knob !== null && (state.knob - current) * (position - current) <= 0;
+            state.caught = crossed || Math.abs(position - current) <= PICKUP_TOLERANCE;
+        }
+        state.knob = position;
+        state.expected = position;
+        this.pickupState[targetId] = state;
+
+        return state.caught ? position : null;
+    }
+
+    /**
+     * Signed encoder ticks from a relative CC value
+     */
+    decodeRelative(mode, value) {
+        switch (mode) {
+            case 'twosComplement':
+                return value < 64 ? value : value - 128;
+            case 'binaryOffset':
+                return value - 64;
+            case 'signMagnitude':
+                return value & 0x40 ? -(value & 0x3f) : value & 0x3f;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Absolute CC value (0-127) → position, applying inversion and curve
+     */
+    valueToPosition(mapping, value) {
+        let x = value / 127;
+        if (mapping.invert) x = 1 - x;
+        switch (mapping.curve) {
+            case 'exponential':
+                return x * x;
+            case 'logarithmic':
+                return Math.sqrt(x);
+            default:
+                return x;
+        }
+    }
+
+    /**
+     * Position → CC value (0-127), the inverse of valueToPosition (used for feedback)
+     */
+    positionToValue(mapping, position) {
+        let x = Math.max(0, Math.min(1, position));
+        if (mapping.type !== 'note' && !this.isRelative(mapping)) {
+            if (mapping.curve === 'exponential') x = Math.sqrt(x);
+            if (mapping.curve === 'logarithmic') x = x * x;
+            if (mapping.invert) x = 1 - x;
+        }
+        return Math.round(x * 127);
+    }
+
+    /**
+     * Send a target's current value back to its controller (LED rings, motorized faders, pad LEDs)
+     * @param {number} value - 0-127; for note mappings anything above 0 lights the pad
+     */
+    sendFeedback(targetId, value) {
+        const mapping = this.mappings[targetId];
+        if (!mapping || mapping.feedback === false || mapping.type === 'program') return;
+        if (this.feedbackValues[targetId] === value) return;
+
+        const outputs = this.getFeedbackOutputs(mapping);
+        if (outputs.length === 0) return;
+
+        const message = mapping.type === 'note'
+            ? [0x90 | mapping.channel, mapping.note, value > 0 ? 127 : 0]
+            : [0xb0 | mapping.channel, mapping.cc, value];
+        for (const output of outputs) {
+            output.send(message);
+        }
+        this.feedbackValues[targetId] = value;
+    }
+
+    /**
+     * Outputs belonging to the mapped device, or to every connected controller for any-device mappings
+     */
+    getFeedbackOutputs(mapping) {
+        const names = mapping.device ? [mapping.device, ...this.getStandIns(mapping)] : this.deviceNames;
+        return [...this.outputs.values()].filter(output => names.includes(output.name));
+    }
+
+    /**
+     * Human-readable description of a mapping, e.g. "CC 7" or "Note 36"
+     */
+    describeMapping(mapping) {
+        switch (mapping.type || 'cc') {
+            case 'note':
+                return `Note ${mapping.note}`;
+            case 'program':
+                return `Program ${mapping.program + 1}`;
+            default:
+                return `CC ${mapping.cc}`;
+        }
+    }
+
+    /**
+     * Start MIDI learn mode for a target
+     * @param {string} sliderId - Slider id or other target id (e.g. 'chip:djembe')
+     * @param {object} options - { types: message types to accept, mode: 'latch'|'momentary' for notes }
+     */
+    startLearn(sliderId, { types = ['cc'], mode = null } = {}) {
+        this.learning = { sliderId, types, mode };
+        console.log('[MIDI] Learning for:', sliderId, types.join('/'));
 
         if (this.onLearnStart) {
             this.onLearnStart(sliderId);
@@ -131,25 +455,62 @@ export class MidiManager {
     }
 
     /**
-     * Assign a MIDI CC to a parameter
+     * Assign a MIDI message to a target
      */
-    assignMapping(sliderId, channel, cc) {
-        // Remove any existing mapping using this same CC+channel
-        for (const [id, mapping] of Object.entries(this.mappings)) {
-            if (mapping.cc === cc && mapping.channel === channel && id !== sliderId) {
+    assignMapping(sliderId, mapping) {
+        const model = mapping.device && this.getModel(mapping.device);
+        if (model) {
+            mapping = { ...mapping, model };
+        }
+
+        // Remove any existing mapping using this same message
+        const key = this.messageKey(mapping);
+        for (const [id, existing] of Object.entries(this.mappings)) {
+            if (this.messageKey(existing) === key && id !== sliderId) {
                 delete this.mappings[id];
             }
         }
 
-        this.mappings[sliderId] = { channel, cc };
+        this.mappings[sliderId] = mapping;
+        delete this.feedbackValues[sliderId];
+        delete this.pickupState[sliderId];
         this.learning = null;
         this.saveMappings();
 
-        console.log(`[MIDI] Mapped ${sliderId} to CC ${cc} (ch ${channel + 1})`);
+        console.log(`[MIDI] Mapped ${sliderId} to ${this.describeMapping(mapping)} (ch ${mapping.channel + 1}, ${mapping.device || 'any device'})`);
 
         if (this.onLearnComplete) {
-            this.onLearnComplete(sliderId, cc, channel);
+            this.onLearnComplete(sliderId, mapping);
+        }
+    }
+
+    /**
+     * Edit an existing mapping (device, channel, number, mode, range, curve...), e.g. from the mapping list
+     */
+    updateMapping(sliderId, changes) {
+        const mapping = this.mappings[sliderId];
+        if (!mapping) return;
+
+        const updated = { ...mapping, ...changes };
+        if ('device' in changes && changes.device !== mapping.device) {
+            delete updated.model;
+            const model = changes.device && this.getModel(changes.device);
+            if (model) {
+                updated.model = model;
+            }
         }
+        const key = this.messageKey(updated);
+        for (const [id, existing] of Object.entries(this.mappings)) {
+            if (this.messageKey(existing) === key && id !== sliderId) {
+                console.warn(`[MIDI] ${this.describeMapping(updated)} moved from ${id} to ${sliderId}`);
+                delete this.mappings[id];
+            }
+        }
+
+        this.mappings[sliderId] = updated;
+        delete this.feedbackValues[sliderId];
+        delete this.pickupState[sliderId];
+        this.saveMappings();
     }
 
     /**
@@ -185,42 +546,163 @@ export class MidiManager {
     }
 
     /**
-     * Save mappings to localStorage
+     * Save the current mappings as a new (or replaced) profile and switch to it
+     */
+    saveProfile(name) {
+        this.mappings = JSON.parse(JSON.stringify(this.mappings));
+        this.activeProfile = name;
+        this.saveMappings();
+        console.log('[MIDI] Saved profile:', name);
+    }
+
+    /**
+     * Switch to another controller profile
+     */
+    switchProfile(name) {
+        if (!this.profiles[name]) return;
+        this.cancelLearn();
+        this.activeProfile = name;
+        this.mappings = this.profiles[name];
+        this.feedbackValues = {};
+        this.pickupState = {};
+        this.saveMappings();
+        console.log('[MIDI] Switched to profile:', name);
+    }
+
+    /**
+     * Delete a profile; deleting the active one switches to another (or a fresh default)
+     */
+    deleteProfile(name) {
+        delete this.profiles[name];
+        if (name === this.activeProfile) {
+            this.activeProfile = Object.keys(this.profiles)[0] || DEFAULT_PROFILE;
+            this.mappings = this.profiles[this.activeProfile] || {};
+        }
+        this.saveMappings();
+        console.log('[MIDI] Deleted profile:', name);
+    }
+
+    get profileNames() {
+        return Object.keys(this.profiles);
+    }
+
+    /**
+     * Serialize all profiles for download
+     */
+    exportProfiles() {
+        return JSON.stringify({ version: EXPORT_VERSION, profiles: this.profiles }, null, 2);
+    }
+
+    /**
+     * Merge profiles from an exported JSON string (same-named profiles are replaced)
+     * @returns {number} Number of profiles imported
+     */
+    importProfiles(json) {
+        const parsed = JSON.parse(json);
+        if (!parsed || typeof parsed.profiles !== 'object' || Array.isArray(parsed.profiles)) {
+            throw new Error('No profiles found in file');
+        }
+
+        let imported = 0;
+        for (const [name, mappings] of Object.entries(parsed.profiles)) {
+            if (!mappings || typeof mappings !== 'object') {
+                console.warn('[MIDI] Skipping invalid profile:', name);
+                continue;
+            }
+            const valid = Object.values(mappings).every(m => m && Number.isInteger(m.channel));
+            if (!valid) {
+                console.warn('[MIDI] Skipping invalid profile:', name);
+                continue;
+            }
+            this.profiles[name] = this.dedupeMappings(mappings);
+            imported++;
+        }
+
+        // The active profile may have been replaced
+        this.mappings = this.profiles[this.activeProfile] || this.mappings;
+        this.saveMappings();
+        return imported;
+    }
+
+    /**
+     * Save profiles to localStorage
      */
     saveMappings() {
+        this.profiles[this.activeProfile] = this.mappings;
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.mappings));
+            localStorage.setItem(PROFILES_KEY, JSON.stringify({ active: this.activeProfile, profiles: this.profiles }));
         } catch (e) {
             console.warn('[MIDI] Could not save mappings:', e);
         }
+        if (this.onMappingsChange) {
+            this.onMappingsChange();
+        }
     }
 
     /**
-     * Load mappings from localStorage
+     * Load profiles from localStorage, migrating the pre-profile mapping set into the default profile
      */
-    loadMappings() {
+    loadProfiles() {
         try {
-            const stored = localStorage.getItem(STORAGE_KEY);
+            const stored = localStorage.getItem(PROFILES_KEY);
             if (stored) {
                 const parsed = JSON.parse(stored);
-                // Deduplicate: if multiple sliders map to the same CC+channel, keep only the last one
-                const seen = new Map();
-                this.mappings = {};
-                for (const [sliderId, mapping] of Object.entries(parsed)) {
-                    const key = `${mapping.channel}:${mapping.cc}`;
-                    if (seen.has(key)) {
-                        console.warn(`[MIDI] Duplicate mapping for CC ${mapping.cc} ch ${mapping.channel}: ${seen.get(key)} and ${sliderId} — keeping ${sliderId}`);
-                        delete this.mappings[seen.get(key)];
-                    }
-                    seen.set(key, sliderId);
-                    this.mappings[sliderId] = mapping;
+                this.profiles = Object.assign(Object.create(null), parsed.profiles);
+                this.activeProfile = parsed.active;
+            } else {
+                const legacy = localStorage.getItem(LEGACY_MAPPINGS_KEY);
+                if (legacy) {
+                    this.profiles = Object.assign(Object.create(null), { [DEFAULT_PROFILE]: JSON.parse(legacy) });
                 }
-                console.log('[MIDI] Loaded mappings:', JSON.stringify(this.mappings));
             }
         } catch (e) {
             console.warn('[MIDI] Could not load mappings:', e);
-            this.mappings = {};
+            this.profiles = Object.create(null);
+        }
+
+        if (!this.profiles[this.activeProfile]) {
+            this.activeProfile = Object.keys(this.profiles)[0] || DEFAULT_PROFILE;
+        }
+        for (const [name, mappings] of Object.entries(this.profiles)) {
+            this.profiles[name] = this.dedupeMappings(mappings);
+        }
+        this.mappings = this.profiles[this.activeProfile] || {};
+        this.profiles[this.activeProfile] = this.mappings;
+        console.log(`[MIDI] Loaded profile "${this.activeProfile}":`, JSON.stringify(this.mappings));
+    }
+
+    /**
+     * Deduplicate: if multiple targets map to the same message, keep only the last one
+     */
+    dedupeMappings(mappings) {
+        const seen = new Map();
+        const result = new Map();
+        for (const [sliderId, mapping] of Object.entries(mappings)) {
+            const key = this.messageKey(mapping);
+            if (seen.has(key)) {
+                console.warn(`[MIDI] Duplicate mapping for ${this.describeMapping(mapping)} ch ${mapping.channel}: ${seen.get(key)} and ${sliderId} — keeping ${sliderId}`);
+                result.delete(seen.get(key));
+            }
+            seen.set(key, sliderId);
+            result.set(sliderId, mapping);
         }
+        // fromEntries defines own keys, so an id read from a file (even "__proto__") can't reach the prototype
+        return Object.fromEntries(result);
+    }
+
+    /**
+     * Names of the connected MIDI inputs
+     */
+    get deviceNames() {
+        return [...this.inputs.values()].map(input => input.name);
+    }
+
+    get outputNames() {
+        return [...this.outputs.values()].map(output => output.name);
+    }
+
+    getOutput(name) {
+        return [...this.outputs.values()].find(output => output.name === name) || null;
     }
 
     /**
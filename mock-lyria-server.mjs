@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+/**
+ * Mock Lyria Server
+ * Local stand-in for the Lyria RealTime WebSocket API: answers setup, takes weighted prompts,
+ * generation config and playback control, and streams a synthetic click track at the requested BPM.
+ *
+ *   node mock-lyria-server.mjs [--port 8765] [--filter word,word]
+ *
+ * Open the app with ?lyriaUrl=ws://localhost:8765 (any API key works). Commands on stdin:
+ *   error <message>   send a server error to every session
+ *   filter [text]     send a filteredPrompt (default: each session's first prompt)
+ *   drop              cut every connection without a close frame (the client reconnects)
+ *   close             close every connection normally
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import readline from 'node:readline';
+import { fileURLToPath } from 'node:url';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DEFAULT_PORT = 8765;
+
+const SAMPLE_RATE = 48000;
+const CHANNELS = 2;
+const CHUNK_SECONDS = 2;
+const PREBUFFER_CHUNKS = 2; // sent at once on play, like the real service front-loads audio
+const BEATS_PER_BAR = 4;
+const CLICK_SECONDS = 0.03;
+const CLICK_FREQUENCY = 1000; // Hz, an octave-ish higher on the downbeat
+const ACCENT_FREQUENCY = 1500;
+
+const DEFAULT_CONFIG = {
+    bpm: 120,
+    density: 0.5,
+    brightness: 0.5,
+    guidance: 4.0,
+    temperature: 1.1,
+    topK: 40,
+    scale: 'SCALE_UNSPECIFIED',
+    muteDrums: false,
+    muteBass: false,
+    onlyBassAndDrums: false
+};
+
+/**
+ * Interleaved 16-bit little-endian PCM of a click track, continuing from a frame position
+ * @param {number} startFrame - Frames since the track started
+ * @param {number} frames
+ * @param {number} bpm
+ * @returns {Buffer}
+ */
+export function renderClickTrack(startFrame, frames, bpm) {
+    const pcm = Buffer.alloc(frames * CHANNELS * 2);
+    const beatFrames = (SAMPLE_RATE * 60) / bpm;
+
+    for (let i = 0; i < frames; i++) {
+        const frame = startFrame + i;
+        const beat = Math.floor(frame / beatFrames);
+        const t = (frame - beat * beatFrames) / SAMPLE_RATE;
+        let sample = 0;
+        if (t < CLICK_SECONDS) {
+            const frequency = beat % BEATS_PER_BAR === 0 ? ACCENT_FREQUENCY : CLICK_FREQUENCY;
+            sample = Math.sin(2 * Math.PI * frequency * t) * Math.exp(-t * 150) * 0.5;
+        }
+        const value = Math.round(sample * 0x7FFF);
+        for (let c = 0; c < CHANNELS; c++) {
+            pcm.writeInt16LE(value, (i * CHANNELS + c) * 2);
+        }
+    }
+    return pcm;
+}
+
+/**
+ * Minimal server side of RFC 6455: messages in (fragments reassembled), text frames out, ping and close
+ */
+class MockSocket {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.onMessage = null; // callback(text)
+        this.onClose = null; // callback()
+
+        socket.on('data', (data) => this.handleData(data));
+        socket.on('close', () => this.onClose && this.onClose());
+        socket.on('error', (error) => console.warn('[Mock] Socket error:', error.message));
+    }
+
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= this.buffer[maskOffset + (i % 4)];
+                }
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+
+            switch (opcode) {
+                case 0x0: // continuation
+                case 0x1: // text
+                case 0x2: // binary
+                    this.fragments.push(payload);
+                    if (fin) {
+                        const text = Buffer.concat(this.fragments).toString('utf8');
+                        this.fragments = [];
+                        if (this.onMessage) this.onMessage(text);
+                    }
+                    break;
+                case 0x8: // close: echo it and hang up
+                    this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                    break;
+                case 0x9: // ping
+                    this.sendFrame(0xA, payload);
+                    break;
+            }
+        }
+    }
+
+    send(message) {
+        this.sendFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.socket.destroyed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    close(code = 1000, reason = '') {
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(0x8, payload);
+        this.socket.end();
+    }
+
+    /**
+     * Cut the connection without a close frame (the browser reports code 1006)
+     */
+    drop() {
+        this.socket.destroy();
+    }
+}
+
+/**
+ * One client connection and its generation state
+ */
+class MockSession {
+    constructor(socket, server) {
+        this.socket = socket;
+        this.server = server;
+        this.isSetup = false;
+        this.prompts = [];
+        this.config = { ...DEFAULT_CONFIG };
+        this.bpm = null; // tempo of the track being generated, latched on play/reset like the real service
+        this.frame = 0;
+        this.isPlaying = false;
+        this.timer = null;
+
+        socket.onMessage = (text) => this.handleMessage(text);
+    }
+
+    handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            this.sendError(`Invalid JSON: ${e.message}`);
+            return;
+        }
+
+        if (message.setup) {
+            this.isSetup = true;
+            console.log('[Mock] Setup for', message.setup.model);
+            this.socket.send({ setupComplete: {} });
+            return;
+        }
+        if (!this.isSetup) {
+            this.sendError('Send setup first');
+            return;
+        }
+
+        if (message.clientContent?.weightedPrompts) {
+            this.prompts = message.clientContent.weightedPrompts;
+            console.log('[Mock] Prompts:', this.prompts.map(p => `${p.text} (${p.weight})`).join(', '));
+            const filtered = this.prompts.find(p => this.server.isFiltered(p.text));
+            if (filtered) {
+                this.sendFilteredPrompt(filtered.text);
+            }
+        }
+        if (message.musicGenerationConfig) {
+            this.config = { ...this.config, ...message.musicGenerationConfig };
+            console.log('[Mock] Config:', JSON.stringify(this.config));
+        }
+        if (message.playbackControl) {
+            this.handlePlaybackControl(message.playbackControl);
+        }
+    }
+
+    handlePlaybackControl(control) {
+        console.log('[Mock] Playback:', control);
+        switch (control) {
+            case 'PLAY':
+                if (this.isPlaying) return;
+                this.isPlaying = true;
+                this.bpm = this.bpm || this.config.bpm;
+                this.socket.send({ serverContent: { generationState: 'PLAYING' } });
+                for (let i = 0; i < PREBUFFER_CHUNKS; i++) {
+                    this.sendChunk();
+                }
+                this.timer = setInterval(() => this.sendChunk(), CHUNK_SECONDS * 1000);
+                break;
+            case 'PAUSE':
+                this.stopStreaming();
+                this.socket.send({ serverContent: { generationState: 'PAUSED' } });
+                break;
+            case 'STOP':
+                this.stopStreaming();
+                this.frame = 0;
+                this.bpm = null;
+                this.socket.send({ serverContent: { generationState: 'STOPPED' } });
+                break;
+            case 'RESET_CONTEXT':
+                this.frame = 0;
+                this.bpm = this.config.bpm;
+                break;
+            default:
+                this.sendError(`Unknown playbackControl: ${control}`);
+        }
+    }
+
+    sendChunk() {
+        const frames = CHUNK_SECONDS * SAMPLE_RATE;
+        const pcm = renderClickTrack(this.frame, frames, this.bpm);
+        this.frame += frames;
+        this.socket.send({
+            serverContent: {
+                audioChunks: [{
+                    data: pcm.toString('base64'),
+                    mimeType: `audio/l16;rate=${SAMPLE_RATE};channels=${CHANNELS}`
+                }]
+            }
+        });
+    }
+
+    stopStreaming() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.isPlaying = false;
+    }
+
+    sendError(message, code = 400) {
+        this.socket.send({ error: { code, message } });
+    }
+
+    sendFilteredPrompt(text, reason = 'Blocked by the mock safety filter') {
+        console.log('[Mock] Filtered prompt:', text);
+        this.socket.send({ filteredPrompt: { text, filteredReason: reason } });
+    }
+}
+
+export class MockLyriaServer {
+    /**
+     * @param {object} options - { filterWords }: prompts containing any of these are answered with filteredPrompt
+     */
+    constructor({ filterWords = [] } = {}) {
+        this.filterWords = filterWords.map(word => word.toLowerCase());
+        this.sessions = new Set();
+
+        this.server = http.createServer((req, res) => {
+            res.writeHead(426, { 'Content-Type': 'text/plain' });
+            res.end('Mock Lyria server: connect over WebSocket\n');
+        });
+        this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+    }
+
+    handleUpgrade(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        const session = new MockSession(new MockSocket(socket), this);
+        this.sessions.add(session);
+        session.socket.onClose = () => {
+            session.stopStreaming();
+            this.sessions.delete(session);
+            console.log('[Mock] Client disconnected');
+        };
+        console.log('[Mock] Client connected');
+    }
+
+    /**
+     * @param {number} port - 0 picks a free port
+     * @returns {Promise<number>} The port listened on
+     */
+    listen(port = DEFAULT_PORT) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    isFiltered(text) {
+        const lower = text.toLowerCase();
+        return this.filterWords.some(word => lower.includes(word));
+    }
+
+    injectError(message) {
+        for (const session of this.sessions) {
+            session.sendError(message, 500);
+        }
+    }
+
+    /**
+     * @param {string} text - Defaults to each session's first prompt
+     */
+    injectFilteredPrompt(text) {
+        for (const session of this.sessions) {
+            session.sendFilteredPrompt(text || session.prompts[0]?.text || '');
+        }
+    }
+
+    dropConnections() {
+        for (const session of this.sessions) {
+            session.stopStreaming();
+            session.socket.drop();
+        }
+    }
+
+    closeConnections(code = 1000, reason = 'Closed by mock server') {
+        for (const session of this.sessions) {
+            session.stopStreaming();
+            session.socket.close(code, reason);
+        }
+    }
+
+    close() {
+        this.dropConnections();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+function parseArgs(argv) {
+    const options = { port: DEFAULT_PORT, filterWords: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            options.port = parseInt(argv[++i]);
+        } else if (argv[i] === '--filter') {
+            options.filterWords = argv[++i].split(',').map(word => word.trim()).filter(Boolean);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const { port, filterWords } = parseArgs(process.argv.slice(2));
+    const server = new MockLyriaServer({ filterWords });
+    const actualPort = await server.listen(port);
+    console.log(`[Mock] Lyria mock listening on ws://localhost:${actualPort}`);
+    console.log('[Mock] Commands: error <message> | filter [text] | drop | close');
+
+    const commands = readline.createInterface({ input: process.stdin });
+    commands.on('line', (line) => {
+        const [command, ...rest] = line.trim().split(' ');
+        const argument = rest.join(' ');
+        switch (command) {
+            case 'error':
+                server.injectError(argument || 'Injected error');
+                break;
+            case 'filter':
+                server.injectFilteredPrompt(argument);
+                break;
+            case 'drop':
+                server.dropConnections();
+                break;
+            case 'close':
+                server.closeConnections();
+                break;
+            case '':
+                break;
+            default:
+                console.log(`[Mock] Unknown command "${command}"`);
+        }
+    });
+    // Keep serving after stdin ends (e.g. when started in the background)
+    commands.on('close', () => {});
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
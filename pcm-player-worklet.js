@@ -0,0 +1,137 @@
+/**
+ * PCM Player Worklet
+ * Decodes 16-bit interleaved PCM on the audio thread and plays it from a ring buffer
+ * addressed by audio clock frame, so chunks land exactly where the main thread scheduled them
+ */
+
+const RING_SECONDS = 8;
+const CONTIGUOUS_SLACK = 2; // frames of rounding error still treated as continuing the last chunk
+
+// Underrun concealment: when the buffer is about to run dry, crossfade into a fading
+// repeat of the last moments instead of cutting to silence
+const CONCEAL_FADE = 0.03;
+const REPEAT_LENGTH = 0.25;
+
+class PcmPlayerProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.channels = options.processorOptions?.channels || 2;
+        this.capacity = Math.ceil(RING_SECONDS * sampleRate);
+        this.ring = [];
+        for (let c = 0; c < this.channels; c++) {
+            this.ring.push(new Float32Array(this.capacity));
+        }
+
+        this.writtenUntil = 0; // frame after the last buffered sample
+        this.runStart = 0; // first frame of the current unbroken run of audio
+        this.conceal = null; // { start, end, repeatStart, repeatLength }
+        this.fadeFrames = Math.round(CONCEAL_FADE * sampleRate);
+        this.repeatFrames = Math.round(REPEAT_LENGTH * sampleRate);
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'chunk':
+                this.write(message.pcm, message.frame);
+                break;
+            case 'clear':
+                this.writtenUntil = 0;
+                this.conceal = null;
+                break;
+        }
+    }
+
+    /**
+     * Decode a chunk into the ring starting at an absolute frame
+     */
+    write(pcm, frame) {
+        const samples = new Int16Array(pcm);
+        const frames = Math.floor(samples.length / this.channels);
+
+        let start = frame;
+        if (Math.abs(start - this.writtenUntil) <= CONTIGUOUS_SLACK) {
+            start = this.writtenUntil;
+        }
+        if (start + frames > currentFrame + this.capacity) {
+            this.port.postMessage({ type: 'overflow' });
+            return;
+        }
+
+        if (start > this.writtenUntil) {
+            // A gap: silence it so stale audio from a lap ago isn't played
+            for (let f = Math.max(this.writtenUntil, currentFrame); f < start; f++) {
+                for (let c = 0; c < this.channels; c++) {
+                    this.ring[c][f % this.capacity] = 0;
+                }
+            }
+            this.runStart = start;
+        } else if (this.conceal && start <= this.conceal.end) {
+            // Late, but in time after all
+            this.conceal = null;
+        }
+
+        for (let i = Math.max(0, currentFrame - start); i < frames; i++) {
+            const index = (start + i) % this.capacity;
+            for (let c = 0; c < this.channels; c++) {
+                this.ring[c][index] = samples[i * this.channels + c] / 32768;
+            }
+        }
+        this.writtenUntil = Math.max(this.writtenUntil, start + frames);
+    }
+
+    /**
+     * Start fading into a repeat of the tail when the buffered audio ends within the fade
+     */
+    checkUnderrun(blockEnd) {
+        if (this.conceal || this.writtenUntil <= currentFrame) return;
+        if (this.writtenUntil - blockEnd >= this.fadeFrames) return;
+
+        const end = this.writtenUntil;
+        const start = Math.max(currentFrame, end - this.fadeFrames, this.runStart);
+        if (start >= end) return;
+        const repeatLength = Math.min(this.repeatFrames, end - this.runStart);
+        this.conceal = { start, end, repeatStart: end - repeatLength, repeatLength };
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const length = output[0].length;
+        this.checkUnderrun(currentFrame + length);
+
+        const conceal = this.conceal;
+        for (let c = 0; c < output.length; c++) {
+            const ring = this.ring[Math.min(c, this.channels - 1)];
+            const out = output[c];
+
+            for (let i = 0; i < length; i++) {
+                const frame = currentFrame + i;
+                let sample = frame < this.writtenUntil ? ring[frame % this.capacity] : 0;
+
+                if (conceal && frame >= conceal.start) {
+                    const t = frame - conceal.start;
+                    if (t < conceal.repeatLength) {
+                        const fadeLength = conceal.end - conceal.start;
+                        let envelope;
+                        if (frame < conceal.end) {
+                            envelope = t / fadeLength;
+                            sample *= 1 - envelope;
+                        } else {
+                            envelope = 1 - (frame - conceal.end) / (conceal.repeatLength - fadeLength);
+                        }
+                        sample += ring[(conceal.repeatStart + t) % this.capacity] * envelope;
+                    }
+                }
+                out[i] = sample;
+            }
+        }
+
+        if (conceal && currentFrame + length - conceal.start >= conceal.repeatLength) {
+            this.conceal = null;
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm-player', PcmPlayerProcessor);
@@ -0,0 +1,188 @@
+/**
+ * Performance FX
+ * Momentary DJ effects: resonant LP/HP filter sweeps, tempo-synced echo, stutter and tape stop
+ */
+
+const WORKLET_URL = new URL('./performance-worklet.js', import.meta.url);
+
+const LP_OPEN = 20000;
+const LP_CLOSED = 300;
+const HP_OPEN = 10;
+const HP_CLOSED = 3000;
+const RESONANCE = 10; // dB peak at the cutoff while sweeping
+const SWEEP_BARS = 1; // a held sweep closes over this many bars
+const SNAP_BACK = 0.05; // seconds to reopen the filter on release
+
+const ECHO_BEATS = 0.75; // dotted eighth
+const ECHO_FEEDBACK = 0.45;
+const TAPE_STOP_BEATS = 2;
+
+// Stutter pads and the bar fraction they repeat
+const STUTTER_LENGTHS = { stutter4: 1 / 4, stutter8: 1 / 8 };
+
+export const PERFORMANCE_EFFECTS = ['lpSweep', 'hpSweep', 'echo', 'stutter4', 'stutter8', 'tapeStop'];
+
+export class PerformanceFx {
+    /**
+     * Load the worklet; needed once per context before constructing
+     */
+    static async addModule(context) {
+        await context.audioWorklet.addModule(WORKLET_URL);
+    }
+
+    /**
+     * @param {AudioContext} context
+     */
+    constructor(context) {
+        this.context = context;
+        this.active = new Set();
+        this.repeaterEffect = null; // stutter or tape stop currently held (they share the worklet)
+        this.onActiveChange = null; // callback(effect, active)
+
+        this.input = context.createGain();
+        this.output = context.createGain();
+
+        // input → LP → HP → repeater → output, with the echo fed from the repeater
+        this.lowpass = context.createBiquadFilter();
+        this.lowpass.type = 'lowpass';
+        this.lowpass.frequency.value = LP_OPEN;
+        this.lowpass.Q.value = 0;
+
+        this.highpass = context.createBiquadFilter();
+        this.highpass.type = 'highpass';
+        this.highpass.frequency.value = HP_OPEN;
+        this.highpass.Q.value = 0;
+
+        this.repeater = new AudioWorkletNode(context, 'performance-fx', {
+            outputChannelCount: [2]
+        });
+
+        this.echoSend = context.createGain();
+        this.echoSend.gain.value = 0;
+        this.echoDelay = context.createDelay(2.0);
+        this.echoFeedback = context.createGain();
+        this.echoFeedback.gain.value = ECHO_FEEDBACK;
+
+        this.input.connect(this.lowpass);
+        this.lowpass.connect(this.highpass);
+        this.highpass.connect(this.repeater);
+        this.repeater.connect(this.output);
+        this.repeater.connect(this.echoSend);
+        this.echoSend.connect(this.echoDelay);
+        this.echoDelay.connect(this.echoFeedback);
+        this.echoFeedback.connect(this.echoDelay);
+        this.echoDelay.connect(this.output);
+    }
+
+    /**
+     * Start a momentary effect
+     * @param {string} effect - One of PERFORMANCE_EFFECTS
+     * @param {number} bpm - Tempo of the playing audio, for synced lengths
+     */
+    press(effect, bpm, beatsPerBar = 4) {
+        if (this.active.has(effect)) return;
+        const now = this.context.currentTime;
+        const beat = 60 / bpm;
+
+        switch (effect) {
+            case 'lpSweep':
+                this.sweep(this.lowpass, LP_CLOSED, beat * beatsPerBar * SWEEP_BARS);
+                break;
+            case 'hpSweep':
+                this.sweep(this.highpass, HP_CLOSED, beat * beatsPerBar * SWEEP_BARS);
+                break;
+            case 'echo':
+                this.echoDelay.delayTime.setValueAtTime(Math.min(2.0, beat * ECHO_BEATS), now);
+                this.echoSend.gain.setTargetAtTime(1.0, now, 0.01);
+                break;
+            case 'stutter4':
+            case 'stutter8':
+                this.engageRepeater(effect, { type: 'stutter', length: beat * beatsPerBar * STUTTER_LENGTHS[effect] });
+                break;
+            case 'tapeStop':
+                this.engageRepeater(effect, { type: 'tapeStop', duration: beat * TAPE_STOP_BEATS });
+                break;
+            default:
+                return;
+        }
+        this.setActive(effect, true);
+    }
+
+    /**
+     * End a momentary effect
+     */
+    release(effect) {
+        if (!this.active.has(effect)) return;
+        const now = this.context.currentTime;
+
+        switch (effect) {
+            case 'lpSweep':
+                this.snapBack(this.lowpass, LP_OPEN);
+                break;
+            case 'hpSweep':
+                this.snapBack(this.highpass, HP_OPEN);
+                break;
+            case 'echo':
+                // Stop feeding the delay; the echoes already in it ring out
+                this.echoSend.gain.setTargetAtTime(0, now, 0.01);
+                break;
+            default:
+                if (this.repeaterEffect === effect) {
+                    this.repeater.port.postMessage({ type: 'release' });
+                    this.repeaterEffect = null;
+                }
+                break;
+        }
+        this.setActive(effect, false);
+    }
+
+    releaseAll() {
+        for (const effect of [...this.active]) {
+            this.release(effect);
+        }
+    }
+
+    isActive(effect) {
+        return this.active.has(effect);
+    }
+
+    /**
+     * Stutter and tape stop share the worklet: the latest press takes over
+     */
+    engageRepeater(effect, message) {
+        if (this.repeaterEffect && this.repeaterEffect !== effect) {
+            this.setActive(this.repeaterEffect, false);
+        }
+        this.repeaterEffect = effect;
+        this.repeater.port.postMessage(message);
+    }
+
+    sweep(filter, target, duration) {
+        const now = this.context.currentTime;
+        filter.frequency.cancelScheduledValues(now);
+        filter.frequency.setValueAtTime(filter.frequency.value, now);
+        filter.frequency.exponentialRampToValueAtTime(target, now + duration);
+        filter.Q.setTargetAtTime(RESONANCE, now, 0.02);
+    }
+
+    snapBack(filter, open) {
+        const now = this.context.currentTime;
+        filter.frequency.cancelScheduledValues(now);
+        filter.frequency.setValueAtTime(filter.frequency.value, now);
+        filter.frequency.exponentialRampToValueAtTime(open, now + SNAP_BACK);
+        filter.Q.setTargetAtTime(0, now, SNAP_BACK / 3);
+    }
+
+    setActive(effect, active) {
+        if (active) {
+            this.active.add(effect);
+        } else {
+            this.active.delete(effect);
+        }
+        if (this.onActiveChange) {
+            this.onActiveChange(effect, active);
+        }
+    }
+}
+
+export default PerformanceFx;
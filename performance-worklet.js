@@ -0,0 +1,133 @@
+/**
+ * Performance Worklet
+ * Keeps a history of the audio passing through so it can beat-repeat (stutter) the last
+ * slice or slow it down to a halt (tape stop)
+ */
+
+const HISTORY_SECONDS = 4;
+const SWITCH_FADE = 0.005; // crossfade between live and effected audio
+const EDGE_FADE = 0.002; // fade at each stutter repeat so the loop point doesn't click
+
+class PerformanceProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.capacity = Math.ceil(HISTORY_SECONDS * sampleRate);
+        this.history = [new Float32Array(this.capacity), new Float32Array(this.capacity)];
+        this.writePos = 0;
+
+        this.mode = null; // 'stutter' | 'tapeStop'
+        this.mix = 0; // 0 = live, 1 = effect
+        this.mixTarget = 0;
+        this.mixStep = 1 / Math.round(SWITCH_FADE * sampleRate);
+        this.edgeFrames = Math.round(EDGE_FADE * sampleRate);
+
+        // Stutter
+        this.loop = null; // per-channel copy of the repeated slice
+        this.loopPos = 0;
+
+        // Tape stop
+        this.readPos = 0;
+        this.rate = 1;
+        this.deceleration = 0;
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'stutter': {
+                // Repeat the slice that just played
+                const length = Math.max(1, Math.min(this.capacity, Math.round(message.length * sampleRate)));
+                this.loop = this.history.map(channel => {
+                    const slice = new Float32Array(length);
+                    for (let i = 0; i < length; i++) {
+                        slice[i] = channel[(this.writePos - length + i + this.capacity) % this.capacity];
+                    }
+                    return slice;
+                });
+                this.loopPos = 0;
+                this.engage('stutter');
+                break;
+            }
+            case 'tapeStop':
+                this.readPos = this.writePos;
+                this.rate = 1;
+                this.deceleration = 1 / Math.max(1, message.duration * sampleRate);
+                this.engage('tapeStop');
+                break;
+            case 'release':
+                this.mixTarget = 0;
+                break;
+        }
+    }
+
+    engage(mode) {
+        if (this.mode !== mode) {
+            this.mix = 0;
+        }
+        this.mode = mode;
+        this.mixTarget = 1;
+    }
+
+    effectSample(channel) {
+        if (this.mode === 'stutter') {
+            const loop = this.loop[channel];
+            const edge = Math.min(1, this.loopPos / this.edgeFrames, (loop.length - this.loopPos) / this.edgeFrames);
+            return loop[this.loopPos] * edge;
+        }
+
+        // Tape stop: read behind the live audio at a falling rate, interpolating between samples
+        if (this.rate <= 0) return 0;
+        const history = this.history[channel];
+        const index = Math.floor(this.readPos);
+        const frac = this.readPos - index;
+        const a = history[index % this.capacity];
+        const b = history[(index + 1) % this.capacity];
+        return a + (b - a) * frac;
+    }
+
+    advanceEffect() {
+        if (this.mode === 'stutter') {
+            this.loopPos = (this.loopPos + 1) % this.loop[0].length;
+        } else if (this.mode === 'tapeStop') {
+            this.readPos += this.rate;
+            this.rate = Math.max(0, this.rate - this.deceleration);
+        }
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const length = output[0].length;
+
+        for (let i = 0; i < length; i++) {
+            for (let c = 0; c < 2; c++) {
+                const source = input[c] || input[0];
+                const live = source ? source[i] : 0;
+                this.history[c][this.writePos] = live;
+
+                let sample = live;
+                if (this.mode) {
+                    sample = live * (1 - this.mix) + this.effectSample(c) * this.mix;
+                }
+                if (output[c]) output[c][i] = sample;
+            }
+            this.writePos = (this.writePos + 1) % this.capacity;
+
+            if (this.mode) {
+                this.advanceEffect();
+                if (this.mix !== this.mixTarget) {
+                    this.mix = this.mixTarget > this.mix
+                        ? Math.min(1, this.mix + this.mixStep)
+                        : Math.max(0, this.mix - this.mixStep);
+                } else if (this.mix === 0) {
+                    this.mode = null;
+                    this.loop = null;
+                }
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('performance-fx', PerformanceProcessor);
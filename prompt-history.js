@@ -0,0 +1,118 @@
+/**
+ * Prompt History
+ * Tracks which weighted prompt sets got past the safety filter and which prompts it rejected,
+ * so a filtered change can fall back to the last accepted set
+ */
+
+// Lyria only reports filtered prompts, so a set counts as accepted once this long passes without one
+const ACCEPT_DELAY = 2000; // ms
+const HISTORY_LIMIT = 50;
+
+const normalize = (text) => text.trim().toLowerCase();
+
+export class PromptHistory {
+    /**
+     * @param {object} options - { acceptDelay } in ms
+     */
+    constructor({ acceptDelay = ACCEPT_DELAY } = {}) {
+        this.acceptDelay = acceptDelay;
+        this.pending = null; // last sent set, until accepted or filtered
+        this.pendingTimer = null;
+        this.lastAccepted = null; // [{ text, weight }]
+        this.acceptedTexts = new Set(); // normalized texts that have been accepted before
+        this.rejected = new Map(); // prompt text → filter reason, while the prompt stays selected
+        this.entries = []; // newest first: { text, status: 'accepted'|'rejected', reason, time }
+        this.onChange = null; // callback() after an accept, a rejection or a cleared rejection
+    }
+
+    /**
+     * A weighted prompt set was sent to the session
+     */
+    submit(prompts) {
+        this.pending = prompts.map(p => ({ text: p.text, weight: p.weight }));
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = setTimeout(() => this.accept(), this.acceptDelay);
+    }
+
+    accept() {
+        this.pendingTimer = null;
+        if (!this.pending) return;
+        this.lastAccepted = this.pending;
+        this.pending = null;
+
+        let isNew = false;
+        for (const { text } of this.lastAccepted) {
+            if (!this.acceptedTexts.has(normalize(text))) {
+                this.acceptedTexts.add(normalize(text));
+                this.record({ text, status: 'accepted' });
+                isNew = true;
+            }
+        }
+        if (isNew) {
+            this.notify();
+        }
+    }
+
+    /**
+     * The server filtered a prompt: mark it and pick the set to fall back to
+     * @param {object} filtered - The server's { text, filteredReason }
+     * @returns {object} { text: the prompt as sent, fallback: the last accepted set without it, or null if there is none }
+     */
+    reject({ text = '', filteredReason = '' }) {
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = null;
+
+        // Report it under the text we sent (the server may change case or spacing)
+        const sent = [...(this.pending || []), ...(this.lastAccepted || [])];
+        const match = sent.find(p => normalize(p.text) === normalize(text));
+        const promptText = match ? match.text : text;
+        this.pending = null;
+
+        this.rejected.set(promptText, filteredReason);
+        this.acceptedTexts.delete(normalize(promptText));
+        this.record({ text: promptText, status: 'rejected', reason: filteredReason });
+        this.notify();
+
+        const fallback = (this.lastAccepted || []).filter(p => !this.isRejected(p.text));
+        this.lastAccepted = fallback.length ? fallback : null;
+        return { text: promptText, fallback: this.lastAccepted };
+    }
+
+    isRejected(text) {
+        return this.rejected.has(text);
+    }
+
+    getReason(text) {
+        return this.rejected.get(text) || '';
+    }
+
+    /**
+     * Forget rejections of prompts that are no longer selected, so adding one again retries it
+     * @param {string[]} texts - The prompts selected now
+     */
+    retainRejections(texts) {
+        let changed = false;
+        for (const text of this.rejected.keys()) {
+            if (!texts.includes(text)) {
+                this.rejected.delete(text);
+                changed = true;
+            }
+        }
+        if (changed) {
+            this.notify();
+        }
+    }
+
+    record(entry) {
+        this.entries.unshift({ reason: '', ...entry, time: Date.now() });
+        this.entries.length = Math.min(this.entries.length, HISTORY_LIMIT);
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
+
+export default PromptHistory;
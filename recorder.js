@@ -0,0 +1,139 @@
+/**
+ * Recorder
+ * Captures interleaved 16-bit PCM (the app feeds it the deck mix) into takes
+ */
+
+export class Recorder {
+    constructor({ sampleRate = 48000, channels = 2 } = {}) {
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.state = 'idle'; // 'idle' | 'armed' | 'recording'
+        this.chunks = [];
+        this.sampleCount = 0;
+        this.metadata = null;
+        this.takeCount = 0;
+        this.onStateChange = null; // callback(state)
+        this.onProgress = null; // callback(durationSeconds)
+    }
+
+    /**
+     * Arm the recorder: recording starts with the next chunk (or an explicit start)
+     * @param {object} metadata - Snapshot stored with the take (prompts, bpm, params)
+     */
+    arm(metadata) {
+        if (this.state !== 'idle') return;
+        this.metadata = metadata;
+        this.setState('armed');
+    }
+
+    /**
+     * Disarm without recording
+     */
+    disarm() {
+        if (this.state !== 'armed') return;
+        this.metadata = null;
+        this.setState('idle');
+    }
+
+    /**
+     * Start recording immediately
+     */
+    start(metadata) {
+        if (this.state === 'recording') return;
+        if (metadata) {
+            this.metadata = metadata;
+        }
+        this.chunks = [];
+        this.sampleCount = 0;
+        this.setState('recording');
+    }
+
+    /**
+     * Feed a chunk of interleaved 16-bit PCM
+     * @param {ArrayBuffer} pcmData
+     */
+    addChunk(pcmData) {
+        if (this.state === 'armed') {
+            this.start();
+        }
+        if (this.state !== 'recording') return;
+
+        // Copy, since the player may hand the same buffer to other consumers
+        const samples = new Int16Array(pcmData.slice(0));
+        this.chunks.push(samples);
+        this.sampleCount += samples.length;
+
+        if (this.onProgress) {
+            this.onProgress(this.duration);
+        }
+    }
+
+    /**
+     * Stop recording and return the finished take (null if nothing was captured)
+     */
+    stop() {
+        if (this.state === 'armed') {
+            this.disarm();
+            return null;
+        }
+        if (this.state !== 'recording') return null;
+
+        this.setState('idle');
+
+        if (this.sampleCount === 0) {
+            this.metadata = null;
+            return null;
+        }
+
+        const pcm = new Int16Array(this.sampleCount);
+        let offset = 0;
+        for (const chunk of this.chunks) {
+            pcm.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        this.takeCount++;
+        const createdAt = Date.now();
+        const take = {
+            id: `take-${createdAt}`,
+            name: `Take ${this.takeCount}`,
+            createdAt,
+            sampleRate: this.sampleRate,
+            channels: this.channels,
+            duration: this.duration,
+            pcm: pcm.buffer,
+            metadata: this.metadata || {}
+        };
+
+        this.chunks = [];
+        this.sampleCount = 0;
+        this.metadata = null;
+
+        console.log(`[Recorder] ${take.name} captured: ${take.duration.toFixed(1)}s`);
+        return take;
+    }
+
+    setState(state) {
+        this.state = state;
+        if (this.onStateChange) {
+            this.onStateChange(state);
+        }
+    }
+
+    /**
+     * Duration of the current recording in seconds
+     */
+    get duration() {
+        return this.sampleCount / this.channels / this.sampleRate;
+    }
+
+    get isRecording() {
+        return this.state === 'recording';
+    }
+
+    get isArmed() {
+        return this.state === 'armed';
+    }
+}
+
+export default Recorder;
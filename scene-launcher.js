@@ -0,0 +1,181 @@
+/**
+ * Scene Launcher
+ * Grid of scene pads that launch on the next bar boundary
+ */
+
+const STORAGE_KEY = 'generafrica_launcher';
+const GRID_SIZES = [4, 8];
+const MAX_SIZE = 8; // pads are stored on an 8x8 grid so 4x4 is its top-left corner
+
+export class SceneLauncher {
+    constructor() {
+        this.size = 4; // 4x4 or 8x8
+        this.pads = []; // scene name per pad (null = empty), row-major on the 8x8 grid
+        this.activeIndex = null;
+        this.queuedIndex = null;
+        this.launchTimer = null;
+        this.getLaunchDelay = null; // () => seconds until the next bar, or null to launch now
+        this.onLaunch = null; // callback(index, sceneName)
+        this.onPadsChange = null; // callback()
+
+        this.loadPads();
+    }
+
+    /**
+     * Pad indices of the visible grid, row by row
+     */
+    get visiblePads() {
+        const indices = [];
+        for (let row = 0; row < this.size; row++) {
+            for (let col = 0; col < this.size; col++) {
+                indices.push(row * MAX_SIZE + col);
+            }
+        }
+        return indices;
+    }
+
+    isVisible(index) {
+        return Math.floor(index / MAX_SIZE) < this.size && index % MAX_SIZE < this.size;
+    }
+
+    /**
+     * Switch between 4x4 and 8x8
+     */
+    setSize(size) {
+        if (!GRID_SIZES.includes(size)) return;
+        this.size = size;
+        if (this.queuedIndex !== null && !this.isVisible(this.queuedIndex)) {
+            this.cancelQueued();
+        }
+        this.persist();
+    }
+
+    assignPad(index, sceneName) {
+        if (!this.isVisible(index)) return;
+        this.pads[index] = sceneName;
+        this.persist();
+    }
+
+    clearPad(index) {
+        this.pads[index] = null;
+        if (this.activeIndex === index) this.activeIndex = null;
+        if (this.queuedIndex === index) this.cancelQueued();
+        this.persist();
+    }
+
+    /**
+     * Forget pads pointing at a scene that no longer exists
+     */
+    removeScene(sceneName) {
+        let changed = false;
+        this.pads.forEach((name, index) => {
+            if (name === sceneName) {
+                this.pads[index] = null;
+                if (this.activeIndex === index) this.activeIndex = null;
+                if (this.queuedIndex === index) this.cancelQueued();
+                changed = true;
+            }
+        });
+        if (changed) this.persist();
+    }
+
+    /**
+     * Queue a pad for the next bar (or launch immediately when nothing is playing).
+     * Triggering the queued pad again cancels it.
+     */
+    trigger(index) {
+        if (!this.isVisible(index) || !this.pads[index]) return;
+
+        if (this.queuedIndex === index) {
+            this.cancelQueued();
+            return;
+        }
+        this.cancelQueued();
+
+        const delay = this.getLaunchDelay ? this.getLaunchDelay() : null;
+        if (delay === null || delay <= 0) {
+            this.launch(index);
+            return;
+        }
+
+        this.queuedIndex = index;
+        this.notifyPadsChange();
+        this.launchTimer = setTimeout(() => {
+            this.launchTimer = null;
+            this.launch(index);
+        }, delay * 1000);
+    }
+
+    launch(index) {
+        this.queuedIndex = null;
+        this.activeIndex = index;
+        this.notifyPadsChange();
+        console.log(`[Launcher] Pad ${index + 1} → ${this.pads[index]}`);
+        if (this.onLaunch) {
+            this.onLaunch(index, this.pads[index]);
+        }
+    }
+
+    cancelQueued() {
+        if (this.launchTimer) {
+            clearTimeout(this.launchTimer);
+            this.launchTimer = null;
+        }
+        if (this.queuedIndex !== null) {
+            this.queuedIndex = null;
+            this.notifyPadsChange();
+        }
+    }
+
+    /**
+     * Pad state for display: 'empty' | 'idle' | 'queued' | 'active'
+     */
+    getPadState(index) {
+        if (!this.pads[index]) return 'empty';
+        if (index === this.queuedIndex) return 'queued';
+        if (index === this.activeIndex) return 'active';
+        return 'idle';
+    }
+
+    notifyPadsChange() {
+        if (this.onPadsChange) {
+            this.onPadsChange();
+        }
+    }
+
+    /**
+     * Save pad assignments to localStorage
+     */
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ size: this.size, pads: this.pads }));
+        } catch (e) {
+            console.warn('[Launcher] Could not save pads:', e);
+        }
+        this.notifyPadsChange();
+    }
+
+    /**
+     * Load pad assignments from localStorage
+     */
+    loadPads() {
+        const maxPads = MAX_SIZE * MAX_SIZE;
+        this.pads = new Array(maxPads).fill(null);
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                const parsed = JSON.parse(stored);
+                if (GRID_SIZES.includes(parsed.size)) {
+                    this.size = parsed.size;
+                }
+                (parsed.pads || []).slice(0, maxPads).forEach((name, index) => {
+                    this.pads[index] = name || null;
+                });
+            }
+        } catch (e) {
+            console.warn('[Launcher] Could not load pads:', e);
+        }
+    }
+}
+
+export default SceneLauncher;
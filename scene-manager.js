@@ -0,0 +1,259 @@
+/**
+ * Scene Manager
+ * Stores named scenes (prompt selection, weights, generation config and master FX) and morphs between them
+ */
+
+const STORAGE_KEY = 'generafrica_scenes';
+const EXPORT_VERSION = 1;
+const MORPH_STEP_MS = 250;
+
+// Config fields that glide during a morph; everything else switches when the morph lands
+export const GLIDE_PARAMS = ['density', 'brightness', 'guidance', 'temperature', 'topK'];
+
+// Generation config an imported scene may set, bounded like its control in the Advanced panel
+const SCALES = [
+    'SCALE_UNSPECIFIED', 'C_MAJOR_A_MINOR', 'D_FLAT_MAJOR_B_FLAT_MINOR', 'D_MAJOR_B_MINOR', 'E_FLAT_MAJOR_C_MINOR',
+    'E_MAJOR_D_FLAT_MINOR', 'F_MAJOR_D_MINOR', 'G_FLAT_MAJOR_E_FLAT_MINOR', 'G_MAJOR_E_MINOR', 'A_FLAT_MAJOR_F_MINOR',
+    'A_MAJOR_G_FLAT_MINOR', 'B_FLAT_MAJOR_G_MINOR', 'B_MAJOR_A_FLAT_MINOR'
+];
+const CONFIG_FIELDS = {
+    bpm: { min: 60, max: 180, integer: true },
+    density: { min: 0, max: 1 },
+    brightness: { min: 0, max: 1 },
+    guidance: { min: 0, max: 6 },
+    temperature: { min: 0, max: 3 },
+    topK: { min: 1, max: 1000, integer: true },
+    scale: { values: SCALES },
+    muteDrums: { toggle: true },
+    muteBass: { toggle: true },
+    onlyBassAndDrums: { toggle: true }
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isOptionalArray = (value) => value === undefined || Array.isArray(value);
+
+/**
+ * Whether an imported scene has the shape applyScene relies on (missing lists and weights default to empty)
+ */
+function isValidScene(scene) {
+    return isObject(scene) &&
+        typeof scene.name === 'string' &&
+        isObject(scene.config) &&
+        isOptionalArray(scene.instruments) &&
+        isOptionalArray(scene.rhythms) &&
+        isOptionalArray(scene.customPrompts) &&
+        (scene.promptWeights === undefined || isObject(scene.promptWeights)) &&
+        (scene.fx === undefined || scene.fx === null || isObject(scene.fx));
+}
+
+/**
+ * Keep the config values the controls can show: numbers are clamped to the slider range,
+ * unknown keys and values of the wrong type are dropped
+ */
+function sanitizeConfig(config) {
+    const clean = {};
+    for (const [param, value] of Object.entries(config)) {
+        const field = CONFIG_FIELDS[param];
+        if (!field) {
+            console.warn(`[Scenes] Dropping unknown config "${param}"`);
+        } else if (field.toggle) {
+            if (typeof value === 'boolean') clean[param] = value;
+        } else if (field.values) {
+            if (field.values.includes(value)) clean[param] = value;
+        } else if (typeof value === 'number' && Number.isFinite(value)) {
+            const clamped = Math.min(field.max, Math.max(field.min, value));
+            clean[param] = field.integer ? Math.round(clamped) : clamped;
+        }
+        if (field && !(param in clean)) {
+            console.warn(`[Scenes] Dropping invalid ${param}:`, value);
+        }
+    }
+    return clean;
+}
+
+export class SceneManager {
+    constructor() {
+        this.scenes = []; // [{ name, instruments, rhythms, customPrompts, promptWeights, config, fx }]
+        this.morphTimer = null;
+        this.onScenesChange = null; // callback(scenes)
+
+        this.loadScenes();
+    }
+
+    /**
+     * Save a scene, replacing any existing scene with the same name
+     */
+    saveScene(scene) {
+        const index = this.scenes.findIndex(s => s.name === scene.name);
+        if (index === -1) {
+            this.scenes.push(scene);
+        } else {
+            this.scenes[index] = scene;
+        }
+        this.persist();
+        console.log('[Scenes] Saved:', scene.name);
+    }
+
+    deleteScene(name) {
+        this.scenes = this.scenes.filter(s => s.name !== name);
+        this.persist();
+        console.log('[Scenes] Deleted:', name);
+    }
+
+    getScene(name) {
+        return this.scenes.find(s => s.name === name) || null;
+    }
+
+    /**
+     * Serialize all scenes for download
+     */
+    exportJSON() {
+        return JSON.stringify({ version: EXPORT_VERSION, scenes: this.scenes }, null, 2);
+    }
+
+    /**
+     * Merge scenes from an exported JSON string (same-named scenes are replaced)
+     * Config values are clamped to the control ranges, or dropped if unknown or of the wrong type
+     * @returns {number} Number of scenes imported; invalid scenes are skipped, and a file with none valid throws
+     */
+    importJSON(json) {
+        const parsed = JSON.parse(json);
+        const scenes = Array.isArray(parsed) ? parsed : parsed.scenes;
+        if (!Array.isArray(scenes)) {
+            throw new Error('No scenes found in file');
+        }
+
+        let imported = 0;
+        for (const scene of scenes) {
+            if (!isValidScene(scene)) {
+                console.warn('[Scenes] Skipping invalid scene:', scene);
+                continue;
+            }
+            const index = this.scenes.findIndex(s => s.name === scene.name);
+            const normalized = {
+                name: scene.name,
+                instruments: scene.instruments || [],
+                rhythms: scene.rhythms || [],
+                customPrompts: scene.customPrompts || [],
+                promptWeights: scene.promptWeights || {},
+                config: sanitizeConfig(scene.config),
+                fx: scene.fx || null
+            };
+            if (index === -1) {
+                this.scenes.push(normalized);
+            } else {
+                this.scenes[index] = normalized;
+            }
+            imported++;
+        }
+        if (scenes.length && !imported) {
+            throw new Error('No valid scenes found in file');
+        }
+
+        this.persist();
+        return imported;
+    }
+
+    /**
+     * Interpolate weighted prompts and gliding config between two states
+     * @param {object} from - { prompts: [{ text, weight }], config }
+     * @param {object} to - { prompts: [{ text, weight }], config }
+     * @param {number} t - Progress 0..1
+     */
+    interpolate(from, to, t) {
+        const weights = new Map();
+        for (const p of from.prompts) {
+            weights.set(p.text, { from: p.weight, to: 0 });
+        }
+        for (const p of to.prompts) {
+            const entry = weights.get(p.text) || { from: 0, to: 0 };
+            entry.to = p.weight;
+            weights.set(p.text, entry);
+        }
+
+        const prompts = [...weights.entries()]
+            .map(([text, w]) => ({ text, weight: Math.round((w.from + (w.to - w.from) * t) * 100) / 100 }))
+            .filter(p => p.weight > 0);
+
+        const config = {};
+        for (const param of GLIDE_PARAMS) {
+            const start = from.config[param];
+            const end = to.config[param];
+            if (typeof start !== 'number' || typeof end !== 'number') continue;
+            const value = start + (end - start) * t;
+            config[param] = param === 'topK' ? Math.round(value) : value;
+        }
+
+        return { prompts, config };
+    }
+
+    /**
+     * Morph from one prompt/config state to another over a duration
+     * @param {object} from - { prompts, config }
+     * @param {object} to - { prompts, config }
+     * @param {number} duration - Seconds
+     * @param {object} handlers - { onStep({ prompts, config }), onComplete() }
+     */
+    morph(from, to, duration, { onStep, onComplete }) {
+        this.cancelMorph();
+
+        const steps = Math.max(1, Math.round((duration * 1000) / MORPH_STEP_MS));
+        let step = 0;
+
+        console.log(`[Scenes] Morphing over ${duration.toFixed(1)}s (${steps} steps)`);
+
+        this.morphTimer = setInterval(() => {
+            step++;
+            const t = step / steps;
+            onStep(this.interpolate(from, to, t));
+
+            if (step >= steps) {
+                this.cancelMorph();
+                onComplete();
+            }
+        }, MORPH_STEP_MS);
+    }
+
+    cancelMorph() {
+        if (this.morphTimer) {
+            clearInterval(this.morphTimer);
+            this.morphTimer = null;
+        }
+    }
+
+    get isMorphing() {
+        return this.morphTimer !== null;
+    }
+
+    /**
+     * Save scenes to localStorage
+     */
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.scenes));
+        } catch (e) {
+            console.warn('[Scenes] Could not save scenes:', e);
+        }
+        if (this.onScenesChange) {
+            this.onScenesChange(this.scenes);
+        }
+    }
+
+    /**
+     * Load scenes from localStorage
+     */
+    loadScenes() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                this.scenes = JSON.parse(stored);
+                console.log('[Scenes] Loaded', this.scenes.length, 'scenes');
+            }
+        } catch (e) {
+            console.warn('[Scenes] Could not load scenes:', e);
+            this.scenes = [];
+        }
+    }
+}
+
+export default SceneManager;
@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+/**
+ * GenerAfrica Server
+ * Serves the app without caching and proxies the Lyria RealTime WebSocket at /lyria,
+ * adding the API key on the way out so it never reaches the browser.
+ *
+ *   node server.mjs [--port 8000] [--host 127.0.0.1] [--allow-host name] [--config server.config.json] [--upstream wss://...] [--open]
+ *
+ * The key comes from LYRIA_API_KEY or the config file ({ "apiKey": "..." }); without one the
+ * app is still served and asks for a key as before. --upstream points the proxy elsewhere,
+ * e.g. ws://localhost:8765 for the mock server. Requests naming any host but localhost, the listen
+ * address or an --allow-host name are refused.
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { WS_URL, PROXY_PATH } from './lyria-client.js';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PORT = 8000;
+const DEFAULT_HOST = '127.0.0.1'; // only this machine; pass --host 0.0.0.0 to serve the network
+const DEFAULT_CONFIG = path.join(ROOT, 'server.config.json');
+const CONFIG_PATTERN = /\.config\.json$/i; // never served, in any letter case
+
+// Names the server answers to besides the --host it listens on; anything else may be DNS rebinding
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const WILDCARD_HOSTS = ['', '0.0.0.0', '::'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.wav': 'audio/wav'
+};
+
+const NO_CACHE_HEADERS = {
+    'Cache-Control': 'no-store, no-cache, must-revalidate, max-age=0',
+    Pragma: 'no-cache',
+    Expires: '0'
+};
+
+// Handshake headers passed on to the upstream; cookies and the page origin stay local
+const FORWARDED_HEADERS = ['sec-websocket-key', 'sec-websocket-version', 'sec-websocket-extensions', 'sec-websocket-protocol'];
+
+/**
+ * Read the API key from the environment, then the config file
+ * @returns {Promise<string>} '' when none is configured
+ */
+export async function loadApiKey(configPath = DEFAULT_CONFIG, env = process.env) {
+    if (env.LYRIA_API_KEY) {
+        return env.LYRIA_API_KEY.trim();
+    }
+    try {
+        const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+        return (config.apiKey || '').trim();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`[Server] Could not read ${configPath}:`, error.message);
+        }
+        return '';
+    }
+}
+
+export class AppServer {
+    /**
+     * @param {object} options - { apiKey, upstream: Lyria WebSocket URL, root: directory to serve,
+     *   hidden: absolute paths never served besides any *.config.json, allowedHosts: extra Host names to answer }
+     */
+    constructor({ apiKey = '', upstream = WS_URL, root = ROOT, hidden = [DEFAULT_CONFIG], allowedHosts = [] } = {}) {
+        this.apiKey = apiKey;
+        this.upstream = upstream;
+        this.root = root;
+        // Compared case-insensitively, as the default macOS volume resolves paths
+        this.hidden = new Set(hidden.map(file => path.resolve(file).toLowerCase()));
+        this.allowedHosts = allowedHosts;
+        this.hostnames = new Set(); // filled in by listen()
+        this.port = null;
+        this.tunnels = new Set(); // open [client, upstream] socket pairs
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    }
+
+    get isProxyEnabled() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * @returns {Promise<number>} The port listened on (pass 0 for a free one)
+     */
+    listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                this.port = this.server.address().port;
+                this.hostnames = new Set([...LOOPBACK_HOSTS, ...listenHostnames(host), ...this.allowedHosts]
+                    .map(name => name.toLowerCase()));
+                resolve(this.port);
+            });
+        });
+    }
+
+    close() {
+        for (const pair of this.tunnels) {
+            pair.forEach(socket => socket.destroy());
+        }
+        this.tunnels.clear();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Whether the Host header names this server, so a rebound DNS name cannot reach it
+     */
+    isAllowedHost(host) {
+        if (!host) return false;
+        try {
+            const url = new URL(`http://${host}`);
+            return this.hostnames.has(url.hostname) && (url.port || '80') === String(this.port);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Browsers send the page origin with every WebSocket handshake; only the app's own pages may spend the key
+     */
+    isAllowedOrigin(req) {
+        const origin = req.headers.origin;
+        if (!origin || !this.isAllowedHost(req.headers.host)) return false;
+        try {
+            const url = new URL(origin);
+            return url.protocol === 'http:' && url.host === new URL(`http://${req.headers.host}`).host;
+        } catch {
+            return false;
+        }
+    }
+
+    isHidden(file) {
+        return CONFIG_PATTERN.test(file) || this.hidden.has(file.toLowerCase());
+    }
+
+    async handleRequest(req, res) {
+        if (!this.isAllowedHost(req.headers.host)) {
+            console.warn('[Server] Rejected request for host', req.headers.host);
+            this.send(res, 403, 'Forbidden');
+            return;
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        // The app asks here whether to connect through the proxy
+        if (pathname === PROXY_PATH) {
+            this.send(res, 200, JSON.stringify({ proxy: this.isProxyEnabled }), MIME_TYPES['.json']);
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            this.send(res, 405, 'Method not allowed');
+            return;
+        }
+
+        let file;
+        try {
+            file = path.join(this.root, decodeURIComponent(pathname));
+        } catch {
+            this.send(res, 400, 'Bad request');
+            return;
+        }
+        const relative = path.relative(this.root, file);
+        const isOutside = relative.startsWith('..') || path.isAbsolute(relative);
+        const isDotfile = relative.split(path.sep).some(part => part.startsWith('.'));
+        if (isOutside || isDotfile || this.isHidden(file)) {
+            this.send(res, 404, 'Not found');
+            return;
+        }
+
+        try {
+            if ((await fs.stat(file)).isDirectory()) {
+                file = path.join(file, 'index.html');
+            }
+            // A symlink must not lead to a hidden file either
+            if (this.isHidden(await fs.realpath(file))) {
+                throw new Error('Hidden file');
+            }
+            const body = await fs.readFile(file);
+            const type = MIME_TYPES[path.extname(file)] || 'application/octet-stream';
+            this.send(res, 200, req.method === 'HEAD' ? null : body, type);
+        } catch {
+            this.send(res, 404, 'Not found');
+        }
+    }
+
+    send(res, status, body, type = 'text/plain; charset=utf-8') {
+        res.writeHead(status, { 'Content-Type': type, ...NO_CACHE_HEADERS });
+        res.end(body);
+    }
+
+    /**
+     * Open the upstream WebSocket with the key added and splice the two connections together.
+     * The handshake is relayed as is, so frames pass through untouched in both directions.
+     */
+    handleUpgrade(req, socket, head) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== PROXY_PATH) {
+            this.rejectUpgrade(socket, 404, 'Not Found');
+            return;
+        }
+        // Only the app itself may spend the key, not any other page or client on this machine
+        if (!this.isAllowedOrigin(req)) {
+            console.warn('[Server] Rejected WebSocket from', req.headers.origin || 'a client without an origin');
+            this.rejectUpgrade(socket, 403, 'Forbidden');
+            return;
+        }
+        if (!this.isProxyEnabled) {
+            this.rejectUpgrade(socket, 503, 'Service Unavailable');
+            return;
+        }
+
+        const separator = this.upstream.includes('?') ? '&' : '?';
+        const url = new URL(`${this.upstream}${separator}key=${encodeURIComponent(this.apiKey)}`);
+        const headers = { Connection: 'Upgrade', Upgrade: 'websocket' };
+        for (const name of FORWARDED_HEADERS) {
+            if (req.headers[name]) headers[name] = req.headers[name];
+        }
+
+        const transport = url.protocol === 'wss:' ? https : http;
+        const upstreamRequest = transport.request({
+            protocol: url.protocol === 'wss:' ? 'https:' : 'http:',
+            hostname: url.hostname,
+            port: url.port,
+            path: url.pathname + url.search,
+            headers
+        });
+
+        upstreamRequest.on('upgrade', (upstreamRes, upstream, upstreamHead) => {
+            const lines = [`HTTP/1.1 101 ${upstreamRes.statusMessage || 'Switching Protocols'}`];
+            for (let i = 0; i < upstreamRes.rawHeaders.length; i += 2) {
+                lines.push(`${upstreamRes.rawHeaders[i]}: ${upstreamRes.rawHeaders[i + 1]}`);
+            }
+            socket.write(lines.join('\r\n') + '\r\n\r\n');
+            if (upstreamHead.length) socket.write(upstreamHead);
+            if (head.length) upstream.write(head);
+
+            const pair = [socket, upstream];
+            this.tunnels.add(pair);
+            const teardown = () => {
+                this.tunnels.delete(pair);
+                socket.destroy();
+                upstream.destroy();
+            };
+            for (const side of pair) {
+                side.setNoDelay(true);
+                side.on('error', teardown);
+                side.on('close', teardown);
+            }
+            socket.pipe(upstream);
+            upstream.pipe(socket);
+            console.log(`[Server] Proxying Lyria session (${this.tunnels.size} open)`);
+        });
+
+        // Lyria refused the handshake (e.g. an invalid key): pass the status on
+        upstreamRequest.on('response', (upstreamRes) => {
+            console.warn('[Server] Lyria refused the connection:', upstreamRes.statusCode, upstreamRes.statusMessage);
+            this.rejectUpgrade(socket, upstreamRes.statusCode, upstreamRes.statusMessage);
+            upstreamRes.resume();
+        });
+
+        upstreamRequest.on('error', (error) => {
+            console.error('[Server] Could not reach Lyria:', error.message);
+            this.rejectUpgrade(socket, 502, 'Bad Gateway');
+        });
+
+        socket.on('error', () => upstreamRequest.destroy());
+        upstreamRequest.end();
+    }
+
+    rejectUpgrade(socket, status, message) {
+        if (socket.destroyed) return;
+        socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    }
+}
+
+/**
+ * Host names that reach the listen address: the address itself, or every local address
+ * and the machine name when listening on all interfaces
+ */
+function listenHostnames(host) {
+    if (!WILDCARD_HOSTS.includes(host)) {
+        return [host.includes(':') ? `[${host}]` : host];
+    }
+    const addresses = Object.values(os.networkInterfaces()).flat()
+        .map(({ address, family }) => (family === 'IPv6' || family === 6) ? `[${address}]` : address);
+    return [os.hostname(), ...addresses];
+}
+
+function parseArgs(argv) {
+    const options = { port: DEFAULT_PORT, host: DEFAULT_HOST, allowedHosts: [], config: DEFAULT_CONFIG, upstream: WS_URL, open: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            options.port = parseInt(argv[++i]);
+        } else if (argv[i] === '--host') {
+            options.host = argv[++i];
+        } else if (argv[i] === '--allow-host') {
+            options.allowedHosts.push(argv[++i]);
+        } else if (argv[i] === '--config') {
+            options.config = path.resolve(argv[++i]);
+        } else if (argv[i] === '--upstream') {
+            options.upstream = argv[++i];
+        } else if (argv[i] === '--open') {
+            options.open = true;
+        }
+    }
+    return options;
+}
+
+function openBrowser(url) {
+    const command = { darwin: 'open', win32: 'explorer' }[process.platform] || 'xdg-open';
+    spawn(command, [url], { stdio: 'ignore', detached: true })
+        .on('error', () => console.log(`[Server] Open ${url} in your browser`))
+        .unref();
+}
+
+async function main() {
+    const { port, host, allowedHosts, config, upstream, open } = parseArgs(process.argv.slice(2));
+    const apiKey = await loadApiKey(config);
+    const server = new AppServer({ apiKey, upstream, hidden: [DEFAULT_CONFIG, config], allowedHosts });
+    const actualPort = await server.listen(port, host);
+    const url = `http://localhost:${actualPort}`;
+
+    console.log('');
+    console.log('  🌍 GenerAfrica');
+    console.log('  ===============');
+    console.log('');
+    console.log(`  Server: ${url}`);
+    console.log(apiKey
+        ? `  Lyria:  proxied at ${PROXY_PATH} (key from ${process.env.LYRIA_API_KEY ? 'LYRIA_API_KEY' : path.basename(config)})`
+        : '  Lyria:  no key configured, the app will ask for one');
+    console.log('  Press Ctrl+C to stop');
+    console.log('');
+
+    if (open) {
+        openBrowser(url);
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -0,0 +1,88 @@
+/**
+ * Take Store
+ * Persists recorded takes in IndexedDB so they survive a reload
+ */
+
+const DB_NAME = 'generafrica';
+const DB_VERSION = 1;
+const STORE_NAME = 'takes';
+
+export class TakeStore {
+    constructor() {
+        this.db = null;
+    }
+
+    /**
+     * Open (and create on first use) the takes database
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        if (!window.indexedDB) {
+            console.warn('[TakeStore] IndexedDB not supported');
+            return null;
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        console.log('[TakeStore] Opened database');
+        return this.db;
+    }
+
+    /**
+     * Run a single request against the takes object store
+     * Settles with the transaction: a write is only durable once it completes,
+     * and it can still abort (e.g. quota exceeded) after the request succeeded
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            const fail = () => reject(transaction.error || request.error || new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+        });
+    }
+
+    /**
+     * Load all takes, oldest first
+     */
+    async getAll() {
+        const takes = await this.request('readonly', store => store.getAll());
+        return (takes || []).sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Save or update a take
+     */
+    async put(take) {
+        return this.request('readwrite', store => store.put(take));
+    }
+
+    /**
+     * Delete a take by id
+     */
+    async delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
+
+export default TakeStore;
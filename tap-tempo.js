@@ -0,0 +1,43 @@
+/**
+ * Tap Tempo
+ * Derives a BPM from the spacing of taps
+ */
+
+const MIN_TAPS = 3; // two intervals before a tempo is reported
+const MAX_TAPS = 8;
+const MAX_TAP_GAP_MS = 2000; // a longer pause starts a new tap sequence
+
+export class TapTempo {
+    constructor() {
+        this.taps = [];
+    }
+
+    /**
+     * Register a tap
+     * @param {number} time - Tap time in ms
+     * @returns {number|null} Tempo averaged over the recent taps, or null until enough taps
+     */
+    tap(time = performance.now()) {
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && time - last > MAX_TAP_GAP_MS) {
+            this.reset();
+        }
+
+        this.taps.push(time);
+        if (this.taps.length > MAX_TAPS) {
+            this.taps.shift();
+        }
+        if (this.taps.length < MIN_TAPS) {
+            return null;
+        }
+
+        const interval = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+        return Math.round(60000 / interval);
+    }
+
+    reset() {
+        this.taps = [];
+    }
+}
+
+export default TapTempo;
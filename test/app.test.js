@@ -0,0 +1,65 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Automation } from '../automation.js';
+import { PromptHistory } from '../prompt-history.js';
+import { installBrowserGlobals, quietConsole } from './fakes.js';
+
+describe('App prompt mixer', () => {
+    let GenerAfricaApp;
+    let app;
+
+    before(async () => {
+        // app.js starts itself on DOMContentLoaded; the tests build the parts they need instead
+        globalThis.document = { addEventListener: () => {} };
+        ({ GenerAfricaApp } = await import('../app.js'));
+    });
+
+    beforeEach(() => {
+        installBrowserGlobals();
+        quietConsole();
+
+        const noChips = { querySelectorAll: () => [] };
+        app = Object.assign(Object.create(GenerAfricaApp.prototype), {
+            lyriaClient: { setWeightedPrompts: mock.fn(), pause: mock.fn() },
+            isConnected: true,
+            isPlaying: true,
+            activeDeck: { id: 'A', player: { expectGap: () => {} } },
+            automation: new Automation(),
+            midiClock: { sendTransport: mock.fn() },
+            promptHistory: new PromptHistory(),
+            customPrompts: ['djembe solo', 'kora'],
+            promptWeights: new Map(),
+            elements: { instrumentGrid: noChips, rhythmGrid: noChips, promptPreview: { textContent: '' } },
+            showToast: mock.fn(),
+            updatePlayButton: () => {}
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('sends the faders that are up', () => {
+        app.promptWeights.set('kora', 0);
+        app.applyPrompt();
+
+        assert.deepEqual(app.lyriaClient.setWeightedPrompts.mock.calls[0].arguments, [[{ text: 'djembe solo', weight: 1 }]]);
+        assert.equal(app.isPlaying, true);
+    });
+
+    it('pauses and says so when every fader is at zero', () => {
+        app.promptWeights.set('djembe solo', 0);
+        app.promptWeights.set('kora', 0);
+        app.applyPrompt();
+
+        assert.equal(app.lyriaClient.setWeightedPrompts.mock.callCount(), 0);
+        assert.equal(app.lyriaClient.pause.mock.callCount(), 1);
+        assert.deepEqual(app.midiClock.sendTransport.mock.calls[0].arguments, ['stop']);
+        assert.equal(app.isPlaying, false);
+        assert.match(app.showToast.mock.calls[0].arguments[0], /paused/);
+
+        app.applyPrompt();
+        assert.equal(app.showToast.mock.callCount(), 1, 'nothing more to say once paused');
+    });
+});
@@ -0,0 +1,265 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioPlayer } from '../audio-player.js';
+import { LyriaClient } from '../lyria-client.js';
+import { Recorder } from '../recorder.js';
+import { FakeAudioWorkletNode, FakeWebSocket, installBrowserGlobals, quietConsole } from './fakes.js';
+
+const SAMPLE_RATE = 48000;
+
+/** Silent 16-bit stereo PCM of the given length */
+function pcmChunk(seconds) {
+    return new ArrayBuffer(Math.round(seconds * SAMPLE_RATE) * 2 * 2);
+}
+
+describe('AudioPlayer scheduling', () => {
+    let player;
+    let context;
+
+    /** Move the audio clock and the arrival clock together, so chunks arrive exactly on time */
+    function advance(seconds) {
+        context.currentTime += seconds;
+    }
+
+    function chunkMessages() {
+        return player.streamNode.port.messages.filter(m => m.type === 'chunk');
+    }
+
+    beforeEach(async () => {
+        installBrowserGlobals();
+        quietConsole();
+        mock.timers.enable({ apis: ['setTimeout'] });
+
+        player = new AudioPlayer({ effects: false });
+        await player.init();
+        context = player.audioContext;
+        context.currentTime = 1; // a running context is never at 0 when the first chunk arrives
+        mock.method(performance, 'now', () => context.currentTime * 1000);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    describe('gapless playback', () => {
+        it('starts after the buffer latency and queues later chunks back to back', () => {
+            player.processAudioChunk(pcmChunk(0.5));
+            player.processAudioChunk(pcmChunk(0.5));
+            advance(0.5);
+            player.processAudioChunk(pcmChunk(1));
+
+            assert.equal(player.streamStartTime, 1.25);
+            assert.deepEqual(chunkMessages().map(m => m.frame), [60000, 84000, 108000]);
+            assert.equal(player.nextStartTime, 3.25);
+        });
+
+        it('transfers a copy of each chunk to the worklet and leaves the original intact', () => {
+            const pcm = pcmChunk(0.5);
+            player.processAudioChunk(pcm);
+
+            const { messages, transfers } = player.streamNode.port;
+            assert.equal(messages[0].pcm.byteLength, pcm.byteLength);
+            assert.notEqual(transfers[0][0], pcm);
+            assert.equal(pcm.byteLength, 96000, 'not detached');
+        });
+
+        it('leaves the chunk intact for audioChunk listeners after the player', async () => {
+            const client = new LyriaClient('key', { createSocket: (url) => new FakeWebSocket(url) });
+            const connected = client.connect();
+            FakeWebSocket.latest.open();
+            FakeWebSocket.latest.receive({ setupComplete: {} });
+            await connected;
+
+            const seen = [];
+            client.on('audioChunk', (data) => player.processAudioChunk(data));
+            client.on('audioChunk', (data) => seen.push(new Uint8Array(data)));
+            const bytes = Uint8Array.from({ length: 4800 }, (_, i) => i % 256);
+            FakeWebSocket.latest.receive({ serverContent: { audioChunks: [{ data: Buffer.from(bytes).toString('base64') }] } });
+
+            assert.deepEqual(seen, [bytes]);
+            assert.deepEqual(new Uint8Array(chunkMessages()[0].pcm), bytes);
+        });
+
+        it('rebuffers after an underrun and keeps the bar grid aligned', () => {
+            player.processAudioChunk(pcmChunk(0.5)); // plays 1.25-1.75
+            advance(1);
+            player.processAudioChunk(pcmChunk(0.5));
+
+            const resumeTime = player.nextStartTime - 0.5;
+            assert.ok(resumeTime > 2.25, 'the late arrival adds jitter margin');
+            assert.equal(chunkMessages()[1].frame, Math.round(resumeTime * SAMPLE_RATE));
+            assert.equal(player.streamStartTime, 1.25 + (resumeTime - 1.75), 'shifted by the gap');
+            assert.equal(player.jitterBuffer.underruns, 1);
+            assert.equal(player.jitterBuffer.boost, 0.1, 'the next restart buffers more');
+
+            const fadeIn = player.streamGain.gain.lastEvent('linear');
+            assert.deepEqual(fadeIn, { type: 'linear', value: 1.0, time: resumeTime + 0.03 });
+        });
+
+        it('does not count an expected gap as an underrun', () => {
+            player.processAudioChunk(pcmChunk(0.5));
+            player.expectGap();
+            advance(1);
+            player.processAudioChunk(pcmChunk(0.5));
+
+            assert.equal(player.jitterBuffer.underruns, 0);
+            assert.equal(player.nextStartTime, 2.25 + 0.5);
+        });
+
+        it('crossfades into a new stream with its own bar grid', () => {
+            player.processAudioChunk(pcmChunk(2));
+            const oldNode = player.streamNode;
+            const oldGain = player.streamGain;
+
+            advance(2);
+            player.crossfadeToNextStream();
+            player.processAudioChunk(pcmChunk(0.5));
+
+            assert.notEqual(player.streamNode, oldNode);
+            assert.equal(chunkMessages()[0].frame, 3.25 * SAMPLE_RATE);
+            assert.equal(player.streamStartTime, 3.25);
+            assert.deepEqual(oldGain.gain.lastEvent('linear'), { type: 'linear', value: 0, time: 4.25 });
+            assert.deepEqual(player.streamGain.gain.lastEvent('linear'), { type: 'linear', value: 1.0, time: 4.25 });
+
+            mock.timers.tick(1350);
+            assert.deepEqual(oldNode.connections, [], 'old stream is dropped after the fade');
+        });
+    });
+
+    describe('stop', () => {
+        it('fades out, then clears the worklet and resets the schedule', () => {
+            player.processAudioChunk(pcmChunk(1));
+            advance(0.5);
+            player.stop(0.5);
+
+            const gain = player.gainNode.gain;
+            assert.deepEqual(gain.events, [
+                { type: 'cancel', time: 1.5 },
+                { type: 'set', value: 1, time: 1.5 },
+                { type: 'linear', value: 0, time: 2 }
+            ]);
+
+            player.processAudioChunk(pcmChunk(0.5));
+            assert.equal(chunkMessages().length, 1, 'chunks are dropped while fading out');
+            assert.equal(player.streamNode.port.messages.at(-1).type, 'chunk', 'not cleared before the fade ends');
+
+            mock.timers.tick(500);
+            assert.deepEqual(player.streamNode.port.messages.at(-1), { type: 'clear' });
+            assert.equal(player.isStopping, false);
+            assert.equal(player.nextStartTime, 0);
+            assert.equal(player.streamStartTime, null);
+            assert.deepEqual(gain.lastEvent('set'), { type: 'set', value: 1.0, time: 1.5 }, 'gain restored for the next play');
+        });
+
+        it('starts a fresh stream after the fade', () => {
+            player.processAudioChunk(pcmChunk(1));
+            player.stop(0.5);
+            mock.timers.tick(500);
+
+            advance(3);
+            player.processAudioChunk(pcmChunk(0.5));
+
+            assert.equal(player.streamStartTime, 4.25);
+            assert.equal(player.jitterBuffer.underruns, 0);
+        });
+    });
+
+    describe('hardStop', () => {
+        it('clears immediately and cancels a pending fade', () => {
+            player.processAudioChunk(pcmChunk(1));
+            player.stop(0.5);
+            player.hardStop();
+
+            const messages = player.streamNode.port.messages;
+            assert.deepEqual(messages.at(-1), { type: 'clear' });
+            assert.equal(player.isStopping, false);
+            assert.equal(player.nextStartTime, 0);
+            assert.equal(player.streamStartTime, null);
+
+            player.processAudioChunk(pcmChunk(0.5));
+            const count = messages.length;
+            mock.timers.tick(500);
+            assert.equal(messages.length, count, 'the cancelled fade does not clear the new audio');
+            assert.equal(messages.at(-1).type, 'chunk');
+        });
+
+        it('drops a pending crossfade and restores full gain', () => {
+            player.processAudioChunk(pcmChunk(1));
+            player.crossfadeToNextStream();
+            player.fadeOutBuffered();
+            player.hardStop();
+
+            assert.equal(player.crossfadePending, false);
+            assert.equal(player.fadeInOnNextChunk, false);
+            assert.deepEqual(player.gainNode.gain.lastEvent('set'), { type: 'set', value: 1.0, time: 1 });
+            assert.deepEqual(player.streamGain.gain.lastEvent('set'), { type: 'set', value: 1.0, time: 1 });
+        });
+    });
+});
+
+describe('AudioPlayer mix tap', () => {
+    let player;
+    let recorder;
+
+    /** Play the capture worklet: send a block of the given length back to the player */
+    function tapBlock(frames, value) {
+        const channels = [new Float32Array(frames).fill(value), new Float32Array(frames).fill(value)];
+        player.loopCapture.port.onmessage({ data: { type: 'tap', channels } });
+    }
+
+    beforeEach(async () => {
+        installBrowserGlobals();
+        quietConsole();
+        mock.timers.enable({ apis: ['setTimeout'] });
+
+        // The effects chain doesn't run on the fakes; give the plain player a capture worklet by hand
+        player = new AudioPlayer({ effects: false });
+        await player.init();
+        player.loopCapture = new FakeAudioWorkletNode(player.audioContext, 'loop-capture');
+        player.loopCapture.port.onmessage = (e) => player.handleCaptureMessage(e.data);
+
+        recorder = new Recorder({ sampleRate: SAMPLE_RATE });
+        player.onMixTap = (pcm) => {
+            if (recorder.isRecording) recorder.addChunk(pcm);
+        };
+        recorder.start();
+        player.setMixTap(true);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('keeps the last block the worklet flushes after the stop', async () => {
+        tapBlock(4800, 0.5);
+        const flushed = player.flushMixTap();
+        const request = player.loopCapture.port.messages.at(-1);
+        assert.deepEqual(request, { type: 'tap', enabled: false, flush: request.flush });
+
+        // The partial block comes back before the acknowledgement, on the same port
+        tapBlock(1280, -0.5);
+        player.loopCapture.port.onmessage({ data: { type: 'tapFlushed', id: request.flush } });
+        await flushed;
+
+        const take = recorder.stop();
+        const pcm = new Int16Array(take.pcm);
+        assert.equal(pcm.length, (4800 + 1280) * 2);
+        assert.equal(pcm.at(-1), -0x4000);
+    });
+
+    it('gives up waiting when the worklet does not answer', async () => {
+        let done = false;
+        const flushed = player.flushMixTap().then(() => { done = true; });
+
+        mock.timers.tick(499);
+        await Promise.resolve();
+        assert.equal(done, false);
+
+        mock.timers.tick(1);
+        await flushed;
+        assert.equal(player.pendingTapFlushes.size, 0);
+    });
+});
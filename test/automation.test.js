@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Automation, PROMPTS_LANE } from '../automation.js';
+import { quietConsole } from './fakes.js';
+
+describe('Automation', () => {
+    let automation;
+    let now;
+    let applied;
+
+    /** Move the performance clock and run the playback ticks that fall in between */
+    function advance(seconds) {
+        now += seconds * 1000;
+        mock.timers.tick(seconds * 1000);
+    }
+
+    beforeEach(() => {
+        quietConsole();
+        mock.timers.enable({ apis: ['setInterval'] });
+        now = 0;
+        mock.method(performance, 'now', () => now);
+
+        automation = new Automation();
+        applied = [];
+        automation.onApply = (param, value, target) => applied.push([param, value, target]);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('plays each change back to the target it was recorded on', () => {
+        automation.startClock();
+        automation.startRecording({ density: 0.5 }, 'A');
+        advance(1);
+        automation.record('density', 0.8, 'B');
+        automation.record(PROMPTS_LANE, [{ text: 'djembe', weight: 1 }], 'B');
+        advance(1);
+        automation.stopRecording();
+
+        automation.resetClock();
+        automation.startClock();
+        automation.startPlayback();
+        advance(1.5);
+
+        assert.deepEqual(applied, [
+            ['density', 0.5, 'A'],
+            ['density', 0.8, 'B'],
+            [PROMPTS_LANE, [{ text: 'djembe', weight: 1 }], 'B']
+        ]);
+    });
+
+    it('runs a one-shot from when playback starts, however long after recording', () => {
+        automation.startClock();
+        automation.startRecording({ density: 0.5 }, 'A');
+        advance(1);
+        automation.record('density', 0.8, 'A');
+        advance(1);
+        automation.stopRecording();
+
+        advance(10);
+        automation.mode = 'oneShot';
+        automation.startPlayback();
+        advance(0.5);
+        assert.deepEqual(applied, [['density', 0.5, 'A']]);
+        assert.equal(automation.position, 0.5);
+
+        advance(1);
+        assert.deepEqual(applied, [['density', 0.5, 'A'], ['density', 0.8, 'A']]);
+        assert.equal(automation.isPlaying, true);
+
+        advance(1);
+        assert.equal(automation.isPlaying, false, 'stops at the end of the lanes');
+        assert.equal(applied.length, 2);
+    });
+
+    it('adds a breakpoint to the target of the event before it', () => {
+        automation.startClock();
+        automation.startRecording({ density: 0.5 }, 'B');
+        advance(2);
+        automation.stopRecording();
+
+        automation.addBreakpoint('density', 1, 0.9, 'A');
+        automation.addBreakpoint('brightness', 1, 0.2, 'A');
+
+        assert.deepEqual(automation.getLane('density').map(e => e.target), ['B', 'B']);
+        assert.deepEqual(automation.getLane('brightness').map(e => e.target), ['A']);
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CueBus } from '../cue-bus.js';
+import { FakeWebSocket, installBrowserGlobals, quietConsole } from './fakes.js';
+
+describe('CueBus', () => {
+    let cue;
+    let errors;
+
+    beforeEach(() => {
+        installBrowserGlobals();
+        quietConsole();
+        FakeWebSocket.reset();
+
+        cue = new CueBus({ createSocket: (url) => new FakeWebSocket(url) });
+        errors = [];
+        cue.onError = (error) => errors.push(error.message);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('reports a scene without weighted prompts instead of opening a session', async () => {
+        await cue.start('key', { name: 'Empty', prompts: [], config: { bpm: 100 } });
+        await cue.start('key', { name: 'Muted', prompts: [{ text: 'kora', weight: 0 }], config: { bpm: 100 } });
+
+        assert.deepEqual(errors, ['Scene "Empty" has no prompts to preview', 'Scene "Muted" has no prompts to preview']);
+        assert.equal(FakeWebSocket.instances.length, 0);
+        assert.equal(cue.player.audioContext, null);
+        assert.equal(cue.isActive, false);
+    });
+
+    it('previews only the prompts with a weight', async () => {
+        const starting = cue.start('key', {
+            name: 'Groove',
+            prompts: [{ text: 'djembe', weight: 1.5 }, { text: 'kora', weight: 0 }],
+            config: { bpm: 100 }
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        FakeWebSocket.latest.open();
+        FakeWebSocket.latest.receive({ setupComplete: {} });
+        await starting;
+
+        const prompts = FakeWebSocket.latest.sent.find(m => m.clientContent);
+        assert.deepEqual(prompts.clientContent.weightedPrompts, [{ text: 'djembe', weight: 1.5 }]);
+        assert.equal(cue.isActive, true);
+        cue.stop();
+    });
+});
@@ -0,0 +1,327 @@
+/**
+ * Test fakes
+ * Just enough of the browser (WebSocket, Web Audio, Web MIDI, localStorage, IndexedDB) to run the modules under Node
+ */
+
+import { mock } from 'node:test';
+
+/**
+ * WebSocket double: records what the client sends and lets the test play the server
+ */
+export class FakeWebSocket {
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0; // CONNECTING
+        this.sent = [];
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+        FakeWebSocket.instances.push(this);
+    }
+
+    static get latest() {
+        return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+    }
+
+    static reset() {
+        FakeWebSocket.instances = [];
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+        this.drop(1000, 'Closed by client');
+    }
+
+    // Server side
+
+    open() {
+        this.readyState = 1; // OPEN
+        this.onopen?.();
+    }
+
+    receive(message) {
+        return this.onmessage?.({ data: JSON.stringify(message) });
+    }
+
+    fail() {
+        this.onerror?.(new Error('Fake socket error'));
+    }
+
+    drop(code = 1006, reason = '') {
+        if (this.readyState === 3) return;
+        this.readyState = 3; // CLOSED
+        this.onclose?.({ code, reason });
+    }
+}
+
+/**
+ * AudioParam double recording its automation calls
+ */
+export class FakeAudioParam {
+    constructor(value = 1) {
+        this.value = value;
+        this.events = [];
+    }
+
+    setValueAtTime(value, time) {
+        this.events.push({ type: 'set', value, time });
+    }
+
+    linearRampToValueAtTime(value, time) {
+        this.events.push({ type: 'linear', value, time });
+    }
+
+    exponentialRampToValueAtTime(value, time) {
+        this.events.push({ type: 'exponential', value, time });
+    }
+
+    setTargetAtTime(value, time, timeConstant) {
+        this.events.push({ type: 'target', value, time, timeConstant });
+    }
+
+    cancelScheduledValues(time) {
+        this.events.push({ type: 'cancel', time });
+    }
+
+    lastEvent(type) {
+        return this.events.filter(e => e.type === type).pop();
+    }
+}
+
+export class FakeAudioNode {
+    constructor(context, params = {}) {
+        this.context = context;
+        this.connections = [];
+        for (const [name, value] of Object.entries(params)) {
+            this[name] = new FakeAudioParam(value);
+        }
+    }
+
+    connect(destination) {
+        this.connections.push(destination);
+        return destination;
+    }
+
+    disconnect() {
+        this.connections = [];
+    }
+}
+
+/**
+ * AudioWorkletNode double; messages posted to the processor are kept on port.messages
+ */
+export class FakeAudioWorkletNode extends FakeAudioNode {
+    constructor(context, name, options = {}) {
+        super(context);
+        this.name = name;
+        this.options = options;
+        this.port = {
+            messages: [],
+            transfers: [],
+            onmessage: null,
+            postMessage: (message, transfer = []) => {
+                // Like a real port: the worklet gets a copy and transferred buffers are detached here
+                this.port.messages.push(structuredClone(message, { transfer }));
+                this.port.transfers.push(transfer);
+            },
+            close: () => {}
+        };
+        context.workletNodes.push(this);
+    }
+}
+
+/**
+ * AudioContext double with a clock the test moves by hand
+ */
+export class FakeAudioContext {
+    constructor({ sampleRate = 48000 } = {}) {
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        this.state = 'running';
+        this.destination = new FakeAudioNode(this);
+        this.destination.maxChannelCount = 2;
+        this.workletNodes = [];
+        this.audioWorklet = { modules: [], addModule: async (url) => this.audioWorklet.modules.push(String(url)) };
+    }
+
+    createGain() {
+        return new FakeAudioNode(this, { gain: 1 });
+    }
+
+    createAnalyser() {
+        const analyser = new FakeAudioNode(this);
+        analyser.frequencyBinCount = 1024;
+        return analyser;
+    }
+
+    createChannelSplitter() {
+        return new FakeAudioNode(this);
+    }
+
+    createChannelMerger() {
+        return new FakeAudioNode(this);
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+        return {
+            numberOfChannels,
+            length,
+            sampleRate,
+            duration: length / sampleRate,
+            getChannelData: (c) => channels[c],
+            copyToChannel: (data, c) => channels[c].set(data)
+        };
+    }
+
+    /** Buffer source recording when it was started and stopped */
+    createBufferSource() {
+        const source = new FakeAudioNode(this);
+        source.startedAt = null;
+        source.stoppedAt = null;
+        source.start = (when = 0) => { source.startedAt = when; };
+        source.stop = (when = 0) => { source.stoppedAt = when; };
+        return source;
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+
+    async suspend() {
+        this.state = 'suspended';
+    }
+
+    async close() {
+        this.state = 'closed';
+    }
+}
+
+/**
+ * Web MIDI input double: `send` delivers a synthetic MIDIMessageEvent to whoever listens
+ */
+export class FakeMidiInput {
+    constructor(name, id = name, manufacturer = '') {
+        this.name = name;
+        this.id = id;
+        this.manufacturer = manufacturer;
+        this.onmidimessage = null;
+    }
+
+    send(bytes, timeStamp = 0) {
+        this.onmidimessage?.({ data: Uint8Array.from(bytes), timeStamp });
+    }
+}
+
+/**
+ * IndexedDB transaction double: the test decides when its request succeeds and how the transaction ends
+ */
+export class FakeIDBTransaction {
+    constructor(mode) {
+        this.mode = mode;
+        this.request = null;
+        this.error = null;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+    }
+
+    objectStore() {
+        const record = (operation, args) => {
+            this.request = { operation, args, result: undefined, error: null, onsuccess: null, onerror: null };
+            return this.request;
+        };
+        return {
+            getAll: () => record('getAll', []),
+            put: (value) => record('put', [value]),
+            delete: (key) => record('delete', [key])
+        };
+    }
+
+    succeed(result) {
+        this.request.result = result;
+        this.request.onsuccess?.();
+    }
+
+    complete() {
+        this.oncomplete?.();
+    }
+
+    abort(error = null) {
+        this.error = error;
+        this.onabort?.();
+    }
+}
+
+/**
+ * IndexedDB factory double; every transaction opened on its database is kept on `transactions`
+ */
+export class FakeIndexedDB {
+    constructor() {
+        this.transactions = [];
+        this.db = {
+            objectStoreNames: { contains: () => true },
+            transaction: (name, mode) => {
+                const transaction = new FakeIDBTransaction(mode);
+                this.transactions.push(transaction);
+                return transaction;
+            }
+        };
+    }
+
+    get latest() {
+        return this.transactions[this.transactions.length - 1];
+    }
+
+    open() {
+        const request = { result: this.db, onsuccess: null, onerror: null, onupgradeneeded: null };
+        queueMicrotask(() => request.onsuccess?.());
+        return request;
+    }
+}
+
+/**
+ * Install fresh browser globals for one test: localStorage, Web MIDI, Web Audio
+ * @param {object} options - { midiInputs: FakeMidiInput[], indexedDB: FakeIndexedDB }
+ * @returns {Map} The localStorage contents
+ */
+export function installBrowserGlobals({ midiInputs = [], indexedDB = null } = {}) {
+    const storage = new Map();
+    const midiAccess = {
+        inputs: new Map(midiInputs.map(input => [input.id, input])),
+        outputs: new Map(),
+        onstatechange: null
+    };
+
+    const globals = {
+        localStorage: {
+            getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key),
+            clear: () => storage.clear()
+        },
+        navigator: { requestMIDIAccess: async () => midiAccess },
+        window: { AudioContext: FakeAudioContext, indexedDB },
+        indexedDB,
+        AudioWorkletNode: FakeAudioWorkletNode
+    };
+    for (const [name, value] of Object.entries(globals)) {
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    }
+    return storage;
+}
+
+/**
+ * The modules log every message; keep test output readable (restored by mock.restoreAll)
+ */
+export function quietConsole() {
+    for (const method of ['log', 'warn', 'error']) {
+        mock.method(console, method, () => {});
+    }
+}
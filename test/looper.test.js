@@ -0,0 +1,44 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Looper } from '../looper.js';
+import { FakeAudioContext } from './fakes.js';
+
+const SAMPLE_RATE = 48000;
+
+/** Silent stereo channels of the given length */
+function loopChannels(seconds) {
+    const frames = Math.round(seconds * SAMPLE_RATE);
+    return [new Float32Array(frames), new Float32Array(frames)];
+}
+
+describe('Looper', () => {
+    let context;
+    let looper;
+
+    beforeEach(() => {
+        context = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+        context.currentTime = 10;
+        looper = new Looper(context);
+    });
+
+    it('starts a loop on the bar line it is given', () => {
+        looper.load(0, loopChannels(4), { bpm: 120, bars: 2, when: 11 });
+
+        assert.equal(looper.slots[0].source.startedAt, 11);
+        assert.equal(looper.slots[0].source.loop, true);
+    });
+
+    it('moves a bar line already past on to the next one, keeping the loop in phase', () => {
+        // 2 bars of 2 s each; the capture landed 2.5 s after the bar line it aimed for
+        looper.load(0, loopChannels(4), { bpm: 120, bars: 2, when: 7.5 });
+
+        assert.equal(looper.slots[0].source.startedAt, 11.5);
+    });
+
+    it('starts right away without a bar line', () => {
+        looper.load(0, loopChannels(2), { bpm: 120, bars: 1 });
+
+        assert.equal(looper.slots[0].source.startedAt, 10);
+    });
+});
@@ -0,0 +1,355 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LyriaClient } from '../lyria-client.js';
+import { FakeWebSocket, quietConsole } from './fakes.js';
+
+const CONFIG_FIELDS = ['bpm', 'density', 'brightness', 'guidance', 'temperature', 'topK', 'scale', 'muteDrums', 'muteBass', 'onlyBassAndDrums'];
+
+function createClient(options = {}) {
+    const client = new LyriaClient('test key', { createSocket: (url) => new FakeWebSocket(url), ...options });
+    const states = [];
+    const errors = [];
+    client.on('stateChange', (state, info) => states.push(info ? { state, ...info } : state));
+    client.on('error', (error) => errors.push(error));
+    return { client, states, errors };
+}
+
+/** Connect and complete setup, returning the open socket */
+async function connectClient(client) {
+    const connected = client.connect();
+    const socket = FakeWebSocket.latest;
+    socket.open();
+    socket.receive({ setupComplete: {} });
+    await connected;
+    return socket;
+}
+
+describe('LyriaClient', () => {
+    beforeEach(() => {
+        FakeWebSocket.reset();
+        quietConsole();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        mock.timers.reset();
+    });
+
+    describe('connection', () => {
+        it('authenticates with the key in the query string', () => {
+            const { client } = createClient();
+            client.connect().catch(() => {});
+            assert.match(FakeWebSocket.latest.url, /BidiGenerateMusic\?key=test%20key$/);
+
+            const custom = createClient({ url: 'ws://localhost:8765/ws?session=1' }).client;
+            custom.connect().catch(() => {});
+            assert.equal(FakeWebSocket.latest.url, 'ws://localhost:8765/ws?session=1&key=test%20key');
+        });
+
+        it('leaves the key out when connecting through the local proxy', () => {
+            globalThis.location = { href: 'https://studio.local:8000/index.html?lyriaUrl=x' };
+            try {
+                const { client } = createClient({ proxy: '/lyria' });
+                client.connect().catch(() => {});
+                assert.equal(FakeWebSocket.latest.url, 'wss://studio.local:8000/lyria');
+            } finally {
+                delete globalThis.location;
+            }
+        });
+
+        it('sends setup on open and resolves once setup completes', async () => {
+            const { client, states } = createClient();
+            const connected = client.connect();
+            const socket = FakeWebSocket.latest;
+
+            socket.open();
+            assert.deepEqual(socket.sent, [{ setup: { model: 'models/lyria-realtime-exp' } }]);
+            assert.equal(client.isSetupComplete, false);
+
+            socket.receive({ setupComplete: {} });
+            await connected;
+            assert.equal(client.isSetupComplete, true);
+            assert.deepEqual(states, ['connecting', 'connected']);
+        });
+
+        it('queues messages sent before the socket is open and flushes them after setup', async () => {
+            const { client } = createClient();
+            const connected = client.connect();
+            const socket = FakeWebSocket.latest;
+
+            assert.equal(client.setWeightedPrompts([{ text: 'Djembe', weight: 1.5 }, 'Kora']), false);
+            assert.equal(client.play(), false);
+            assert.equal(client.messageQueue.length, 2);
+
+            socket.open();
+            assert.equal(socket.sent.length, 1, 'only setup goes out before setupComplete');
+
+            socket.receive({ setupComplete: {} });
+            await connected;
+            assert.deepEqual(socket.sent.slice(1), [
+                { clientContent: { weightedPrompts: [{ text: 'Djembe', weight: 1.5 }, { text: 'Kora', weight: 1.0 }] } },
+                { playbackControl: 'PLAY' }
+            ]);
+            assert.equal(client.messageQueue.length, 0);
+        });
+    });
+
+    describe('musicGenerationConfig', () => {
+        it('re-sends the full config on every change', async () => {
+            const { client } = createClient();
+            const socket = await connectClient(client);
+
+            client.setMusicGenerationConfig({ density: 0.2 });
+            client.setMusicGenerationConfig({ scale: 'D_MAJOR_B_MINOR' });
+
+            const [first, second] = socket.sent.slice(1).map(m => m.musicGenerationConfig);
+            assert.deepEqual(Object.keys(first).sort(), [...CONFIG_FIELDS].sort());
+            assert.equal(first.density, 0.2);
+            assert.equal(second.density, 0.2, 'earlier changes are kept');
+            assert.equal(second.scale, 'D_MAJOR_B_MINOR');
+            assert.equal(second.bpm, 90);
+        });
+
+        it('rounds the tempo and clamps values to the API ranges', async () => {
+            const { client } = createClient();
+            const socket = await connectClient(client);
+
+            client.setMusicGenerationConfig({ bpm: 121.6, density: 1.4, brightness: -0.3, guidance: 9, temperature: 5 });
+
+            const config = socket.sent.pop().musicGenerationConfig;
+            assert.equal(config.bpm, 122);
+            assert.equal(config.density, 1);
+            assert.equal(config.brightness, 0);
+            assert.equal(config.guidance, 6);
+            assert.equal(config.temperature, 3);
+        });
+    });
+
+    describe('server messages', () => {
+        it('follows the generation state', async () => {
+            const { client, states } = createClient();
+            const socket = await connectClient(client);
+
+            socket.receive({ serverContent: { generationState: 'PLAYING' } });
+            assert.equal(client.isPlaying, true);
+            socket.receive({ serverContent: { generationState: 'PAUSED' } });
+            assert.equal(client.isPlaying, false);
+            socket.receive({ serverContent: { generationState: 'PLAYING' } });
+            socket.receive({ serverContent: { generationState: 'STOPPED' } });
+            assert.equal(client.isPlaying, false);
+
+            assert.deepEqual(states.slice(2), ['playing', 'paused', 'playing', 'stopped']);
+        });
+
+        it('decodes base64 audio chunks', async () => {
+            const { client } = createClient();
+            const socket = await connectClient(client);
+            const chunks = [];
+            client.on('audioChunk', (buffer) => chunks.push(new Uint8Array(buffer)));
+
+            const bytes = Uint8Array.from([0, 1, 127, 128, 255]);
+            socket.receive({ serverContent: { audioChunks: [{ data: Buffer.from(bytes).toString('base64') }, {}] } });
+
+            assert.equal(chunks.length, 1, 'chunks without data are skipped');
+            assert.deepEqual(chunks[0], bytes);
+        });
+    });
+
+    describe('events', () => {
+        it('calls every listener, and keeps going when one throws', async () => {
+            const { client, errors } = createClient();
+            const socket = await connectClient(client);
+            const seen = [];
+            client.on('error', () => { throw new Error('broken listener'); });
+            client.on('error', (error) => seen.push(error));
+
+            socket.receive({ error: { message: 'Quota exceeded' } });
+
+            assert.deepEqual(errors, ['Quota exceeded']);
+            assert.deepEqual(seen, ['Quota exceeded']);
+        });
+
+        it('removes listeners with off, the returned function, or after once', async () => {
+            const { client } = createClient();
+            const socket = await connectClient(client);
+            const calls = [];
+            const byOff = () => calls.push('off');
+            client.on('warning', byOff);
+            const unsubscribe = client.on('warning', () => calls.push('unsubscribe'));
+            client.once('warning', () => calls.push('once'));
+
+            socket.receive({ warning: 'first' });
+            client.off('warning', byOff);
+            unsubscribe();
+            socket.receive({ warning: 'second' });
+
+            assert.deepEqual(calls, ['off', 'unsubscribe', 'once']);
+        });
+
+        it('rejects unknown event names', () => {
+            const { client } = createClient();
+            assert.throws(() => client.on('audiochunk', () => {}), /Unknown Lyria event "audiochunk"/);
+        });
+
+        it('reports setup, raw messages, warnings and filtered prompts with their payloads', async () => {
+            const { client } = createClient();
+            const events = [];
+            for (const event of ['setupComplete', 'message', 'warning', 'filteredPrompt']) {
+                client.on(event, (payload) => events.push([event, payload]));
+            }
+            const socket = await connectClient(client);
+
+            socket.receive({ warning: { message: 'Prompt weights were normalized' } });
+            socket.receive({ filteredPrompt: { text: 'bad words', filteredReason: 'SAFETY' } });
+
+            assert.deepEqual(events, [
+                ['message', { setupComplete: {} }],
+                ['setupComplete', { reconnected: false }],
+                ['message', { warning: { message: 'Prompt weights were normalized' } }],
+                ['warning', { message: 'Prompt weights were normalized' }],
+                ['message', { filteredPrompt: { text: 'bad words', filteredReason: 'SAFETY' } }],
+                ['filteredPrompt', { text: 'bad words', filteredReason: 'SAFETY' }]
+            ]);
+        });
+
+        it('numbers and times every chunk', async () => {
+            let now = 1000;
+            mock.method(performance, 'now', () => now);
+            const { client } = createClient();
+            const socket = await connectClient(client);
+            const infos = [];
+            client.on('chunk', (info) => infos.push(info));
+            const audio = [];
+            client.on('audioChunk', (data, info) => audio.push(info.sequence));
+
+            const twoSeconds = Buffer.alloc(2 * 48000 * 4).toString('base64');
+            socket.receive({ serverContent: { audioChunks: [{ data: twoSeconds }] } });
+            now += 1900;
+            socket.receive({ serverContent: { audioChunks: [{ data: twoSeconds }] } });
+
+            assert.deepEqual(infos, [
+                { sequence: 0, bytes: 384000, duration: 2, receivedAt: 1000, interval: null },
+                { sequence: 1, bytes: 384000, duration: 2, receivedAt: 2900, interval: 1900 }
+            ]);
+            assert.deepEqual(audio, [0, 1]);
+        });
+    });
+
+    describe('errors', () => {
+        it('rejects connect and reports a socket error before setup', async () => {
+            const { client, errors } = createClient();
+            const connected = client.connect();
+
+            FakeWebSocket.latest.fail();
+            await assert.rejects(connected, /WebSocket connection failed/);
+            assert.deepEqual(errors, ['Connection error - check your API key']);
+        });
+
+        it('rejects connect when the socket closes before setup', async () => {
+            const { client, states } = createClient();
+            const closes = [];
+            client.on('close', (event) => closes.push(event.code));
+            const connected = client.connect();
+            const socket = FakeWebSocket.latest;
+
+            socket.open();
+            socket.drop(1008, 'API key not valid');
+            await assert.rejects(connected, /Connection closed: API key not valid/);
+            assert.equal(client.isReconnecting, false, 'no session yet, so no reconnect');
+            assert.equal(states.at(-1), 'disconnected');
+            assert.deepEqual(closes, [1008]);
+        });
+
+        it('reports server errors', async () => {
+            const { client, errors } = createClient();
+            const socket = await connectClient(client);
+
+            socket.receive({ error: { code: 429, message: 'Quota exceeded' } });
+            socket.receive({ error: { code: 500 } });
+
+            assert.deepEqual(errors, ['Quota exceeded', 'Server error']);
+        });
+
+        it('reports filtered prompts as their own event, not as errors', async () => {
+            const { client, errors } = createClient();
+            const socket = await connectClient(client);
+            const filtered = [];
+            client.on('filteredPrompt', (payload) => filtered.push(payload));
+
+            socket.receive({ filteredPrompt: { text: 'bad words', filteredReason: 'SAFETY' } });
+
+            assert.deepEqual(filtered, [{ text: 'bad words', filteredReason: 'SAFETY' }]);
+            assert.deepEqual(errors, []);
+            assert.equal(client.isSetupComplete, true);
+        });
+
+        it('ignores messages that are not JSON', async () => {
+            const { client, errors } = createClient();
+            const socket = await connectClient(client);
+
+            assert.doesNotThrow(() => socket.onmessage({ data: 'not json' }));
+            assert.deepEqual(errors, []);
+            assert.equal(client.isSetupComplete, true);
+        });
+    });
+
+    describe('reconnect', () => {
+        it('reconnects a dropped session and restores prompts, config and playback', async () => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+            const { client, states } = createClient();
+            const socket = await connectClient(client);
+            client.setWeightedPrompts(['Talking drum']);
+            client.setMusicGenerationConfig({ bpm: 110 });
+            client.play();
+
+            socket.drop();
+            assert.deepEqual(states.at(-1), { state: 'reconnecting', attempt: 1, maxAttempts: 3 });
+            client.setMusicGenerationConfig({ density: 0.3 }); // queued while offline
+
+            mock.timers.tick(1000);
+            const next = FakeWebSocket.latest;
+            assert.notEqual(next, socket);
+            next.open();
+            next.receive({ setupComplete: {} });
+
+            assert.deepEqual(next.sent.map(m => Object.keys(m)[0]), ['setup', 'clientContent', 'musicGenerationConfig', 'playbackControl']);
+            assert.equal(next.sent[2].musicGenerationConfig.bpm, 110);
+            assert.equal(next.sent[2].musicGenerationConfig.density, 0.3);
+            assert.equal(next.sent[3].playbackControl, 'PLAY');
+            assert.equal(client.reconnectAttempts, 0);
+            assert.equal(client.isReconnecting, false);
+        });
+
+        it('gives up after the last attempt and backs off in between', async () => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+            const { client, states } = createClient();
+            const closes = [];
+            client.on('close', () => closes.push(true));
+            const socket = await connectClient(client);
+
+            socket.drop();
+            for (const delay of [1000, 2000, 4000]) {
+                mock.timers.tick(delay - 1);
+                const pending = FakeWebSocket.latest;
+                mock.timers.tick(1);
+                assert.notEqual(FakeWebSocket.latest, pending, `retries after ${delay}ms`);
+                FakeWebSocket.latest.drop();
+            }
+
+            assert.equal(states.at(-1), 'disconnected');
+            assert.equal(client.isReconnecting, false);
+            assert.equal(closes.length, 1);
+        });
+
+        it('does not reconnect after an intentional disconnect', async () => {
+            const { client, states } = createClient();
+            await connectClient(client);
+
+            client.disconnect();
+            assert.equal(states.at(-1), 'disconnected');
+            assert.equal(client.isReconnecting, false);
+            assert.equal(FakeWebSocket.instances.length, 1);
+        });
+    });
+});
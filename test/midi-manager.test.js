@@ -0,0 +1,254 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MidiManager } from '../midi-manager.js';
+import { FakeMidiInput, installBrowserGlobals, quietConsole } from './fakes.js';
+
+const PROFILES_KEY = 'african_drums_midi_profiles';
+const LEGACY_MAPPINGS_KEY = 'african_drums_midi_mappings';
+
+describe('MidiManager', () => {
+    let storage;
+    let pad;
+    let keys;
+
+    /** A manager connected to the fake inputs, with its callbacks recorded */
+    async function createManager() {
+        const midi = new MidiManager();
+        const calls = { parameters: [], triggers: [], notes: [], programs: [], learned: [], clock: [] };
+        midi.onParameterChange = (id, value) => calls.parameters.push([id, value]);
+        midi.onTrigger = (id, pressed) => calls.triggers.push([id, pressed]);
+        midi.onNoteOn = (note, velocity, channel) => calls.notes.push([note, velocity, channel]);
+        midi.onProgramChange = (program, channel) => calls.programs.push([program, channel]);
+        midi.onLearnComplete = (id, mapping) => calls.learned.push([id, mapping]);
+        midi.onClock = (message, device) => calls.clock.push([message, device]);
+        assert.equal(await midi.init(), true);
+        return { midi, calls };
+    }
+
+    function storedProfiles() {
+        return JSON.parse(storage.get(PROFILES_KEY));
+    }
+
+    beforeEach(() => {
+        pad = new FakeMidiInput('Pad Controller', 'in-1', 'Acme');
+        keys = new FakeMidiInput('Keys', 'in-2');
+        storage = installBrowserGlobals({ midiInputs: [pad, keys] });
+        quietConsole();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('learn', () => {
+        it('maps the next CC to the learning target', async () => {
+            const { midi, calls } = await createManager();
+
+            midi.startLearn('densitySlider');
+            pad.send([0xB2, 21, 90]);
+
+            const expected = { type: 'cc', device: 'Pad Controller', model: 'acme pad controller', channel: 2, cc: 21 };
+            assert.deepEqual(midi.getMapping('densitySlider'), expected);
+            assert.deepEqual(calls.learned, [['densitySlider', expected]]);
+            assert.deepEqual(calls.parameters, [], 'the learning message is not applied');
+            assert.equal(midi.learning, null);
+
+            pad.send([0xB2, 21, 64]);
+            assert.deepEqual(calls.parameters, [['densitySlider', 64]]);
+        });
+
+        it('learns notes on the press, with the requested mode', async () => {
+            const { midi, calls } = await createManager();
+
+            midi.startLearn('chip:djembe', { types: ['note'], mode: 'momentary' });
+            pad.send([0x80, 36, 0]); // a release is ignored
+            pad.send([0xB0, 1, 10]); // so is a CC when only notes are accepted
+            assert.equal(midi.hasMapping('chip:djembe'), false);
+
+            pad.send([0x99, 36, 100]);
+            assert.deepEqual(midi.getMapping('chip:djembe'), { type: 'note', device: 'Pad Controller', model: 'acme pad controller', channel: 9, note: 36, mode: 'momentary' });
+
+            midi.startLearn('playBtn', { types: ['note'] });
+            pad.send([0x90, 37, 100]);
+            assert.equal(midi.getMapping('playBtn').mode, 'latch');
+
+            pad.send([0x99, 36, 127]);
+            pad.send([0x99, 36, 0]); // Note On with velocity 0 is a Note Off
+            assert.deepEqual(calls.triggers, [['chip:djembe', true], ['chip:djembe', false]]);
+        });
+
+        it('learns program changes', async () => {
+            const { midi, calls } = await createManager();
+
+            midi.startLearn('scene:1', { types: ['program'] });
+            keys.send([0xC0, 4]);
+            assert.deepEqual(midi.getMapping('scene:1'), { type: 'program', device: 'Keys', model: 'keys', channel: 0, program: 4 });
+
+            keys.send([0xC0, 4]);
+            keys.send([0xC0, 5]);
+            assert.deepEqual(calls.triggers, [['scene:1', true]]);
+            assert.deepEqual(calls.programs, [[5, 0]]);
+        });
+
+        it('moves a message that is learned again to the new target', async () => {
+            const { midi } = await createManager();
+
+            midi.startLearn('densitySlider');
+            pad.send([0xB0, 21, 0]);
+            midi.startLearn('brightnessSlider');
+            pad.send([0xB0, 21, 0]);
+
+            assert.equal(midi.hasMapping('densitySlider'), false);
+            assert.equal(midi.getMapping('brightnessSlider').cc, 21);
+        });
+
+        it('stops learning on cancel', async () => {
+            const { midi, calls } = await createManager();
+
+            midi.startLearn('densitySlider');
+            midi.cancelLearn();
+            pad.send([0xB0, 21, 40]);
+
+            assert.equal(midi.hasMapping('densitySlider'), false);
+            assert.deepEqual(calls.learned, []);
+        });
+    });
+
+    describe('routing', () => {
+        it('prefers a mapping for the sending device over an any-device mapping', async () => {
+            const { midi, calls } = await createManager();
+            midi.assignMapping('densitySlider', { type: 'cc', device: null, channel: 0, cc: 7 });
+            midi.assignMapping('volumeSlider', { type: 'cc', device: 'Keys', channel: 0, cc: 7 });
+
+            pad.send([0xB0, 7, 10]);
+            keys.send([0xB0, 7, 20]);
+
+            assert.deepEqual(calls.parameters, [['densitySlider', 10], ['volumeSlider', 20]]);
+        });
+
+        it('finds an offline device under its new port name by manufacturer and model', async () => {
+            const { midi, calls } = await createManager();
+            midi.assignMapping('densitySlider', { type: 'cc', device: 'nanoKONTROL2', model: 'korg nanokontrol2', channel: 0, cc: 7 });
+            midi.assignMapping('volumeSlider', { type: 'cc', device: null, channel: 0, cc: 7 });
+
+            const renamed = new FakeMidiInput('2- nanoKONTROL2 MIDI 1', 'in-3', 'KORG');
+            const other = new FakeMidiInput('nanoKONTROL2', 'in-4', 'Clone Co');
+            midi.inputs.set(renamed.id, renamed);
+            midi.inputs.set(other.id, other);
+            renamed.onmidimessage = (e) => midi.handleMessage(e, renamed.name);
+            other.onmidimessage = (e) => midi.handleMessage(e, other.name);
+
+            renamed.send([0xB0, 7, 10]);
+            assert.deepEqual(calls.parameters, [['volumeSlider', 10]], 'the mapped port name is connected, so no stand-in');
+
+            midi.inputs.delete(other.id);
+            renamed.send([0xB0, 7, 20]);
+            pad.send([0xB0, 7, 30]);
+            assert.deepEqual(calls.parameters.slice(1), [['densitySlider', 20], ['volumeSlider', 30]]);
+        });
+
+        it('passes unmapped notes and real-time messages through', async () => {
+            const { calls } = await createManager();
+
+            keys.send([0x93, 60, 90]);
+            keys.send([0x83, 60, 0]);
+            pad.send([0xF8]);
+            pad.send([0xFA]);
+            pad.send([0xFE]); // active sensing is dropped
+
+            assert.deepEqual(calls.notes, [[60, 90, 3]]);
+            assert.deepEqual(calls.clock, [['clock', 'Pad Controller'], ['start', 'Pad Controller']]);
+        });
+    });
+
+    describe('persistence', () => {
+        it('saves learned mappings to the active profile', async () => {
+            const { midi } = await createManager();
+
+            midi.startLearn('densitySlider');
+            pad.send([0xB0, 21, 0]);
+
+            assert.deepEqual(storedProfiles(), {
+                active: 'Default',
+                profiles: { Default: { densitySlider: { type: 'cc', device: 'Pad Controller', model: 'acme pad controller', channel: 0, cc: 21 } } }
+            });
+        });
+
+        it('restores profiles and the active profile in a new session', async () => {
+            const first = (await createManager()).midi;
+            first.assignMapping('densitySlider', { type: 'cc', device: null, channel: 0, cc: 1 });
+            first.saveProfile('Live');
+            first.assignMapping('densitySlider', { type: 'cc', device: null, channel: 0, cc: 2 });
+
+            const { midi, calls } = await createManager();
+            assert.deepEqual(midi.profileNames, ['Default', 'Live']);
+            assert.equal(midi.activeProfile, 'Live');
+            assert.equal(midi.getMapping('densitySlider').cc, 2);
+
+            midi.switchProfile('Default');
+            assert.equal(storedProfiles().active, 'Default');
+            pad.send([0xB0, 1, 99]);
+            assert.deepEqual(calls.parameters, [['densitySlider', 99]]);
+        });
+
+        it('drops duplicate mappings when loading, keeping the last one', () => {
+            storage.set(PROFILES_KEY, JSON.stringify({
+                active: 'Live',
+                profiles: {
+                    Live: {
+                        densitySlider: { type: 'cc', device: 'Pad Controller', channel: 0, cc: 7 },
+                        volumeSlider: { type: 'cc', device: 'Pad Controller', channel: 0, cc: 7 },
+                        brightnessSlider: { type: 'cc', device: 'Keys', channel: 0, cc: 7 }
+                    },
+                    Spare: {
+                        playBtn: { type: 'note', channel: 0, note: 36 },
+                        stopBtn: { type: 'note', channel: 0, note: 36 }
+                    }
+                }
+            }));
+
+            const midi = new MidiManager();
+
+            assert.deepEqual(Object.keys(midi.mappings), ['volumeSlider', 'brightnessSlider']);
+            assert.deepEqual(Object.keys(midi.profiles.Spare), ['stopBtn']);
+        });
+
+        it('migrates the pre-profile mapping set into the default profile', () => {
+            storage.set(LEGACY_MAPPINGS_KEY, JSON.stringify({
+                densitySlider: { channel: 0, cc: 74 },
+                brightnessSlider: { channel: 0, cc: 74 }
+            }));
+
+            const midi = new MidiManager();
+
+            assert.equal(midi.activeProfile, 'Default');
+            assert.deepEqual(midi.mappings, { brightnessSlider: { channel: 0, cc: 74 } });
+        });
+
+        it('starts empty when the stored profiles are unreadable', () => {
+            storage.set(PROFILES_KEY, '{not json');
+
+            const midi = new MidiManager();
+
+            assert.equal(midi.activeProfile, 'Default');
+            assert.deepEqual(midi.mappings, {});
+        });
+
+        it('imports profiles with reserved names as ordinary profiles', () => {
+            const midi = new MidiManager();
+            const mapping = { type: 'cc', device: null, channel: 0, cc: 7 };
+            const file = `{ "profiles": { "__proto__": { "__proto__": ${JSON.stringify(mapping)} }, "constructor": {} } }`;
+
+            assert.equal(midi.importProfiles(file), 2);
+            assert.deepEqual(midi.profileNames, ['Default', '__proto__', 'constructor']);
+            assert.deepEqual(Object.keys(midi.profiles.__proto__), ['__proto__']);
+            assert.equal(Object.getPrototypeOf(midi.profiles), null);
+            assert.equal({}.cc, undefined);
+
+            midi.switchProfile('__proto__');
+            assert.equal(midi.activeProfile, '__proto__');
+            assert.deepEqual(Object.keys(storedProfiles().profiles), ['Default', '__proto__', 'constructor']);
+        });
+    });
+});
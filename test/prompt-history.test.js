@@ -0,0 +1,102 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PromptHistory } from '../prompt-history.js';
+
+const GROOVE = [{ text: 'djembe', weight: 1 }, { text: 'West African', weight: 0.8 }];
+
+describe('PromptHistory', () => {
+    let history;
+    let changes;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        history = new PromptHistory({ acceptDelay: 2000 });
+        changes = 0;
+        history.onChange = () => changes++;
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('accepts a set once no filter arrives within the delay', () => {
+        history.submit(GROOVE);
+        mock.timers.tick(1999);
+        assert.equal(history.lastAccepted, null);
+
+        mock.timers.tick(1);
+        assert.deepEqual(history.lastAccepted, GROOVE);
+        assert.deepEqual(history.entries.map(e => [e.text, e.status]), [['West African', 'accepted'], ['djembe', 'accepted']]);
+        assert.equal(changes, 1);
+    });
+
+    it('only accepts the last of a quick series of sets', () => {
+        history.submit(GROOVE);
+        mock.timers.tick(1000);
+        const louder = GROOVE.map(p => ({ ...p, weight: 1.5 }));
+        history.submit(louder);
+        mock.timers.tick(1000);
+        assert.equal(history.lastAccepted, null);
+
+        mock.timers.tick(1000);
+        assert.deepEqual(history.lastAccepted, louder);
+    });
+
+    it('records a prompt as accepted once, however often its weight changes', () => {
+        history.submit(GROOVE);
+        mock.timers.tick(2000);
+        history.submit(GROOVE.map(p => ({ ...p, weight: 0.5 })));
+        mock.timers.tick(2000);
+
+        assert.equal(history.entries.length, 2);
+        assert.equal(changes, 1);
+    });
+
+    it('falls back to the last accepted set when a new prompt is filtered', () => {
+        history.submit(GROOVE);
+        mock.timers.tick(2000);
+        history.submit([...GROOVE, { text: 'Bad Words', weight: 1 }]);
+
+        const { text, fallback } = history.reject({ text: 'bad words ', filteredReason: 'SAFETY' });
+
+        assert.equal(text, 'Bad Words', 'reported under the text that was sent');
+        assert.deepEqual(fallback, GROOVE);
+        assert.equal(history.isRejected('Bad Words'), true);
+        assert.equal(history.getReason('Bad Words'), 'SAFETY');
+        assert.deepEqual(history.entries[0], { text: 'Bad Words', status: 'rejected', reason: 'SAFETY', time: history.entries[0].time });
+
+        mock.timers.tick(2000);
+        assert.deepEqual(history.lastAccepted, GROOVE, 'the filtered set is never accepted');
+    });
+
+    it('drops a prompt filtered after its set was accepted from the fallback', () => {
+        history.submit(GROOVE);
+        mock.timers.tick(2000);
+
+        const { fallback } = history.reject({ text: 'djembe', filteredReason: 'SAFETY' });
+
+        assert.deepEqual(fallback, [{ text: 'West African', weight: 0.8 }]);
+    });
+
+    it('has nothing to fall back to before any set was accepted', () => {
+        history.submit([{ text: 'bad words', weight: 1 }]);
+
+        assert.equal(history.reject({ text: 'bad words' }).fallback, null);
+    });
+
+    it('forgets rejections of prompts that are deselected, so they can be retried', () => {
+        history.submit([{ text: 'bad words', weight: 1 }]);
+        history.reject({ text: 'bad words' });
+        changes = 0;
+
+        history.retainRejections(['bad words', 'djembe']);
+        assert.equal(history.isRejected('bad words'), true);
+        assert.equal(changes, 0);
+
+        history.retainRejections(['djembe']);
+        assert.equal(history.isRejected('bad words'), false);
+        assert.equal(history.entries[0].status, 'rejected', 'the history keeps the rejection');
+        assert.equal(changes, 1);
+    });
+});
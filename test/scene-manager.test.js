@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SceneManager } from '../scene-manager.js';
+import { installBrowserGlobals, quietConsole } from './fakes.js';
+
+const GROOVE = {
+    name: 'Groove',
+    instruments: ['djembe'],
+    rhythms: [],
+    customPrompts: [],
+    promptWeights: { djembe: 1.5 },
+    config: { bpm: 100, density: 0.6 },
+    fx: null
+};
+
+describe('SceneManager import', () => {
+    let scenes;
+
+    beforeEach(() => {
+        installBrowserGlobals();
+        quietConsole();
+        scenes = new SceneManager();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('round-trips exported scenes', () => {
+        scenes.saveScene(GROOVE);
+        const other = new SceneManager();
+        other.scenes = [];
+
+        assert.equal(other.importJSON(scenes.exportJSON()), 1);
+        assert.deepEqual(other.getScene('Groove'), GROOVE);
+    });
+
+    it('fills in missing prompt lists, weights and FX', () => {
+        assert.equal(scenes.importJSON(JSON.stringify([{ name: 'Bare', config: { bpm: 90 } }])), 1);
+        assert.deepEqual(scenes.getScene('Bare'), {
+            name: 'Bare', instruments: [], rhythms: [], customPrompts: [], promptWeights: {}, config: { bpm: 90 }, fx: null
+        });
+    });
+
+    it('skips scenes with a null or non-object config, or prompt lists that are not arrays', () => {
+        const file = JSON.stringify({
+            scenes: [
+                { name: 'No config', config: null },
+                { name: 'Config list', config: [90] },
+                { name: 'Config text', config: 'fast' },
+                { name: 'Prompt text', config: { bpm: 90 }, instruments: 'djembe' },
+                { name: 'Custom object', config: { bpm: 90 }, customPrompts: { 0: 'kora' } },
+                { name: 'Weights list', config: { bpm: 90 }, promptWeights: [1] },
+                null,
+                GROOVE
+            ]
+        });
+
+        assert.equal(scenes.importJSON(file), 1);
+        assert.deepEqual(scenes.scenes.map(s => s.name), ['Groove']);
+    });
+
+    it('clamps config values to the control ranges and drops the ones it cannot use', () => {
+        const config = {
+            bpm: 'fast',
+            density: 1.5,
+            brightness: null,
+            guidance: 2,
+            temperature: -1,
+            topK: -5,
+            scale: 'H_MAJOR',
+            muteDrums: 'yes',
+            muteBass: true,
+            apiKey: 'x'
+        };
+        assert.equal(scenes.importJSON(JSON.stringify([{ name: 'Wild', config }])), 1);
+        assert.deepEqual(scenes.getScene('Wild').config, {
+            density: 1, guidance: 2, temperature: 0, topK: 1, muteBass: true
+        });
+
+        scenes.importJSON(JSON.stringify([{ name: 'Tame', config: { bpm: 250.4, topK: 40.6, scale: 'D_MAJOR_B_MINOR' } }]));
+        assert.deepEqual(scenes.getScene('Tame').config, { bpm: 180, topK: 41, scale: 'D_MAJOR_B_MINOR' });
+    });
+
+    it('rejects a file without any valid scene', () => {
+        assert.throws(() => scenes.importJSON(JSON.stringify([{ name: 'Broken', config: null }])), /No valid scenes/);
+        assert.throws(() => scenes.importJSON('{ "version": 1 }'), /No scenes found/);
+        assert.deepEqual(scenes.scenes, []);
+    });
+});
@@ -0,0 +1,215 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { AppServer } from '../server.mjs';
+import { MockLyriaServer } from '../mock-lyria-server.mjs';
+import { quietConsole } from './fakes.js';
+
+/** Plain HTTP request with the raw path and headers as given */
+function request(port, requestPath, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, path: requestPath, headers: { host: `localhost:${port}`, ...headers } }, (res) => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/** WebSocket handshake on /lyria: resolves { status, socket } (socket only on 101); undefined drops a header */
+function upgrade(port, headers = {}) {
+    const allHeaders = {
+        host: `localhost:${port}`,
+        origin: `http://localhost:${port}`,
+        connection: 'Upgrade',
+        upgrade: 'websocket',
+        'sec-websocket-version': '13',
+        'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==',
+        ...headers
+    };
+    for (const name of Object.keys(allHeaders)) {
+        if (allHeaders[name] === undefined) delete allHeaders[name];
+    }
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, path: '/lyria', headers: allHeaders });
+        req.on('upgrade', (res, socket) => resolve({ status: res.statusCode, socket }));
+        req.on('response', (res) => {
+            res.resume();
+            resolve({ status: res.statusCode });
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/** A masked client text frame */
+function textFrame(message) {
+    const payload = Buffer.from(JSON.stringify(message));
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+    return Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, masked]);
+}
+
+/** The first unmasked server text frame (short payloads only) */
+function readFrame(socket) {
+    return new Promise((resolve) => {
+        socket.once('data', (data) => {
+            const length = data[1] & 0x7F;
+            resolve(JSON.parse(data.subarray(2, 2 + length).toString('utf8')));
+        });
+    });
+}
+
+describe('AppServer', () => {
+    let root;
+    let outside;
+
+    before(async () => {
+        outside = await fs.mkdtemp(path.join(os.tmpdir(), 'generafrica-'));
+        root = path.join(outside, 'app');
+        await fs.mkdir(path.join(root, 'test'), { recursive: true });
+        await fs.writeFile(path.join(root, 'index.html'), '<h1>GenerAfrica</h1>');
+        await fs.writeFile(path.join(root, 'app.js'), 'export {};');
+        await fs.writeFile(path.join(root, '.env'), 'LYRIA_API_KEY=secret');
+        await fs.writeFile(path.join(root, 'server.config.json'), '{ "apiKey": "secret" }');
+        await fs.writeFile(path.join(root, 'studio.config.json'), '{ "apiKey": "secret" }');
+        // What a case-insensitive volume resolves /SERVER.CONFIG.JSON to
+        await fs.writeFile(path.join(root, 'SECRET.JSON'), '{ "apiKey": "secret" }');
+        await fs.writeFile(path.join(outside, 'secret.txt'), 'secret');
+        await fs.symlink(path.join(root, 'server.config.json'), path.join(root, 'link.txt'));
+    });
+
+    after(async () => {
+        await fs.rm(outside, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        quietConsole();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('static files', () => {
+        let server;
+        let port;
+
+        beforeEach(async () => {
+            server = new AppServer({ root, hidden: [path.join(root, 'secret.json')] });
+            port = await server.listen(0, '127.0.0.1');
+        });
+
+        afterEach(() => server.close());
+
+        it('serves app files without caching', async () => {
+            const index = await request(port, '/');
+            assert.equal(index.status, 200);
+            assert.equal(index.body, '<h1>GenerAfrica</h1>');
+            assert.match(index.headers['content-type'], /^text\/html/);
+            assert.match(index.headers['cache-control'], /no-store/);
+
+            const script = await request(port, '/app.js');
+            assert.equal(script.status, 200);
+            assert.match(script.headers['content-type'], /^text\/javascript/);
+        });
+
+        it('does not serve paths outside the root', async () => {
+            assert.equal((await request(port, '/../secret.txt')).status, 404);
+            assert.equal((await request(port, '/%2e%2e/secret.txt')).status, 404);
+            assert.equal((await request(port, '/test/%2e%2e/%2e%2e/secret.txt')).status, 404);
+        });
+
+        it('does not serve dotfiles', async () => {
+            assert.equal((await request(port, '/.env')).status, 404);
+            assert.equal((await request(port, '/%2eenv')).status, 404);
+        });
+
+        it('does not serve config files in any letter case', async () => {
+            assert.equal((await request(port, '/server.config.json')).status, 404);
+            assert.equal((await request(port, '/SERVER.CONFIG.JSON')).status, 404);
+            assert.equal((await request(port, '/studio.config.json')).status, 404, 'any *.config.json, not only the configured one');
+            assert.equal((await request(port, '/SECRET.JSON')).status, 404, 'hidden paths compare case-insensitively');
+            assert.equal((await request(port, '/link.txt')).status, 404, 'nor through a symlink');
+        });
+
+        it('refuses requests for other host names', async () => {
+            assert.equal((await request(port, '/', { host: `127.0.0.1:${port}` })).status, 200);
+            assert.equal((await request(port, '/', { host: `attacker.example:${port}` })).status, 403);
+            assert.equal((await request(port, '/', { host: 'localhost:1' })).status, 403);
+        });
+
+        it('answers extra host names it is given', async () => {
+            await server.close();
+            server = new AppServer({ root, allowedHosts: ['studio.local'] });
+            port = await server.listen(0, '127.0.0.1');
+
+            assert.equal((await request(port, '/', { host: `studio.local:${port}` })).status, 200);
+        });
+    });
+
+    describe('Lyria proxy', () => {
+        let lyria;
+        let server;
+        let port;
+
+        beforeEach(async () => {
+            lyria = new MockLyriaServer();
+            const lyriaPort = await lyria.listen(0);
+            server = new AppServer({ root, apiKey: 'se+cret', upstream: `ws://127.0.0.1:${lyriaPort}/ws` });
+            port = await server.listen(0, '127.0.0.1');
+        });
+
+        afterEach(async () => {
+            await server.close();
+            await lyria.close();
+        });
+
+        it('tells the app whether it proxies', async () => {
+            assert.deepEqual(JSON.parse((await request(port, '/lyria')).body), { proxy: true });
+        });
+
+        it('splices the session through to Lyria with the key added', async () => {
+            let upstreamUrl;
+            lyria.server.prependListener('upgrade', (req) => upstreamUrl = req.url);
+
+            const { status, socket } = await upgrade(port);
+            assert.equal(status, 101);
+            assert.equal(upstreamUrl, '/ws?key=se%2Bcret');
+
+            const reply = readFrame(socket);
+            socket.write(textFrame({ setup: { model: 'models/lyria-realtime-exp' } }));
+            assert.deepEqual(await reply, { setupComplete: {} });
+            socket.destroy();
+        });
+
+        it('refuses handshakes from other origins or without one', async () => {
+            assert.equal((await upgrade(port, { origin: 'http://attacker.example' })).status, 403);
+            assert.equal((await upgrade(port, { origin: undefined })).status, 403);
+            assert.equal((await upgrade(port, { origin: 'null' })).status, 403);
+        });
+
+        it('refuses a rebound host name even when the origin matches it', async () => {
+            const host = `attacker.example:${port}`;
+            assert.equal((await upgrade(port, { host, origin: `http://${host}` })).status, 403);
+        });
+
+        it('answers 503 without a key and 502 when Lyria is unreachable', async () => {
+            await server.close();
+            server = new AppServer({ root });
+            port = await server.listen(0, '127.0.0.1');
+            assert.equal((await upgrade(port)).status, 503);
+
+            await server.close();
+            server = new AppServer({ root, apiKey: 'key', upstream: 'ws://127.0.0.1:1/ws' });
+            port = await server.listen(0, '127.0.0.1');
+            assert.equal((await upgrade(port)).status, 502);
+        });
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TakeStore } from '../take-store.js';
+import { FakeIndexedDB, installBrowserGlobals, quietConsole } from './fakes.js';
+
+/** Let the store open its database and start the transaction */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TakeStore', () => {
+    let idb;
+    let store;
+
+    beforeEach(() => {
+        idb = new FakeIndexedDB();
+        installBrowserGlobals({ indexedDB: idb });
+        quietConsole();
+        store = new TakeStore();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('resolves a save only once the transaction completes', async () => {
+        let saved = false;
+        const put = store.put({ id: 'take-1' }).then(() => { saved = true; });
+        await settle();
+
+        idb.latest.succeed('take-1');
+        await settle();
+        assert.equal(saved, false, 'the write is not durable yet');
+
+        idb.latest.complete();
+        await put;
+        assert.equal(saved, true);
+    });
+
+    it('rejects a save whose transaction aborts after the request succeeded', async () => {
+        const put = store.put({ id: 'take-1' });
+        await settle();
+
+        const quota = new Error('QuotaExceededError');
+        idb.latest.succeed('take-1');
+        idb.latest.abort(quota);
+        await assert.rejects(put, quota);
+    });
+
+    it('rejects a delete whose transaction aborts', async () => {
+        const removal = store.delete('take-1');
+        await settle();
+
+        assert.deepEqual(idb.latest.request.args, ['take-1']);
+        idb.latest.abort();
+        await assert.rejects(removal, /aborted/);
+    });
+});